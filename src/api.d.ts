@@ -0,0 +1,196 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Type definitions for the Node API (api.js)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export type Severity = 'error' | 'warning' | 'info';
+
+/** A validation result (see the README "Validation Rules" table for IDs) */
+export interface Finding {
+  id: string;
+  severity: Severity;
+  message: string;
+  /** 1-based robots.txt line, when the finding refers to one */
+  line?: number;
+  /** Fix hint (not set on passed checks) */
+  hint?: string;
+  /** True for a passed check */
+  passed?: boolean;
+}
+
+/** A robots_rules group, in config file or normalized form */
+export interface RuleGroup {
+  user_agent?: string | string[];
+  userAgents?: string[];
+  allow?: string | string[];
+  disallow?: string | string[];
+  crawl_delay?: string | number;
+  crawlDelay?: string;
+  comment?: string | string[];
+  comments?: string[];
+}
+
+/** A normalized robots_rules group */
+export interface NormalizedRuleGroup {
+  userAgents: string[];
+  allow: string[];
+  disallow: string[];
+  crawlDelay: string;
+  comments: string[];
+}
+
+/**
+ * Options for generateRobotsTxt
+ * Settings use the camelCase names of the config file keys and accept the
+ * same values; lists may also be newline-separated strings (commas are kept
+ * as part of an entry).
+ */
+export interface GenerateOptions {
+  /** Site URL (http:// or https://) */
+  siteUrl: string;
+  /** Built site directory; enables the sitemap file, asset and dead-rule checks */
+  publicDir?: string;
+  /** robots.txt template source (not a path) */
+  template?: string;
+  /** Current robots.txt, kept around the managed block when mergeMode is merge */
+  existingContent?: string;
+  /** Size limit for validation in KB (default 500) */
+  maxSizeKB?: number;
+  /** Environment variables for branch detection and commit_sha (default none) */
+  env?: Record<string, string | undefined>;
+
+  mergeMode?: 'overwrite' | 'merge';
+  robotsUserAgent?: string;
+  robotsDisallow?: string | string[];
+  robotsAllow?: string | string[];
+  robotsCrawlDelay?: string | number;
+  /** Rule groups; replaces the robotsUserAgent/Allow/Disallow/CrawlDelay group */
+  robotsRules?: string | RuleGroup[];
+  aiCrawlers?: 'off' | 'block' | 'allow' | 'custom';
+  aiCrawlersBlock?: string | string[];
+  aiCrawlersAllow?: string | string[];
+  environment?: string;
+  productionBranches?: string | string[];
+  nonProductionSitemapUrls?: string | string[];
+  robotsComments?: boolean | string;
+  strictValidation?: boolean | string;
+  /** Rule ID (or prefix such as R013) to severity or "off" */
+  validationRules?: string | Record<string, Severity | 'off'>;
+  deadRuleCheck?: boolean | string;
+  deadRuleThreshold?: number;
+  assetCheck?: boolean | string;
+  autoAllowAssets?: boolean | string;
+  sitemapUrls?: string | string[];
+  includeSitemap?: boolean | string;
+  sitemapFilename?: string;
+}
+
+export interface SitemapReference {
+  url: string;
+  /** unchecked when no publicDir was given */
+  state: 'found' | 'missing' | 'external' | 'unchecked';
+}
+
+export interface GenerateStats {
+  groups: number;
+  rules: number;
+  sitemaps: number;
+  bytes: number;
+  errors: number;
+  warnings: number;
+}
+
+export interface BuildEnvironment {
+  enabled: boolean;
+  name: string;
+  isProduction: boolean;
+  ref: string | null;
+  source: string;
+}
+
+export interface AiCrawlerDecision {
+  token: string;
+  vendor: string;
+  purpose: string;
+  decision: 'block' | 'allow';
+}
+
+export interface RuleCoverageReport {
+  publicDir: string;
+  thresholdPercent: number;
+  files: number;
+  htmlPages: number;
+  dead: number;
+  broad: number;
+  rules: Array<Record<string, unknown>>;
+}
+
+export interface GenerateResult {
+  content: string;
+  findings: Finding[];
+  sitemaps: SitemapReference[];
+  stats: GenerateStats;
+  /** Groups as rendered, including AI crawler groups and asset Allow lines */
+  groups: NormalizedRuleGroup[];
+  environment: BuildEnvironment;
+  aiCrawlers: { decisions: AiCrawlerDecision[]; skipped: string[] };
+  /** Whether the template was rendered (templates are skipped for lockdown builds) */
+  template: boolean;
+  /** Set when the asset check ran */
+  assets: { references: number; added: Array<{ agent: string; allow: string }> } | null;
+  /** Set in merge mode */
+  merge: { preservedLines: number } | null;
+  /** Set when the dead-rule check ran */
+  coverage: RuleCoverageReport | null;
+}
+
+export interface WriteOptions {
+  outputDir: string;
+  /** File name (default robots.txt) */
+  filename?: string;
+}
+
+export interface WriteResult {
+  path: string;
+  /** False when the file already had these bytes */
+  changed: boolean;
+  bytes: number;
+  createdDir: boolean;
+}
+
+export interface ValidateOptions {
+  /** Report strict-only checks as errors (default true) */
+  strict?: boolean;
+  maxSizeKB?: number;
+  requireSitemap?: boolean;
+  /** Directory to look for local sitemap files in */
+  publicDir?: string | null;
+  siteUrl?: string | null;
+  /** Full rule ID to severity or "off" */
+  rules?: Record<string, Severity | 'off'>;
+}
+
+/** Every rule ID with its default severity and fix hint */
+export declare const RULES: Readonly<Record<string, { severity: Severity; hint: string }>>;
+
+/**
+ * Generate and validate robots.txt without writing anything
+ * @throws {Error} When an option is invalid
+ */
+export declare function generateRobotsTxt(options: GenerateOptions): GenerateResult;
+
+/** Write robots.txt, creating the directory */
+export declare function writeRobotsTxt(
+  result: string | Pick<GenerateResult, 'content'>,
+  options: WriteOptions
+): WriteResult;
+
+/** Validate existing robots.txt content */
+export declare function validateRobotsTxt(content: string, options?: ValidateOptions): Finding[];
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Command-line interface (bos-robots) for use outside GitHub Actions
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const { run } = require('./index');
+const { SETTINGS } = require('./lib/config');
+const { createCliCore } = require('./lib/cli-core');
+const { PROJECT_CONFIG } = require('./lib/project-config');
+
+/**
+ * Exit codes
+ */
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Commands and the action mode they run
+ */
+const COMMANDS = {
+  generate: 'generate',
+  check: 'check',
+  lint: 'lint',
+  'test-url': 'lint',
+};
+
+/**
+ * Action inputs accepted as --flags (config_file is not a setting)
+ */
+const INPUT_NAMES = ['config_file', ...Object.keys(SETTINGS)];
+
+const USAGE = `Usage: bos-robots <command> [options]
+
+Commands:
+  generate                  Generate robots.txt (printed to stdout unless --robots-output-dir is set)
+  check                     Fail when the committed robots.txt differs from the generated one
+  lint [file]               Validate an existing robots.txt
+  test-url <expectation>... Check URL access against an existing robots.txt,
+                            e.g. "allow Googlebot /pricing" "deny * /admin/x"
+
+Options:
+  --<input> <value>         Any action input, with dashes: --site-url https://example.com
+  --<input> / --no-<input>  Boolean inputs: --strict-validation, --no-robots-comments
+  --json                    Print outputs and findings as JSON on stdout
+  -h, --help                Show this help
+  -v, --version             Show the version
+
+List inputs (robots-disallow, sitemap-urls, ...) can be repeated. Logs go to stderr.
+Exit codes: 0 success, 1 validation or check failed, 2 usage error.
+
+Inputs: ${INPUT_NAMES.map((name) => name.replace(/_/g, '-')).join(', ')}`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command:string,inputs:object,positionals:string[],json:boolean,help:boolean,version:boolean}}
+ */
+function parseArgs(argv) {
+  const parsed = {
+    command: '',
+    inputs: {},
+    positionals: [],
+    json: false,
+    help: false,
+    version: false,
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '-h' || arg === '--help') {
+      parsed.help = true;
+    } else if (arg === '-v' || arg === '--version') {
+      parsed.version = true;
+    } else if (arg === '--json') {
+      parsed.json = true;
+    } else if (arg.startsWith('--')) {
+      const [flag, inlineValue] = splitFlag(arg.slice(2));
+      const negated = flag.startsWith('no-') && inlineValue === undefined;
+      const name = (negated ? flag.slice(3) : flag).replace(/-/g, '_');
+      if (!INPUT_NAMES.includes(name)) throw new Error(`Unknown option: ${arg}`);
+
+      let value = inlineValue;
+      if (SETTINGS[name]?.type === 'boolean') {
+        if (value === undefined) value = negated ? 'false' : 'true';
+      } else if (negated) {
+        throw new Error(`--no-${name.replace(/_/g, '-')} only applies to boolean inputs`);
+      } else if (value === undefined) {
+        if (index + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+        value = argv[++index];
+      }
+
+      // Repeated list inputs add lines, like a multi-line action input
+      const isList = ['list', 'severities'].includes(SETTINGS[name]?.type);
+      parsed.inputs[name] =
+        isList && parsed.inputs[name] ? `${parsed.inputs[name]}\n${value}` : value;
+    } else if (!parsed.command) {
+      parsed.command = arg;
+    } else {
+      parsed.positionals.push(arg);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Split `name=value` into its parts
+ * @param {string} flag - Flag without the leading dashes
+ * @returns {[string, string|undefined]}
+ */
+function splitFlag(flag) {
+  const equals = flag.indexOf('=');
+  return equals === -1 ? [flag, undefined] : [flag.slice(0, equals), flag.slice(equals + 1)];
+}
+
+/**
+ * Map a command and its positionals onto action inputs
+ * @param {object} parsed - Result of parseArgs
+ * @returns {object} - Inputs for run()
+ */
+function buildInputs({ command, inputs, positionals }) {
+  const result = { ...inputs, mode: COMMANDS[command] };
+  if (command === 'lint') {
+    if (positionals.length > 1) throw new Error('lint takes a single file');
+    if (positionals.length === 1) result.lint_file = positionals[0];
+  } else if (command === 'test-url') {
+    if (positionals.length === 0) throw new Error('test-url needs at least one expectation');
+    result.test_urls = [inputs.test_urls, ...positionals].filter(Boolean).join('\n');
+  } else if (positionals.length > 0) {
+    throw new Error(`Unexpected argument: ${positionals[0]}`);
+  }
+  return result;
+}
+
+/**
+ * Setting defaults that differ from the action's
+ * Job summaries and artifacts only exist inside GitHub Actions.
+ * @param {object} env - Environment variables
+ * @returns {object} - Typed values by setting name
+ */
+function getCliDefaults(env) {
+  return env.GITHUB_ACTIONS ? {} : { job_summary: false, upload_artifacts: false };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {object} [streams] - Output streams
+ * @param {object} [streams.stdout] - robots.txt and JSON output (defaults to process.stdout)
+ * @param {object} [streams.stderr] - Logs (defaults to process.stderr)
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed;
+  let inputs;
+  try {
+    parsed = parseArgs(argv);
+    if (parsed.help || parsed.version) {
+      stdout.write(`${parsed.help ? USAGE : PROJECT_CONFIG.version}\n`);
+      return EXIT_OK;
+    }
+    if (!COMMANDS[parsed.command]) {
+      throw new Error(
+        parsed.command ? `Unknown command: ${parsed.command}` : 'A command is required'
+      );
+    }
+    inputs = buildInputs(parsed);
+  } catch (err) {
+    stderr.write(`❌ ${err.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  const cliCore = createCliCore({ inputs, stderr });
+  const discard = { write: () => true };
+  await run(cliCore, {
+    stdout: parsed.json ? discard : stdout,
+    defaults: getCliDefaults(process.env),
+  });
+
+  if (parsed.json) {
+    const { findings = '[]', ...outputs } = cliCore.outputs;
+    const report = {
+      command: parsed.command,
+      success: !cliCore.failed,
+      error: cliCore.failed ? cliCore.failureMessage : undefined,
+      outputs,
+      findings: JSON.parse(findings),
+    };
+    stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  }
+  return cliCore.failed ? EXIT_FAILED : EXIT_OK;
+}
+
+module.exports = {
+  COMMANDS,
+  parseArgs,
+  buildInputs,
+  getCliDefaults,
+  main,
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -10,9 +10,9 @@
 // Generates robots.txt files for web applications with validation
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-const core = require('@actions/core');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 let artifactClient = null;
 try {
@@ -28,256 +28,781 @@ try {
   // Artifact client not available in local dev
 }
 
-const { normalizeUrl, formatFileSize, findPublicDir, inferSiteUrl } = require('./lib/utils');
-const { getRobotsTxtHeader } = require('./lib/project-config');
-const { validateRobotsTxt } = require('./lib/validation');
-const { printHeader, printFooter } = require('./lib/output-formatter');
+const { formatFileSize, findPublicDir, inferSiteUrl } = require('./lib/utils');
+const { validateRobotsTxt, serializeFindings } = require('./lib/validation');
+const { countRobotsDirectives, parseRobotsTxt, selectGroup } = require('./lib/robots-parser');
+const {
+  printHeader,
+  printFooter,
+  printConfigSection,
+  printSitemapSection,
+  printValidationResults,
+  printJobSummary,
+  printUrlTestResults,
+} = require('./lib/output-formatter');
+const { RUN_MODES, findConfigFile, loadConfigFile, resolveSettings } = require('./lib/config');
+const { getAiCrawlerRegistry } = require('./lib/ai-crawlers');
+const { detectEnvironment } = require('./lib/environment');
+const { compareRobotsTxt } = require('./lib/diff');
+const { parseExpectations, runUrlTests } = require('./lib/url-tester');
+const { analyzeRuleCoverage } = require('./lib/rule-coverage');
+const { applyRuleOverrides } = require('./lib/findings');
+const { writeSarifFile } = require('./lib/sarif');
+const { createSourceLocator } = require('./lib/annotations');
+const { REPORTERS, VERBOSITY_LEVELS, createReporter } = require('./lib/reporters');
+const { resolveSitemapOptions, generateSitemap } = require('./lib/sitemap');
+const {
+  collectPageAssets,
+  findBlockedAssets,
+  describeBlockedAssets,
+} = require('./lib/asset-check');
+const {
+  GENERATE_SETTINGS,
+  toOptionName,
+  toSitemapUrl,
+  generateRobotsTxt,
+  writeRobotsTxt,
+} = require('./lib/generate');
 
 function getRobotsMaxSizeKb() {
   return parseInt(process.env.TEST_ROBOTS_MAX_SIZE_KB || '500', 10);
 }
 
-function toBool(value, fallback) {
-  if (typeof value === 'string' && value.length > 0) {
-    return /^true$/i.test(value);
+/**
+ * Set the machine-readable outputs describing robots.txt content
+ * @param {object} core - GitHub Actions core module (or the CLI stand-in)
+ * @param {string} content - robots.txt text
+ * @param {Array<object>} results - Findings from validateRobotsTxt
+ */
+function setContentOutputs(core, content, results) {
+  const counts = countRobotsDirectives(content);
+  core.setOutput('robots_content', content);
+  core.setOutput('robots_hash', crypto.createHash('sha256').update(content).digest('hex'));
+  core.setOutput('group_count', String(counts.groups));
+  core.setOutput('rule_count', String(counts.rules));
+  core.setOutput('sitemap_count', String(counts.sitemaps));
+  core.setOutput('findings', JSON.stringify(serializeFindings(results)));
+}
+
+/**
+ * Load URL access expectations from test_urls and test_urls_file
+ * @param {object} settings - Resolved settings
+ * @returns {Array<object>} - Parsed expectations
+ */
+function loadUrlExpectations(settings) {
+  const expectations = parseExpectations(settings.test_urls);
+  if (settings.test_urls_file) {
+    if (!fs.existsSync(settings.test_urls_file)) {
+      throw new Error(`test_urls_file not found: ${settings.test_urls_file}`);
+    }
+    const lines = fs.readFileSync(settings.test_urls_file, 'utf8').split(/\r?\n/);
+    expectations.push(...parseExpectations(lines, settings.test_urls_file));
+  }
+  return expectations;
+}
+
+/**
+ * Log the dead-rule check and write its report to dead_rule_report (when set)
+ * @param {object} reporter - Reporter (see reporters.js)
+ * @param {object} settings - Resolved settings
+ * @param {object} report - Report from analyzeRuleCoverage
+ */
+function logDeadRuleReport(reporter, settings, report) {
+  reporter.info(
+    `\n🪦 Dead-rule check: ${report.rules.length} rule(s) against ${report.files} file(s) (${report.dead} dead, ${report.broad} too broad)`
+  );
+
+  if (settings.dead_rule_report) {
+    const reportDir = path.dirname(settings.dead_rule_report);
+    if (!fs.existsSync(reportDir)) fs.mkdirSync(reportDir, { recursive: true });
+    fs.writeFileSync(settings.dead_rule_report, `${JSON.stringify(report, null, 2)}\n`);
+    reporter.info(`   Report written: ${settings.dead_rule_report}`);
   }
-  if (typeof value === 'boolean') return value;
-  return fallback;
 }
 
-function splitList(raw) {
-  return (raw || '')
-    .split('\n')
-    .map((s) => s.trim())
-    .filter((s) => s.length > 0);
+/**
+ * Check robots.txt rules against the files in public_dir (dead_rule_check)
+ * @param {object} reporter - Reporter (see reporters.js)
+ * @param {string} content - robots.txt text
+ * @param {object} settings - Resolved settings
+ * @param {string} publicDir - Built site directory
+ * @returns {Array<object>} - Findings for dead and overly broad rules
+ */
+function checkDeadRules(reporter, content, settings, publicDir) {
+  if (!settings.dead_rule_check) return [];
+  if (!fs.existsSync(publicDir)) {
+    reporter.warning(`⚠️  Dead-rule check skipped: public_dir not found: ${publicDir}`);
+    return [];
+  }
+
+  const { results: findings, report } = analyzeRuleCoverage(content, {
+    publicDir,
+    thresholdPercent: settings.dead_rule_threshold,
+  });
+  logDeadRuleReport(reporter, settings, report);
+  return findings;
 }
 
-function ensureLeadingSlash(input) {
-  return input.startsWith('/') ? input : `/${input}`;
+/**
+ * Write validation findings to sarif_output (when set)
+ * @param {object} reporter - Reporter (see reporters.js)
+ * @param {object} settings - Resolved settings
+ * @param {Array<object>} results - Findings after validation_rules
+ * @param {object} options - See buildSarifLog
+ */
+function writeSarifReport(reporter, settings, results, options) {
+  if (!settings.sarif_output) return;
+  const count = writeSarifFile(settings.sarif_output, results, options);
+  reporter.info(`📑 SARIF written: ${settings.sarif_output} (${count} result(s))`);
 }
 
-async function run() {
-  try {
-    printHeader(core);
+/**
+ * Generate the sitemap (generate_sitemap) and log its files and findings
+ * Pages are filtered with the rules the generated robots.txt gives User-agent: *.
+ * @param {object} reporter - Reporter (see reporters.js)
+ * @param {object} settings - Resolved settings
+ * @param {object} options - Sitemap options
+ * @param {object} options.sitemapOptions - From resolveSitemapOptions
+ * @param {string} options.robotsContent - Generated robots.txt
+ * @param {string} options.sitemapPath - sitemap.xml path
+ * @param {string} options.sitemapUrl - URL of sitemapPath
+ * @returns {Promise<object>} - Result of generateSitemap plus the finding counts
+ */
+async function writeSitemap(
+  reporter,
+  settings,
+  { sitemapOptions, robotsContent, sitemapPath, sitemapUrl }
+) {
+  printSitemapSection(reporter, {
+    generateXmlSitemap: true,
+    generateTxtSitemap: settings.sitemap_txt,
+    generateGzip: settings.sitemap_gzip,
+    lastmodStrategy: sitemapOptions.lastmodStrategy,
+    changefreq: sitemapOptions.changefreq,
+    priority: sitemapOptions.priority,
+    partition: sitemapOptions.partition,
+  });
+
+  const group = selectGroup(parseRobotsTxt(robotsContent), '*');
+  const sitemap = await generateSitemap(
+    { ...sitemapOptions, robotsRules: group ? group.rules : [] },
+    {
+      path: sitemapPath,
+      url: sitemapUrl,
+      txt: settings.sitemap_txt,
+      gzip: settings.sitemap_gzip,
+      rules: settings.validation_rules,
+    },
+    reporter
+  );
+
+  if (sitemap.index) {
+    reporter.info(
+      `✅ Sitemap index written: ${sitemap.path} (${sitemap.parts.length} sitemap(s), ${sitemap.count} URL(s))`
+    );
+    sitemap.parts.forEach((part) =>
+      reporter.info(
+        `      - ${path.basename(part.path)} (${part.count} URL(s), ${formatFileSize(part.bytes)})`
+      )
+    );
+  } else {
+    reporter.info(`✅ Sitemap written: ${sitemap.path} (${sitemap.count} URL(s))`);
+    reporter.info(`   Size: ${formatFileSize(sitemap.parts[0].bytes)}`);
+  }
+  const written = new Set([sitemap.path, ...sitemap.parts.map((part) => part.path)]);
+  sitemap.files
+    .filter((file) => !written.has(file))
+    .forEach((file) => reporter.info(`   Also written: ${file}`));
+
+  reporter.info('\n🔍 Sitemap validation:');
+  const counts = printValidationResults(reporter, sitemap.findings, sitemap.path, {
+    title: 'sitemap validation',
+  });
+  return { ...sitemap, counts };
+}
+
+/**
+ * Lint an existing robots.txt instead of generating one
+ * @param {object} core - GitHub Actions core module (or the CLI stand-in)
+ * @param {object} reporter - Reporter (see reporters.js)
+ * @param {object} options - Lint options
+ * @param {string} options.lintFile - File to validate
+ * @param {object} options.settings - Resolved settings
+ * @param {object} options.sources - Setting sources
+ * @param {string} options.publicDir - Public directory (for local sitemap checks)
+ * @param {string} options.siteUrl - Site URL ('' when unknown)
+ * @param {number} options.maxSizeKB - Maximum recommended size in KB
+ * @param {Array<object>} options.expectations - URL access expectations
+ */
+async function runLint(
+  core,
+  reporter,
+  { lintFile, settings, sources, publicDir, siteUrl, maxSizeKB, expectations }
+) {
+  const configItems = {
+    Mode: 'lint',
+    File: lintFile,
+    'Strict Validation': settings.strict_validation ? 'Enabled' : 'Disabled',
+    'Validation Rules': `${Object.keys(settings.validation_rules).length} override(s)`,
+  };
+  const configSources = {
+    Mode: sources.mode,
+    File: sources.lint_file,
+    'Strict Validation': sources.strict_validation,
+    'Validation Rules': sources.validation_rules,
+  };
+  printConfigSection(reporter, '🔍', 'Lint', configItems, configSources);
+
+  if (!fs.existsSync(lintFile)) {
+    reporter.fail(`❌ lint_file not found: ${lintFile}`);
+    return;
+  }
+
+  const content = fs.readFileSync(lintFile, 'utf8');
+  const findings = validateRobotsTxt(content, {
+    strict: settings.strict_validation,
+    maxSizeKB,
+    requireSitemap: false,
+    publicDir: fs.existsSync(publicDir) ? publicDir : null,
+    siteUrl: siteUrl || null,
+  });
+  findings.push(...checkDeadRules(reporter, content, settings, publicDir));
+  if ((settings.asset_check || settings.auto_allow_assets) && fs.existsSync(publicDir)) {
+    const blocked = findBlockedAssets(content, collectPageAssets(publicDir, siteUrl));
+    findings.push(...describeBlockedAssets(blocked));
+  }
+  const results = applyRuleOverrides(findings, settings.validation_rules);
+
+  reporter.info('\n🔍 Validation:');
+  const counts = printValidationResults(reporter, results, lintFile, {
+    locate: createSourceLocator({ file: lintFile }),
+  });
+  writeSarifReport(reporter, settings, results, { file: lintFile });
+  core.setOutput('robots_path', lintFile);
+  core.setOutput('changed', 'false');
+  setContentOutputs(core, content, results);
+
+  const urlTests = runUrlTests(content, expectations);
+  const failedUrlTests = urlTests.length > 0 ? printUrlTestResults(reporter, urlTests) : 0;
+
+  let status = `✅ ${lintFile}: no errors (${counts.warnings} warning(s))`;
+  if (counts.errors > 0) {
+    status = `❌ ${lintFile}: ${counts.errors} error(s), ${counts.warnings} warning(s)`;
+  } else if (failedUrlTests > 0) {
+    status = `❌ ${lintFile}: ${failedUrlTests} URL expectation(s) failed`;
+  }
+  if (settings.job_summary) {
+    await printJobSummary(core, {
+      status,
+      configuration: { items: configItems, sources: configSources },
+      file: { path: lintFile, content, maxSizeKB },
+      results,
+      urlTests,
+    });
+  }
 
+  if (counts.errors > 0 || failedUrlTests > 0) {
+    reporter.fail(status);
+    return;
+  }
+  reporter.info(`\n${status}`);
+  printFooter(reporter);
+}
+
+/**
+ * Generate, check or lint robots.txt
+ * Reads settings through `core.getInput` and writes logs through a reporter
+ * on top of `core` (see reporters.js), so the CLI runs the exact same steps
+ * with its own stand-in (see cli.js).
+ * @param {object} core - GitHub Actions core module (or the CLI stand-in)
+ * @param {object} [options] - Run options
+ * @param {object} [options.stdout] - Stream that receives robots.txt when robots_output_dir is not set
+ * @param {object} [options.defaults] - Setting defaults of the caller (see resolveSettings)
+ */
+async function run(core, { stdout, defaults } = {}) {
+  // Settings can fail to load before the configured reporter exists
+  let reporter = createReporter(core);
+  try {
     const ROBOTS_MAX_SIZE_KB = getRobotsMaxSizeKb();
-    const allowAutodetect = toBool(core.getInput('allow_autodetect') || 'true', true);
-    const strictValidation = toBool(core.getInput('strict_validation') || 'true', true);
+
+    // Load repository config file (explicit inputs take precedence over it)
+    const configPath = findConfigFile((core.getInput('config_file') || '').trim());
+    let loaded = { values: {}, unknownKeys: [] };
+    if (configPath) loaded = loadConfigFile(configPath);
+    const { values: settings, sources } = resolveSettings({
+      getInput: (name) => core.getInput(name),
+      fileValues: loaded.values,
+      defaults,
+    });
+
+    // Set before any early return so every mode reports the environment
+    const buildEnv = detectEnvironment({
+      environment: settings.environment,
+      productionBranches: settings.production_branches,
+      env: process.env,
+    });
+    core.setOutput('environment', buildEnv.name);
+    core.setOutput('is_production', String(buildEnv.isProduction));
+
+    const reporterName = settings.reporter.toLowerCase();
+    if (!REPORTERS.includes(reporterName)) {
+      reporter.fail(`❌ reporter must be one of ${REPORTERS.join(', ')}`);
+      return;
+    }
+    // debug_show_robots is the old switch for the robots.txt dump, now part of debug verbosity
+    let verbosity = settings.verbosity.toLowerCase();
+    if (settings.debug_show_robots && sources.verbosity === 'default') verbosity = 'debug';
+    if (!VERBOSITY_LEVELS.includes(verbosity)) {
+      reporter.fail(`❌ verbosity must be one of ${VERBOSITY_LEVELS.join(', ')}`);
+      return;
+    }
+    reporter = createReporter(core, { reporter: reporterName, verbosity });
+
+    printHeader(reporter);
+    if (configPath) {
+      reporter.info(`📄 Loaded config file: ${configPath}`);
+      if (loaded.unknownKeys.length > 0) {
+        reporter.warning(`⚠️  Unknown keys in ${configPath}: ${loaded.unknownKeys.join(', ')}`);
+      }
+    }
+    if (settings.debug_show_robots) {
+      reporter.warning('⚠️  debug_show_robots is deprecated; use verbosity: debug');
+    }
+
+    const allowAutodetect = settings.allow_autodetect;
+    const strictValidation = settings.strict_validation;
 
     // Get robots.txt configuration
-    let siteUrl = (core.getInput('site_url') || '').trim();
-    let publicDir = core.getInput('public_dir') || 'dist';
-    const robotsOutputDir = core.getInput('robots_output_dir') || publicDir;
-    const robotsFilename = core.getInput('robots_filename') || 'robots.txt';
-    const robotsUserAgent = core.getInput('robots_user_agent') || '*';
-    const robotsDisallow = splitList(core.getInput('robots_disallow'));
-    const robotsAllow = splitList(core.getInput('robots_allow'));
-    const robotsCrawlDelay = (core.getInput('robots_crawl_delay') || '').trim();
-    const robotsComments = toBool(core.getInput('robots_comments') || 'true', true);
-    const sitemapUrls = splitList(core.getInput('sitemap_urls'));
-    const includeSitemap = toBool(core.getInput('include_sitemap') || 'true', true);
-    const sitemapFilename = core.getInput('sitemap_filename') || 'sitemap.xml';
-    const debugShowRobots = toBool(core.getInput('debug_show_robots'), false);
-    const uploadArtifacts = toBool(core.getInput('upload_artifacts'), false);
-    const artifactName = core.getInput('artifact_name') || 'robots-file';
-    const artifactRetentionDays =
-      parseInt(core.getInput('artifact_retention_days') || '0', 10) || undefined;
+    let siteUrl = settings.site_url;
+    let publicDir = settings.public_dir;
+    const robotsOutputDir = settings.robots_output_dir || publicDir;
+    const robotsFilename = settings.robots_filename;
+    const robotsUserAgent = settings.robots_user_agent;
+    const robotsDisallow = settings.robots_disallow;
+    const robotsAllow = settings.robots_allow;
+    const robotsCrawlDelay = settings.robots_crawl_delay;
+    const robotsComments = settings.robots_comments;
+    const sitemapUrls = settings.sitemap_urls;
+    // A generated sitemap is always referenced
+    const includeSitemap = settings.include_sitemap || settings.generate_sitemap;
+    const sitemapFilename = settings.sitemap_filename;
+    const uploadArtifacts = settings.upload_artifacts;
+    const artifactName = settings.artifact_name;
+    const artifactRetentionDays = settings.artifact_retention_days || undefined;
 
     // Auto-detect public_dir and site_url
     if (allowAutodetect) {
       const detectedDir = findPublicDir(publicDir);
       if (detectedDir && detectedDir !== publicDir) {
-        core.info(`🔧 Auto-detected public_dir: ${detectedDir}`);
+        reporter.info(`🔧 Auto-detected public_dir: ${detectedDir}`);
         publicDir = detectedDir;
+        sources.public_dir = 'auto-detected';
       }
 
       if (!siteUrl) {
         const inferred = inferSiteUrl(publicDir);
         if (inferred) {
           siteUrl = inferred;
-          core.info(`🔧 Auto-inferred site_url: ${siteUrl}`);
+          sources.site_url = 'auto-detected';
+          reporter.info(`🔧 Auto-inferred site_url: ${siteUrl}`);
         }
       }
     }
 
-    // Validate inputs
-    if (!siteUrl) {
-      core.setFailed('❌ site_url is required or could not be auto-detected');
+    const mode = settings.mode.toLowerCase();
+    if (!RUN_MODES.includes(mode)) {
+      reporter.fail(`❌ mode must be one of ${RUN_MODES.join(', ')}`);
       return;
     }
 
-    if (!/^https?:\/\//i.test(siteUrl)) {
-      core.setFailed('❌ site_url must start with http:// or https://');
+    const expectations = loadUrlExpectations(settings);
+
+    // Lint mode skips generation (site_url is optional there)
+    if (mode === 'lint') {
+      await runLint(core, reporter, {
+        expectations,
+        lintFile: settings.lint_file || path.join(robotsOutputDir, robotsFilename),
+        settings,
+        sources,
+        publicDir,
+        siteUrl,
+        maxSizeKB: ROBOTS_MAX_SIZE_KB,
+      });
       return;
     }
 
-    if (!fs.existsSync(publicDir)) {
-      core.setFailed(`❌ public_dir not found: ${publicDir}`);
+    // Validate inputs
+    if (!siteUrl) {
+      reporter.fail('❌ site_url is required or could not be auto-detected');
       return;
     }
 
-    if (!fs.existsSync(robotsOutputDir)) {
-      fs.mkdirSync(robotsOutputDir, { recursive: true });
-      core.info(`📁 Created robots_output_dir: ${robotsOutputDir}`);
+    if (!fs.existsSync(publicDir)) {
+      reporter.fail(`❌ public_dir not found: ${publicDir}`);
+      return;
     }
 
-    core.info('\n⚙️  Configuration:');
-    core.info(`   Site URL:            ${siteUrl}`);
-    core.info(`   Public Directory:    ${publicDir}`);
-    core.info(`   Robots Output Dir:   ${robotsOutputDir}`);
-    core.info(`   Robots Filename:     ${robotsFilename}`);
-    core.info(`   User-Agent:          ${robotsUserAgent}`);
-
-    if (robotsDisallow.length > 0) {
-      core.info(`   Disallow Paths:      ${robotsDisallow.join(', ')}`);
-    } else {
-      core.info('   Disallow Paths:      (none - allow all)');
+    const robotsTemplate = settings.robots_template;
+    if (robotsTemplate && !fs.existsSync(robotsTemplate)) {
+      reporter.fail(`❌ robots_template not found: ${robotsTemplate}`);
+      return;
     }
 
-    if (robotsAllow.length > 0) {
-      core.info(`   Allow Paths:         ${robotsAllow.join(', ')}`);
+    let sitemapOptions = null;
+    if (settings.generate_sitemap) {
+      try {
+        sitemapOptions = resolveSitemapOptions(settings, { siteUrl, publicDir });
+      } catch (err) {
+        reporter.fail(`❌ ${err.message}`);
+        return;
+      }
     }
 
-    if (robotsCrawlDelay) {
-      core.info(`   Crawl Delay:         ${robotsCrawlDelay}s`);
+    const usesRulesSetting = settings.robots_rules.length > 0;
+    if (
+      usesRulesSetting &&
+      (robotsDisallow.length > 0 || robotsAllow.length > 0 || robotsCrawlDelay)
+    ) {
+      reporter.warning(
+        '⚠️  robots_rules is set; robots_allow, robots_disallow and robots_crawl_delay are ignored'
+      );
     }
 
-    if (includeSitemap) {
-      core.info(`   Default Sitemap:     ${sitemapFilename}`);
+    const mergeMode = settings.merge_mode.toLowerCase();
+    const robotsPath = path.join(robotsOutputDir, robotsFilename);
+    const readIfExists = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '');
+
+    const generateOptions = {
+      ...Object.fromEntries(GENERATE_SETTINGS.map((name) => [toOptionName(name), settings[name]])),
+      includeSitemap,
+      siteUrl,
+      publicDir,
+      template: robotsTemplate ? fs.readFileSync(robotsTemplate, 'utf8') : '',
+      existingContent: mergeMode === 'merge' ? readIfExists(robotsPath) : '',
+      maxSizeKB: ROBOTS_MAX_SIZE_KB,
+      env: process.env,
+    };
+    let generated;
+    try {
+      generated = generateRobotsTxt(generateOptions);
+    } catch (err) {
+      // Template errors name their line; everything else is an invalid setting
+      if (!robotsTemplate || !/^Template line/.test(err.message)) {
+        reporter.fail(`❌ ${err.message}`);
+      } else {
+        reporter.fail(`❌ robots_template ${robotsTemplate}: ${err.message}`);
+      }
+      return;
     }
-
-    if (sitemapUrls.length > 0) {
-      core.info(`   Additional Sitemaps: ${sitemapUrls.length} URL(s)`);
-      sitemapUrls.forEach((url) => core.info(`      - ${url}`));
+    const aiCrawlers = generated.aiCrawlers;
+    if (aiCrawlers.skipped.length > 0) {
+      reporter.info(
+        `ℹ️  AI crawler preset skipped tokens with their own group: ${aiCrawlers.skipped.join(', ')}`
+      );
     }
 
-    if (robotsComments) {
-      core.info(`   Custom Comments:     Yes`);
+    // Without robots_output_dir the CLI prints robots.txt instead of writing it
+    const toStdout = Boolean(stdout) && !settings.robots_output_dir;
+
+    const configItems = {
+      'Config File': configPath || '(none)',
+      Mode: mode,
+      'Site URL': siteUrl,
+      'Public Directory': publicDir,
+      'Robots Output Dir': robotsOutputDir,
+      'Robots Filename': robotsFilename,
+      'Merge Mode': mergeMode,
+      Template: robotsTemplate || 'None (built-in layout)',
+      'Custom Comments': robotsComments ? 'Yes' : 'No',
+      'Strict Validation': strictValidation ? 'Enabled' : 'Disabled',
+      'Validation Rules': `${Object.keys(settings.validation_rules).length} override(s)`,
+      'Generate Sitemap': settings.generate_sitemap ? 'Enabled' : 'Disabled',
+      'Upload Artifacts': uploadArtifacts ? 'Enabled' : 'Disabled',
+      'URL Tests': `${expectations.length} expectation(s)`,
+    };
+    const configSources = {
+      Mode: sources.mode,
+      'Site URL': sources.site_url,
+      'Public Directory': sources.public_dir,
+      'Robots Output Dir': sources.robots_output_dir,
+      'Robots Filename': sources.robots_filename,
+      'Merge Mode': sources.merge_mode,
+      Template: sources.robots_template,
+      'Custom Comments': sources.robots_comments,
+      'Strict Validation': sources.strict_validation,
+      'Validation Rules': sources.validation_rules,
+      'Generate Sitemap': sources.generate_sitemap,
+      'Upload Artifacts': sources.upload_artifacts,
+    };
+    printConfigSection(reporter, '⚙️ ', 'Configuration', configItems, configSources);
+
+    if (buildEnv.enabled) {
+      printConfigSection(
+        reporter,
+        '🌍',
+        'Environment',
+        {
+          Environment: buildEnv.name,
+          Production: buildEnv.isProduction ? 'Yes' : 'No (Disallow: / for all crawlers)',
+          'Detected From': buildEnv.ref ? `${buildEnv.source} (${buildEnv.ref})` : buildEnv.source,
+        },
+        { Environment: buildEnv.source === 'environment' ? sources.environment : undefined }
+      );
     }
 
-    core.info(`   Strict Validation:   ${strictValidation ? 'Enabled' : 'Disabled'}`);
-    core.info(`   Upload Artifacts:    ${uploadArtifacts ? 'Enabled' : 'Disabled'}`);
-
-    core.info('\n📝 Generating robots.txt...\n');
-
-    // Build robots.txt content
-    let robotsContent = robotsComments ? getRobotsTxtHeader() : '';
-
-    robotsContent += `\nUser-agent: ${robotsUserAgent}\n`;
-
-    // Build Allow/Disallow sections
-    if (robotsDisallow.length === 0 && robotsAllow.length === 0) {
-      robotsContent += 'Disallow:\n';
-    } else {
+    // Non-production builds replace the rules and AI presets with the lockdown group
+    if (buildEnv.isProduction && usesRulesSetting) {
+      printConfigSection(
+        reporter,
+        '🤖',
+        'Rules',
+        { 'Rule Groups': `${settings.robots_rules.length} (from robots_rules)` },
+        { 'Rule Groups': sources.robots_rules }
+      );
+      settings.robots_rules.forEach((group) => {
+        const counts = `${group.allow.length} allow, ${group.disallow.length} disallow`;
+        reporter.info(`      - ${group.userAgents.join(', ')} (${counts})`);
+      });
+    } else if (buildEnv.isProduction) {
+      const ruleItems = {
+        'User-Agent': robotsUserAgent,
+        'Disallow Paths': robotsDisallow.length ? robotsDisallow.join(', ') : '(none - allow all)',
+      };
+      const ruleSources = {
+        'User-Agent': sources.robots_user_agent,
+        'Disallow Paths': sources.robots_disallow,
+      };
       if (robotsAllow.length > 0) {
-        robotsAllow.forEach((allow) => {
-          robotsContent += `Allow: ${ensureLeadingSlash(allow)}\n`;
-        });
+        ruleItems['Allow Paths'] = robotsAllow.join(', ');
+        ruleSources['Allow Paths'] = sources.robots_allow;
       }
-      if (robotsDisallow.length > 0) {
-        robotsDisallow.forEach((disallow) => {
-          robotsContent += `Disallow: ${ensureLeadingSlash(disallow)}\n`;
-        });
+      if (robotsCrawlDelay) {
+        ruleItems['Crawl Delay'] = `${robotsCrawlDelay}s`;
+        ruleSources['Crawl Delay'] = sources.robots_crawl_delay;
       }
+      printConfigSection(reporter, '🤖', 'Rules', ruleItems, ruleSources);
     }
 
-    // Add Crawl-delay if specified
-    if (robotsCrawlDelay) {
-      robotsContent += `Crawl-delay: ${robotsCrawlDelay}\n`;
+    if (aiCrawlers.decisions.length > 0) {
+      const blockedCount = aiCrawlers.decisions.filter((c) => c.decision === 'block').length;
+      const allowedCount = aiCrawlers.decisions.length - blockedCount;
+      printConfigSection(
+        reporter,
+        '🧠',
+        'AI Crawlers',
+        {
+          Mode: settings.ai_crawlers,
+          Registry: `v${getAiCrawlerRegistry().version}`,
+          Blocked: `${blockedCount} crawler(s)`,
+          Allowed: `${allowedCount} crawler(s)`,
+        },
+        { Mode: sources.ai_crawlers }
+      );
+    }
+
+    if (buildEnv.isProduction) {
+      const sitemapItems = {
+        'Default Sitemap': includeSitemap ? sitemapFilename : 'Disabled',
+        'Additional Sitemaps': `${sitemapUrls.length} URL(s)`,
+      };
+      printConfigSection(reporter, '🗺️ ', 'Sitemaps', sitemapItems, {
+        'Default Sitemap': includeSitemap ? sources.sitemap_filename : sources.include_sitemap,
+        'Additional Sitemaps': sources.sitemap_urls,
+      });
+      sitemapUrls.forEach((url) => reporter.info(`      - ${url}`));
+    } else {
+      const nonProductionSitemaps = settings.non_production_sitemap_urls;
+      printConfigSection(
+        reporter,
+        '🗺️ ',
+        'Sitemaps',
+        { 'Sitemap URLs': `${nonProductionSitemaps.length} URL(s)` },
+        { 'Sitemap URLs': sources.non_production_sitemap_urls }
+      );
+      nonProductionSitemaps.forEach((url) => reporter.info(`      - ${url}`));
     }
 
-    // Add Sitemap directives
-    const normalizedSitemaps = [];
+    // The sitemap is written before robots.txt is validated, so its Sitemap line
+    // points at an existing file; check mode only compares robots.txt
+    let sitemap = null;
+    if (sitemapOptions && mode === 'generate' && !buildEnv.isProduction) {
+      reporter.info(
+        `\n🗺️  Sitemap generation skipped for ${buildEnv.name} build (crawling disabled)`
+      );
+    } else if (sitemapOptions && mode === 'generate') {
+      sitemap = await writeSitemap(reporter, settings, {
+        sitemapOptions,
+        robotsContent: generated.content,
+        sitemapPath: path.join(robotsOutputDir, sitemapFilename),
+        sitemapUrl: toSitemapUrl(siteUrl, sitemapFilename),
+      });
+      generated = generateRobotsTxt(generateOptions);
+    }
+    const { content: robotsContent, findings: validationResults } = generated;
 
-    // Add default sitemap if include_sitemap is true
-    if (includeSitemap) {
-      const defaultSitemapPath = ensureLeadingSlash(sitemapFilename);
-      const defaultSitemapUrl = normalizeUrl(siteUrl, defaultSitemapPath);
-      normalizedSitemaps.push(defaultSitemapUrl);
+    reporter.info('\n📝 Generating robots.txt...\n');
+    if (generated.template) {
+      reporter.info(`🧩 Rendered template: ${robotsTemplate}`);
+    } else if (robotsTemplate) {
+      reporter.info(`🧩 Template skipped for ${buildEnv.name} build: ${robotsTemplate}`);
     }
 
-    // Add additional sitemap URLs
-    sitemapUrls.forEach((url) => {
-      // If the URL doesn't start with http, treat it as a path and prepend site_url
-      if (!/^https?:\/\//i.test(url)) {
-        normalizedSitemaps.push(normalizeUrl(siteUrl, ensureLeadingSlash(url)));
-      } else {
-        normalizedSitemaps.push(url);
+    if (generated.assets) {
+      reporter.info(
+        `🎨 Asset check: ${generated.assets.references} stylesheet/script/image reference(s) found`
+      );
+      if (generated.assets.added.length > 0) {
+        reporter.info(
+          `   Added ${generated.assets.added.length} Allow line(s) for rendering assets:`
+        );
+        generated.assets.added.forEach(({ agent, allow }) =>
+          reporter.info(`      - ${agent}: Allow: ${allow}`)
+        );
       }
-    });
+    }
 
-    if (normalizedSitemaps.length > 0) {
-      robotsContent += '\n';
-      normalizedSitemaps.forEach((url) => {
-        robotsContent += `Sitemap: ${url}\n`;
-      });
+    if (generated.merge) {
+      reporter.info(
+        `🔀 Merged into existing robots.txt (${generated.merge.preservedLines} unmanaged line(s) kept)`
+      );
     }
 
-    const robotsPath = path.join(robotsOutputDir, robotsFilename);
+    if (generated.coverage) {
+      logDeadRuleReport(reporter, settings, generated.coverage);
+    }
 
-    // Validate robots.txt content
-    const validationResults = validateRobotsTxt(robotsContent, {
-      strict: strictValidation,
-      maxSizeKB: ROBOTS_MAX_SIZE_KB,
-      requireSitemap: false,
-      publicDir: publicDir,
-      siteUrl: siteUrl,
+    reporter.info('\n🔍 Validation:');
+    // Printed robots.txt has no file the findings could point at
+    const robotsLabel = toStdout ? '<stdout>' : robotsPath;
+    const locate = createSourceLocator({ content: robotsContent, configFile: configPath });
+    const hasErrors =
+      printValidationResults(reporter, validationResults, robotsLabel, { locate }).errors > 0;
+    writeSarifReport(reporter, settings, validationResults, {
+      file: robotsPath,
+      configFile: configPath || undefined,
+      content: robotsContent,
     });
+    setContentOutputs(core, robotsContent, validationResults);
+
+    // Job summary report (same data as the console output)
+    const report = {
+      configuration: { items: configItems, sources: configSources },
+      file: { path: robotsLabel, content: robotsContent, maxSizeKB: ROBOTS_MAX_SIZE_KB },
+      results: validationResults,
+      sitemaps: generated.sitemaps,
+    };
+    const writeSummary = (status, extra = {}) =>
+      settings.job_summary ? printJobSummary(core, { ...report, ...extra, status }) : false;
 
-    core.info('\n🔍 Validation:');
-    let hasErrors = false;
-    for (const result of validationResults) {
-      if (result.type === 'error') {
-        core.error(`   ${result.message}`);
-        hasErrors = true;
-      } else if (result.type === 'warning') {
-        core.warning(`   ${result.message}`);
-      } else {
-        core.info(`   ${result.message}`);
+    if (hasErrors && strictValidation) {
+      core.setOutput('changed', 'false');
+      await writeSummary('❌ Validation failed');
+      reporter.fail('❌ Robots.txt validation failed (see errors above)');
+      return;
+    }
+    if (sitemap && sitemap.counts.errors > 0 && strictValidation) {
+      core.setOutput('changed', 'false');
+      await writeSummary('❌ Sitemap validation failed');
+      reporter.fail('❌ Sitemap validation failed (see errors above)');
+      return;
+    }
+
+    // URL expectations describe production access, so they are skipped for lockdown builds
+    if (expectations.length > 0 && !buildEnv.isProduction) {
+      reporter.info(`\n🧪 URL tests skipped for ${buildEnv.name} build (crawling disabled)`);
+    } else if (expectations.length > 0) {
+      report.urlTests = runUrlTests(robotsContent, expectations);
+      const failed = printUrlTestResults(reporter, report.urlTests);
+      if (failed > 0) {
+        core.setOutput('changed', 'false');
+        await writeSummary(`❌ ${failed} URL expectation(s) failed`);
+        reporter.fail(`❌ ${failed} URL expectation(s) failed (see errors above)`);
+        return;
       }
     }
 
-    if (hasErrors && strictValidation) {
-      core.setFailed('❌ Robots.txt validation failed (see errors above)');
+    // Check mode compares with the committed file instead of writing it
+    if (mode === 'check') {
+      core.setOutput('robots_path', robotsPath);
+      core.setOutput('changed', 'false');
+      if (!fs.existsSync(robotsPath)) {
+        await writeSummary(`❌ ${robotsPath} does not exist`);
+        reporter.fail(`❌ ${robotsPath} does not exist (run with mode: generate and commit it)`);
+        return;
+      }
+      const { equal, diff } = compareRobotsTxt(fs.readFileSync(robotsPath, 'utf8'), robotsContent, {
+        fromLabel: `${robotsPath} (committed)`,
+        toLabel: `${robotsPath} (generated)`,
+      });
+      if (!equal) {
+        reporter.info('\n📋 Differences (comments and blank lines ignored):');
+        diff
+          .trimEnd()
+          .split('\n')
+          .forEach((line) => reporter.info(line));
+        await writeSummary(`❌ ${robotsPath} is out of date`, { diff });
+        reporter.fail(`❌ ${robotsPath} is out of date (run with mode: generate and commit it)`);
+        return;
+      }
+      reporter.info(`\n✅ ${robotsPath} is up to date`);
+      await writeSummary(`✅ ${robotsPath} is up to date`);
+      printFooter(reporter);
       return;
     }
 
-    // Write robots.txt to disk
-    fs.writeFileSync(robotsPath, robotsContent);
-    const robotsSize = fs.statSync(robotsPath).size;
-    core.info(`✅ robots.txt written: ${robotsPath}`);
-    core.info(`   Size: ${formatFileSize(robotsSize)}`);
+    // Write robots.txt, noting whether the bytes changed
+    let changed = readIfExists(robotsPath) !== robotsContent;
+    const writtenTo = toStdout ? 'stdout' : robotsPath;
+    if (toStdout) {
+      stdout.write(robotsContent);
+    } else {
+      const written = writeRobotsTxt(generated, {
+        outputDir: robotsOutputDir,
+        filename: robotsFilename,
+      });
+      if (written.createdDir) reporter.info(`📁 Created robots_output_dir: ${robotsOutputDir}`);
+      changed = written.changed;
+    }
+    reporter.info(`✅ robots.txt written: ${writtenTo}`);
+    reporter.info(`   Size: ${formatFileSize(generated.stats.bytes)}`);
+    reporter.info(`   ${changed ? 'Changed' : 'Unchanged'} since the previous file`);
 
     // Debug output
-    if (debugShowRobots) {
-      core.info('\n📋 Generated robots.txt:');
-      core.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-      robotsContent.split('\n').forEach((line) => core.info(line));
-      core.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    }
+    reporter.debug('\n📋 Generated robots.txt:');
+    reporter.debug('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    robotsContent.split('\n').forEach((line) => reporter.debug(line));
+    reporter.debug('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
     // Optional artifact upload
-    if (uploadArtifacts && artifactClient) {
+    if (uploadArtifacts && artifactClient && !toStdout) {
       try {
-        const files = [robotsPath];
+        const files = [robotsPath, ...(sitemap ? sitemap.files : [])];
         const uploadOptions = { retentionDays: artifactRetentionDays };
-        core.info('\n📦 Uploading artifacts...');
+        reporter.info('\n📦 Uploading artifacts...');
         await artifactClient.uploadArtifact(artifactName, files, robotsOutputDir, uploadOptions);
-        core.info(`✅ Artifact uploaded: ${artifactName}`);
+        reporter.info(`✅ Artifact uploaded: ${artifactName}`);
       } catch (err) {
-        core.warning(
+        reporter.warning(
           `⚠️  Failed to upload artifacts: ${err instanceof Error ? err.message : String(err)}`
         );
       }
     }
 
-    printFooter(core);
+    await writeSummary(`✅ Written to ${writtenTo}`);
+    printFooter(reporter);
 
     // Set output
-    core.setOutput('robots_path', robotsPath);
+    core.setOutput('robots_path', toStdout ? '' : robotsPath);
+    core.setOutput('changed', String(changed));
+    core.setOutput('sitemap_path', sitemap ? sitemap.path : '');
+    core.setOutput('url_count', String(sitemap ? sitemap.count : 0));
   } catch (err) {
-    core.setFailed(err instanceof Error ? err.message : String(err));
+    reporter.fail(err instanceof Error ? err.message : String(err));
   }
 }
 
-run();
+module.exports = { run };
+
+if (require.main === module) {
+  run(require('@actions/core'));
+}
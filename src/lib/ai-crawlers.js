@@ -0,0 +1,139 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// AI crawler policy presets backed by the bundled crawler registry
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const registry = require('../data/ai-crawlers.json');
+
+const AI_CRAWLER_MODES = ['off', 'block', 'allow', 'custom'];
+const PURPOSES = Object.keys(registry.purposes);
+
+/**
+ * Get the bundled AI crawler registry
+ * @returns {{version:string,updated:string,purposes:object,crawlers:Array<{token:string,vendor:string,purpose:string}>}}
+ */
+function getAiCrawlerRegistry() {
+  return registry;
+}
+
+/**
+ * Decide block/allow for every registry crawler
+ * In custom mode, entries of `block` and `allow` are purposes (training,
+ * search, user) or crawler tokens. A token entry beats a purpose entry, and
+ * block beats allow. Tokens missing from the registry are added as-is.
+ * @param {object} options - Policy options
+ * @param {string} options.mode - off | block | allow | custom
+ * @param {string[]} [options.block] - Purposes/tokens to block (custom mode)
+ * @param {string[]} [options.allow] - Purposes/tokens to allow (custom mode)
+ * @returns {Array<{token:string,vendor:string,purpose:string,decision:'block'|'allow'}>}
+ */
+function resolveAiCrawlerPolicy({ mode = 'off', block = [], allow = [] }) {
+  const normalizedMode = (mode || 'off').toLowerCase();
+  if (!AI_CRAWLER_MODES.includes(normalizedMode)) {
+    throw new Error(`ai_crawlers must be one of ${AI_CRAWLER_MODES.join(', ')} (got "${mode}")`);
+  }
+  if (normalizedMode === 'off') return [];
+
+  const crawlers = registry.crawlers.map((c) => ({ ...c }));
+  if (normalizedMode !== 'custom') {
+    return crawlers.map((c) => ({ ...c, decision: normalizedMode }));
+  }
+
+  const split = (entries) => {
+    const purposes = new Set();
+    const tokens = new Set();
+    for (const entry of entries) {
+      const key = entry.toLowerCase();
+      if (PURPOSES.includes(key)) purposes.add(key);
+      else tokens.add(key);
+    }
+    return { purposes, tokens };
+  };
+  const blocked = split(block);
+  const allowed = split(allow);
+
+  // Custom tokens not present in the registry
+  const known = new Set(crawlers.map((c) => c.token.toLowerCase()));
+  for (const entry of [...block, ...allow]) {
+    const key = entry.toLowerCase();
+    if (!PURPOSES.includes(key) && !known.has(key)) {
+      crawlers.push({ token: entry, vendor: 'custom', purpose: 'custom' });
+      known.add(key);
+    }
+  }
+
+  const decisions = [];
+  for (const crawler of crawlers) {
+    const token = crawler.token.toLowerCase();
+    let decision = null;
+    if (blocked.tokens.has(token)) decision = 'block';
+    else if (allowed.tokens.has(token)) decision = 'allow';
+    else if (blocked.purposes.has(crawler.purpose)) decision = 'block';
+    else if (allowed.purposes.has(crawler.purpose)) decision = 'allow';
+    if (decision) decisions.push({ ...crawler, decision });
+  }
+  return decisions;
+}
+
+/**
+ * Build robots.txt groups for the AI crawler policy
+ * One group is produced per decision and purpose. Blocked crawlers get
+ * `Disallow: /`; allowed crawlers get the same rules and Crawl-delay as the
+ * `*` group so that naming them explicitly does not widen their access.
+ * Tokens that already have a group in `existingGroups` are left untouched.
+ * @param {object} options - Policy options (see resolveAiCrawlerPolicy)
+ * @param {Array<object>} [options.existingGroups] - Groups already generated
+ * @returns {{groups:Array<object>,skipped:string[],decisions:Array<object>}}
+ */
+function buildAiCrawlerGroups({ mode, block = [], allow = [], existingGroups = [] }) {
+  const existingAgents = new Set();
+  existingGroups.forEach((group) =>
+    group.userAgents.forEach((agent) => existingAgents.add(agent.toLowerCase()))
+  );
+  const wildcard = existingGroups.find((group) => group.userAgents.includes('*'));
+
+  const skipped = [];
+  const decisions = resolveAiCrawlerPolicy({ mode, block, allow }).filter((c) => {
+    if (existingAgents.has(c.token.toLowerCase())) {
+      skipped.push(c.token);
+      return false;
+    }
+    return true;
+  });
+
+  const groups = [];
+  for (const decision of ['block', 'allow']) {
+    for (const purpose of [...PURPOSES, 'custom']) {
+      const tokens = decisions
+        .filter((c) => c.decision === decision && c.purpose === purpose)
+        .map((c) => c.token);
+      if (tokens.length === 0) continue;
+
+      const label = purpose === 'custom' ? 'Additional AI' : `AI ${purpose}`;
+      const state = decision === 'block' ? 'blocked' : 'allowed';
+      groups.push({
+        userAgents: tokens,
+        allow: decision === 'allow' && wildcard ? [...wildcard.allow] : [],
+        disallow: decision === 'block' ? ['/'] : wildcard ? [...wildcard.disallow] : [],
+        crawlDelay: decision === 'allow' && wildcard ? wildcard.crawlDelay || '' : '',
+        comments: [`${label} crawlers (${state}) - AI crawler registry v${registry.version}`],
+      });
+    }
+  }
+
+  return { groups, skipped, decisions };
+}
+
+module.exports = {
+  AI_CRAWLER_MODES,
+  getAiCrawlerRegistry,
+  resolveAiCrawlerPolicy,
+  buildAiCrawlerGroups,
+};
@@ -0,0 +1,101 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Source locations for workflow annotations (file, startLine, endLine)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Make a path relative to the workspace, as annotations expect
+ * @param {string} file - File path
+ * @param {string} [baseDir] - Workspace (defaults to GITHUB_WORKSPACE or the cwd)
+ * @returns {string}
+ */
+function toWorkspacePath(file, baseDir) {
+  const root = baseDir || process.env.GITHUB_WORKSPACE || process.cwd();
+  const relative = path.relative(root, path.resolve(file));
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return file;
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Find the config file line a robots.txt line was generated from
+ * The directive value (`/admin/`, `Googlebot`) is looked up as a separate
+ * token, so `/` does not match inside a URL; lines that also name the
+ * directive (`disallow:`) are preferred, and a directive repeated in the
+ * robots.txt maps to the matching repeat in the config file. Bare `*` is
+ * too common to look up.
+ * @param {string} content - robots.txt text
+ * @param {number} line - 1-based robots.txt line
+ * @param {string} sourceText - Config file text
+ * @returns {number|null} - 1-based config file line
+ */
+function findSourceLine(content, line, sourceText) {
+  const robotsLines = content.split(/\r?\n/).map((text) => text.replace(/#.*$/, '').trim());
+  const robotsLine = robotsLines[line - 1] || '';
+  const repeat = robotsLines.slice(0, line - 1).filter((text) => text === robotsLine).length;
+  const colon = robotsLine.indexOf(':');
+  if (colon === -1) return null;
+  const directive = robotsLine.slice(0, colon).trim().toLowerCase().replace(/-/g, '_');
+  const value = robotsLine.slice(colon + 1).trim();
+  if (!value || value === '*') return null;
+
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const token = new RegExp(`(^|[\\s'"\\[,:-])${escaped}($|[\\s'",\\]])`);
+  const sourceLines = sourceText.split(/\r?\n/);
+  const matches = sourceLines
+    .map((sourceLine, index) => ({ sourceLine, index }))
+    .filter(({ sourceLine }) => token.test(sourceLine));
+  if (matches.length === 0) return null;
+
+  const named = matches.filter(({ sourceLine }) => sourceLine.toLowerCase().includes(directive));
+  const preferred = named.length > 0 ? named : matches;
+  return preferred[Math.min(repeat, preferred.length - 1)].index + 1;
+}
+
+/**
+ * Create a function that places findings in a repository file
+ * Findings of a linted robots.txt point at the file itself. Findings of a
+ * generated robots.txt point at the config file line that produced the
+ * offending directive, when one can be found; otherwise they get no file.
+ * @param {object} options - Source options
+ * @param {string} [options.file] - robots.txt in the repository (lint mode)
+ * @param {string} [options.content] - Generated robots.txt text
+ * @param {string} [options.configFile] - Config file the robots.txt was generated from
+ * @param {string} [options.baseDir] - Workspace
+ * @returns {function(object):{file?:string,startLine?:number,endLine?:number}}
+ */
+function createSourceLocator({ file, content, configFile, baseDir } = {}) {
+  if (file) {
+    const relative = toWorkspacePath(file, baseDir);
+    return (finding) =>
+      finding.line
+        ? { file: relative, startLine: finding.line, endLine: finding.line }
+        : { file: relative };
+  }
+
+  if (configFile && content && fs.existsSync(configFile)) {
+    const sourceText = fs.readFileSync(configFile, 'utf8');
+    const relative = toWorkspacePath(configFile, baseDir);
+    return (finding) => {
+      const line = finding.line ? findSourceLine(content, finding.line, sourceText) : null;
+      return line ? { file: relative, startLine: line, endLine: line } : {};
+    };
+  }
+
+  return () => ({});
+}
+
+module.exports = {
+  toWorkspacePath,
+  findSourceLine,
+  createSourceLocator,
+};
@@ -0,0 +1,191 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blocked rendering assets (CSS, JS, images) and the Allow lines to fix them
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const path = require('path');
+const glob = require('glob');
+const { extractAssetReferences } = require('./html-parser');
+const { parseRobotsTxt, evaluateUrl } = require('./robots-parser');
+const { createFinding } = require('./findings');
+
+/**
+ * Crawlers that render pages and must be able to fetch their assets
+ */
+const RENDERING_CRAWLERS = ['Googlebot', '*'];
+
+/**
+ * Collect the rendering assets referenced by the HTML pages of a built site
+ * References are resolved against each page's URL; assets on other hosts
+ * are not governed by this robots.txt and are left out.
+ * @param {string} publicDir - Built site directory
+ * @param {string} [siteUrl] - Site URL (to recognize absolute links to the site itself)
+ * @returns {Map<string,{path:string,type:string,pages:string[]}>} - Keyed by URL path
+ */
+function collectPageAssets(publicDir, siteUrl = '') {
+  const origin = new URL(siteUrl || 'http://localhost').origin;
+  const pages = glob.sync('**/*.{html,htm}', { cwd: publicDir, nodir: true, dot: false }).sort();
+  const assets = new Map();
+
+  for (const rel of pages) {
+    const pagePath = `/${rel.split(path.sep).join('/')}`;
+    const pageUrl = new URL(pagePath, origin);
+
+    for (const ref of extractAssetReferences(path.join(publicDir, rel))) {
+      let resolved;
+      try {
+        resolved = new URL(ref.url, pageUrl);
+      } catch {
+        continue;
+      }
+      if (resolved.origin !== origin) continue;
+
+      const assetPath = `${resolved.pathname}${resolved.search}`;
+      if (!assets.has(assetPath)) {
+        assets.set(assetPath, { path: assetPath, type: ref.type, pages: [] });
+      }
+      const asset = assets.get(assetPath);
+      if (!asset.pages.includes(pagePath)) asset.pages.push(pagePath);
+    }
+  }
+  return assets;
+}
+
+/**
+ * Find assets the rules block for rendering crawlers
+ * Crawlers that end up in the same group (Googlebot without its own group
+ * falls back to `*`) are reported together.
+ * @param {string} content - robots.txt text
+ * @param {Map<string,object>} assets - From collectPageAssets
+ * @returns {Array<{asset:object,agent:string,crawlers:string[],rule:object}>}
+ */
+function findBlockedAssets(content, assets) {
+  const ast = parseRobotsTxt(content);
+  const blocked = [];
+
+  for (const asset of assets.values()) {
+    const byGroup = new Map();
+    for (const crawler of RENDERING_CRAWLERS) {
+      const evaluation = evaluateUrl(ast, crawler, asset.path);
+      if (evaluation.allowed) continue;
+      const key = evaluation.group.agent.toLowerCase();
+      if (!byGroup.has(key)) {
+        byGroup.set(key, {
+          asset,
+          agent: evaluation.group.agent,
+          crawlers: [],
+          rule: evaluation.rule,
+        });
+      }
+      byGroup.get(key).crawlers.push(crawler);
+    }
+    blocked.push(...byGroup.values());
+  }
+  return blocked;
+}
+
+/**
+ * Turn blocked assets into validation findings
+ * @param {Array<object>} blocked - From findBlockedAssets
+ * @returns {Array<object>} - Findings (see findings.js)
+ */
+function describeBlockedAssets(blocked) {
+  return blocked.map(({ asset, crawlers, rule }) =>
+    createFinding(
+      'R025-blocked-asset',
+      `${asset.type} ${asset.path} (used by ${asset.pages.length} page(s)) is blocked for ${crawlers.join(', ')} by Disallow "${rule.value}"`,
+      { line: rule.line }
+    )
+  );
+}
+
+/**
+ * Compute the fewest Allow patterns that unblock a group's assets
+ * Assets blocked by the same rule that share an extension get one wildcard
+ * pattern under the rule's literal prefix (`/assets/*.css`); a single asset
+ * gets its own path. Wildcards are only used when they are longer than the
+ * blocking rule, so they win without relying on tie-breaking. A path that is
+ * not longer than the rule (`/a.js` under `/*.js$`) is anchored with `$`,
+ * which makes it at least as long, and the Allow wins the tie; an asset no
+ * exact path can unblock gets no pattern.
+ * @param {Array<object>} blocked - Entries of findBlockedAssets for one group
+ * @returns {string[]} - Allow patterns
+ */
+function computeAssetAllows(blocked) {
+  const byRule = new Map();
+  for (const entry of blocked) {
+    if (!byRule.has(entry.rule.value)) byRule.set(entry.rule.value, []);
+    byRule.get(entry.rule.value).push(entry.asset.path);
+  }
+
+  const allows = [];
+  for (const [ruleValue, paths] of byRule) {
+    const prefix = ruleValue.split('*')[0].replace(/\$$/, '');
+    const byExtension = new Map();
+    for (const assetPath of paths) {
+      const match = assetPath.split('?')[0].match(/\.([A-Za-z0-9]+)$/);
+      const extension = match ? match[1].toLowerCase() : '';
+      if (!byExtension.has(extension)) byExtension.set(extension, []);
+      byExtension.get(extension).push(assetPath);
+    }
+
+    for (const [extension, group] of byExtension) {
+      const wildcard = `${prefix}*.${extension}`;
+      if (extension && group.length > 1 && wildcard.length > ruleValue.length) {
+        allows.push(wildcard);
+      } else {
+        for (const assetPath of group) {
+          if (assetPath.length > ruleValue.length) allows.push(assetPath);
+          else if (assetPath.length + 1 >= ruleValue.length) allows.push(`${assetPath}$`);
+        }
+      }
+    }
+  }
+  return [...new Set(allows)];
+}
+
+/**
+ * Add the Allow lines that unblock rendering assets to the generated groups
+ * @param {Array<object>} groups - Normalized groups
+ * @param {Array<object>} blocked - From findBlockedAssets
+ * @returns {{groups:Array<object>,added:Array<{agent:string,allow:string}>}} - Updated copies of the groups
+ */
+function addAssetAllows(groups, blocked) {
+  const byAgent = new Map();
+  for (const entry of blocked) {
+    const key = entry.agent.toLowerCase();
+    if (!byAgent.has(key)) byAgent.set(key, []);
+    byAgent.get(key).push(entry);
+  }
+
+  const added = [];
+  const updated = groups.map((group) => ({ ...group, allow: [...group.allow] }));
+  for (const [key, entries] of byAgent) {
+    const target = updated.find((group) =>
+      group.userAgents.some((agent) => agent.toLowerCase() === key)
+    );
+    if (!target) continue;
+    for (const allow of computeAssetAllows(entries)) {
+      if (target.allow.includes(allow)) continue;
+      target.allow.push(allow);
+      added.push({ agent: entries[0].agent, allow });
+    }
+  }
+  return { groups: updated, added };
+}
+
+module.exports = {
+  RENDERING_CRAWLERS,
+  collectPageAssets,
+  findBlockedAssets,
+  describeBlockedAssets,
+  computeAssetAllows,
+  addAssetAllows,
+};
@@ -0,0 +1,58 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Stand-in for @actions/core when running from the command line
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const { summary } = require('@actions/core');
+
+/**
+ * Create the subset of @actions/core that run() uses
+ * Inputs come from a plain object, outputs are collected instead of being
+ * written to GITHUB_OUTPUT, and every log line goes to `stderr` so stdout
+ * stays free for robots.txt or JSON. Annotation properties are ignored
+ * (messages already name the file and line). `markFailed` fails without
+ * logging, for reporters that write the failure themselves (see reporters.js).
+ * @param {object} options - Stand-in options
+ * @param {object} [options.inputs] - Input values by input name (strings)
+ * @param {object} [options.stderr] - Log stream (defaults to process.stderr)
+ * @returns {object} - core-like object with `outputs` and `failed` state
+ */
+function createCliCore({ inputs = {}, stderr = process.stderr } = {}) {
+  const log = (message) => stderr.write(`${message}\n`);
+  const cliCore = {
+    outputs: {},
+    failed: false,
+    failureMessage: '',
+    summary,
+    getInput: (name) => String(inputs[name] ?? '').trim(),
+    setOutput: (name, value) => {
+      cliCore.outputs[name] = value;
+    },
+    info: log,
+    // There is no step debug logging outside Actions (see verbosity)
+    debug: () => {},
+    notice: (message) => log(`ℹ️  ${message}`),
+    warning: log,
+    error: log,
+    markFailed: (message) => {
+      cliCore.failed = true;
+      cliCore.failureMessage = String(message);
+    },
+    setFailed: (message) => {
+      cliCore.markFailed(message);
+      log(message);
+    },
+  };
+  return cliCore;
+}
+
+module.exports = {
+  createCliCore,
+};
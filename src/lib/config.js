@@ -0,0 +1,292 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Settings resolution from action inputs and robots.config.yml/.json
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseRulesInput, normalizeGroups } = require('./robots-builder');
+const { parseRuleOverrides } = require('./findings');
+
+/**
+ * Config file names looked up in the working directory, in order
+ */
+const CONFIG_FILENAMES = ['robots.config.yml', 'robots.config.yaml', 'robots.config.json'];
+
+/**
+ * Run modes: generate writes robots.txt, check compares the generated content
+ * with the existing file, lint only validates an existing file
+ */
+const RUN_MODES = ['generate', 'check', 'lint'];
+
+/**
+ * Known settings with their type and default value.
+ * Keys match the action.yml input names and the config file properties.
+ * Defaults live here (not in action.yml) so that an input the workflow did
+ * not set can be told apart from one it did.
+ */
+const SETTINGS = {
+  mode: { type: 'string', default: 'generate' },
+  lint_file: { type: 'string', default: '' },
+  site_url: { type: 'string', default: '' },
+  public_dir: { type: 'string', default: 'dist' },
+  robots_output_dir: { type: 'string', default: '' },
+  robots_filename: { type: 'string', default: 'robots.txt' },
+  merge_mode: { type: 'string', default: 'overwrite' },
+  robots_template: { type: 'string', default: '' },
+  allow_autodetect: { type: 'boolean', default: true },
+  robots_user_agent: { type: 'string', default: '*' },
+  robots_disallow: { type: 'list', default: [] },
+  robots_allow: { type: 'list', default: [] },
+  robots_crawl_delay: { type: 'string', default: '' },
+  robots_rules: { type: 'rules', default: [] },
+  ai_crawlers: { type: 'string', default: 'off' },
+  ai_crawlers_block: { type: 'list', default: [] },
+  ai_crawlers_allow: { type: 'list', default: [] },
+  environment: { type: 'string', default: '' },
+  production_branches: { type: 'list', default: [] },
+  non_production_sitemap_urls: { type: 'list', default: [] },
+  robots_comments: { type: 'boolean', default: true },
+  strict_validation: { type: 'boolean', default: true },
+  validation_rules: { type: 'severities', default: {} },
+  sarif_output: { type: 'string', default: '' },
+  test_urls: { type: 'list', default: [] },
+  test_urls_file: { type: 'string', default: '' },
+  dead_rule_check: { type: 'boolean', default: false },
+  dead_rule_threshold: { type: 'integer', default: 50 },
+  dead_rule_report: { type: 'string', default: '' },
+  asset_check: { type: 'boolean', default: false },
+  auto_allow_assets: { type: 'boolean', default: false },
+  sitemap_urls: { type: 'list', default: [] },
+  include_sitemap: { type: 'boolean', default: true },
+  sitemap_filename: { type: 'string', default: 'sitemap.xml' },
+  generate_sitemap: { type: 'boolean', default: false },
+  sitemap_include: { type: 'list', default: ['**/*.html'] },
+  sitemap_exclude: { type: 'list', default: [] },
+  sitemap_exclude_urls: { type: 'list', default: [] },
+  sitemap_additional_urls: { type: 'list', default: [] },
+  sitemap_lastmod: { type: 'string', default: 'filemtime' },
+  sitemap_changefreq: { type: 'string', default: '' },
+  sitemap_priority: { type: 'string', default: '' },
+  sitemap_respect_robots: { type: 'boolean', default: true },
+  sitemap_canonical: { type: 'boolean', default: true },
+  sitemap_discover_links: { type: 'boolean', default: false },
+  sitemap_txt: { type: 'boolean', default: false },
+  sitemap_gzip: { type: 'boolean', default: false },
+  sitemap_partition: { type: 'string', default: 'none' },
+  sitemap_max_urls: { type: 'integer', default: 50000 },
+  reporter: { type: 'string', default: 'github' },
+  verbosity: { type: 'string', default: 'normal' },
+  debug_show_robots: { type: 'boolean', default: false },
+  job_summary: { type: 'boolean', default: true },
+  upload_artifacts: { type: 'boolean', default: true },
+  artifact_name: { type: 'string', default: 'robots-file' },
+  artifact_retention_days: { type: 'integer', default: 0 },
+};
+
+/**
+ * Parse a boolean-like value
+ * @param {string|boolean} value - Raw value
+ * @param {boolean} fallback - Value used when raw value is empty
+ * @returns {boolean}
+ */
+function toBool(value, fallback) {
+  if (typeof value === 'string' && value.length > 0) {
+    return /^true$/i.test(value);
+  }
+  if (typeof value === 'boolean') return value;
+  return fallback;
+}
+
+/**
+ * Split a newline-separated list into trimmed, non-empty entries
+ * @param {string} raw - Raw list text
+ * @returns {string[]}
+ */
+function splitList(raw) {
+  return (raw || '')
+    .split('\n')
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+}
+
+/**
+ * Parse severity overrides written as YAML (`R013: off`) or `R013=off` lines
+ * @param {string} raw - Input text
+ * @returns {object} - Mapping of rule reference to severity
+ */
+function parseSeverityInput(raw) {
+  const overrides = {};
+  for (const line of splitList(raw)) {
+    const match = line.match(/^([^:=\s]+)\s*[:=]\s*(\S+)$/);
+    if (!match) throw new Error(`validation_rules: expected "<rule>: <severity>", got "${line}"`);
+    overrides[match[1]] = match[2];
+  }
+  return overrides;
+}
+
+/**
+ * Convert an action input string to the setting's type
+ * @param {string} name - Setting name
+ * @param {string} raw - Non-empty input value
+ * @returns {*} - Typed value
+ */
+function coerceInput(name, raw) {
+  const { type } = SETTINGS[name];
+  switch (type) {
+    case 'boolean':
+      return toBool(raw, SETTINGS[name].default);
+    case 'list':
+      return splitList(raw);
+    case 'integer':
+      return parseInt(raw, 10) || 0;
+    case 'rules':
+      return parseRulesInput(raw);
+    case 'severities':
+      return parseRuleOverrides(parseSeverityInput(raw));
+    default:
+      return raw.trim();
+  }
+}
+
+/**
+ * Convert a config file value to the setting's type
+ * Also used for the options of the Node API, which take the same values.
+ * @param {string} name - Setting name
+ * @param {*} value - Value as parsed from YAML/JSON
+ * @param {string} [label] - How to name the value in errors
+ * @returns {*} - Typed value
+ */
+function coerceFileValue(name, value, label = `Config file: "${name}"`) {
+  const { type } = SETTINGS[name];
+  const fail = (expected) => {
+    throw new Error(`${label} must be ${expected}`);
+  };
+
+  switch (type) {
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (typeof value === 'string' && /^(true|false)$/i.test(value)) return toBool(value);
+      return fail('a boolean');
+    case 'list':
+      if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+      if (typeof value === 'string') return splitList(value);
+      return fail('a list of strings');
+    case 'integer':
+      if (Number.isInteger(value) && value >= 0) return value;
+      return fail('a non-negative integer');
+    case 'rules':
+      if (typeof value === 'string') return parseRulesInput(value);
+      return normalizeGroups(value);
+    case 'severities':
+      if (typeof value === 'string') return parseRuleOverrides(parseSeverityInput(value));
+      if (typeof value === 'object' && !Array.isArray(value)) return parseRuleOverrides(value);
+      return fail('a mapping of rule IDs to severities');
+    default:
+      if (typeof value === 'string' || typeof value === 'number') return String(value).trim();
+      return fail('a string');
+  }
+}
+
+/**
+ * Locate the repository config file
+ * @param {string} explicitPath - Path from the config_file input ('' to auto-detect)
+ * @param {string} cwd - Directory to search when auto-detecting
+ * @returns {string|null} - Config file path or null when none is present
+ */
+function findConfigFile(explicitPath, cwd = process.cwd()) {
+  if (explicitPath) {
+    if (!fs.existsSync(explicitPath)) {
+      throw new Error(`config_file not found: ${explicitPath}`);
+    }
+    return explicitPath;
+  }
+  for (const name of CONFIG_FILENAMES) {
+    const candidate = path.join(cwd, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Load and parse a config file (YAML or JSON)
+ * @param {string} configPath - Path to robots.config.yml or robots.config.json
+ * @returns {{values: object, unknownKeys: string[]}} - Typed settings found in the file
+ */
+function loadConfigFile(configPath) {
+  const raw = fs.readFileSync(configPath, 'utf8');
+  let parsed;
+  try {
+    parsed = configPath.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+  } catch (e) {
+    throw new Error(`Config file ${configPath} could not be parsed: ${e.message}`);
+  }
+
+  if (parsed === undefined || parsed === null) parsed = {};
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Config file ${configPath} must contain a mapping of settings`);
+  }
+
+  const values = {};
+  const unknownKeys = [];
+  for (const [key, value] of Object.entries(parsed)) {
+    if (key === '$schema') continue;
+    if (!(key in SETTINGS)) {
+      unknownKeys.push(key);
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+    values[key] = coerceFileValue(key, value);
+  }
+  return { values, unknownKeys };
+}
+
+/**
+ * Resolve effective settings: explicit action input > config file > default
+ * @param {object} options - Resolution options
+ * @param {function(string):string} options.getInput - Input reader (e.g. core.getInput)
+ * @param {object} [options.fileValues] - Typed values from loadConfigFile
+ * @param {object} [options.defaults] - Typed values replacing the SETTINGS defaults
+ * @returns {{values: object, sources: object}} - Settings and where each came from
+ */
+function resolveSettings({ getInput, fileValues = {}, defaults = {} }) {
+  const values = {};
+  const sources = {};
+
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    const raw = getInput(name) || '';
+    if (raw.trim().length > 0) {
+      values[name] = coerceInput(name, raw);
+      sources[name] = 'input';
+    } else if (name in fileValues) {
+      values[name] = fileValues[name];
+      sources[name] = 'config file';
+    } else {
+      // Copy list and mapping defaults so callers cannot modify SETTINGS
+      values[name] = JSON.parse(JSON.stringify(name in defaults ? defaults[name] : spec.default));
+      sources[name] = 'default';
+    }
+  }
+
+  return { values, sources };
+}
+
+module.exports = {
+  CONFIG_FILENAMES,
+  RUN_MODES,
+  SETTINGS,
+  toBool,
+  splitList,
+  coerceFileValue,
+  findConfigFile,
+  loadConfigFile,
+  resolveSettings,
+};
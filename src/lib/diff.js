@@ -0,0 +1,152 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Semantic robots.txt comparison and unified diff output
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Reduce robots.txt text to the lines crawlers act on
+ * Comments (including the generated header and its date), blank lines,
+ * surrounding whitespace and the case of directive names are ignored.
+ * @param {string} content - robots.txt text
+ * @returns {string[]} - Normalized directive lines
+ */
+function normalizeRobotsTxt(content) {
+  return content
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*$/, '').trim())
+    .filter((line) => line.length > 0)
+    .map((line) => {
+      const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+      return match ? `${match[1].toLowerCase()}: ${match[2]}` : line;
+    });
+}
+
+/**
+ * Compute a line diff using the longest common subsequence
+ * The common prefix and suffix are matched first, so the quadratic LCS table
+ * only covers the changed middle (usually a few lines of a robots.txt).
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{op:' '|'-'|'+',text:string}>} - Edit script
+ */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+
+  // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+  const lengths = Array.from({ length: oldMiddle.length + 1 }, () =>
+    new Array(newMiddle.length + 1).fill(0)
+  );
+  for (let i = oldMiddle.length - 1; i >= 0; i--) {
+    for (let j = newMiddle.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldMiddle[i] === newMiddle[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const edits = a.slice(0, prefix).map((text) => ({ op: ' ', text }));
+  let i = 0;
+  let j = 0;
+  while (i < oldMiddle.length && j < newMiddle.length) {
+    if (oldMiddle[i] === newMiddle[j]) {
+      edits.push({ op: ' ', text: oldMiddle[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      edits.push({ op: '-', text: oldMiddle[i++] });
+    } else {
+      edits.push({ op: '+', text: newMiddle[j++] });
+    }
+  }
+  while (i < oldMiddle.length) edits.push({ op: '-', text: oldMiddle[i++] });
+  while (j < newMiddle.length) edits.push({ op: '+', text: newMiddle[j++] });
+  a.slice(a.length - suffix).forEach((text) => edits.push({ op: ' ', text }));
+  return edits;
+}
+
+/**
+ * Format a unified diff (as produced by `diff -u`)
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @param {object} [options] - Diff options
+ * @param {string} [options.fromLabel] - Label for the old side
+ * @param {string} [options.toLabel] - Label for the new side
+ * @param {number} [options.context] - Unchanged lines shown around each change
+ * @returns {string} - Unified diff ('' when the inputs are equal)
+ */
+function unifiedDiff(a, b, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  const edits = diffLines(a, b);
+  if (edits.every((edit) => edit.op === ' ')) return '';
+
+  // Old/new line number before each edit
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const edit of edits) {
+    positions.push({ oldLine, newLine });
+    if (edit.op !== '+') oldLine++;
+    if (edit.op !== '-') newLine++;
+  }
+
+  // Group changes that are close together into hunks
+  const hunks = [];
+  edits.forEach((edit, index) => {
+    if (edit.op === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(edits.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else hunks.push({ start, end });
+  });
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const { start, end } of hunks) {
+    const slice = edits.slice(start, end);
+    const oldCount = slice.filter((edit) => edit.op !== '+').length;
+    const newCount = slice.filter((edit) => edit.op !== '-').length;
+    const { oldLine: oldStart, newLine: newStart } = positions[start];
+    out.push(
+      `@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`
+    );
+    slice.forEach((edit) => out.push(`${edit.op}${edit.text}`));
+  }
+  return `${out.join('\n')}\n`;
+}
+
+/**
+ * Compare two robots.txt files semantically
+ * @param {string} existing - Committed robots.txt text
+ * @param {string} generated - Newly generated robots.txt text
+ * @param {object} [labels] - Diff labels ({fromLabel, toLabel})
+ * @returns {{equal:boolean,diff:string}} - Whether they match, and the unified diff of directives
+ */
+function compareRobotsTxt(existing, generated, labels = {}) {
+  const diff = unifiedDiff(normalizeRobotsTxt(existing), normalizeRobotsTxt(generated), labels);
+  return { equal: diff === '', diff };
+}
+
+module.exports = {
+  normalizeRobotsTxt,
+  diffLines,
+  unifiedDiff,
+  compareRobotsTxt,
+};
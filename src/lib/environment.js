@@ -0,0 +1,101 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Build environment detection (production vs. preview/staging)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Check a branch name against a production branch pattern (supports *)
+ * @param {string} branch - Branch or tag name
+ * @param {string} pattern - Branch name or glob such as release/*
+ * @returns {boolean}
+ */
+function matchesBranch(branch, pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`).test(branch);
+}
+
+/**
+ * Get the branch being built from the GitHub Actions environment
+ * GITHUB_HEAD_REF is only set for pull requests and names the source branch.
+ * @param {object} env - Environment variables
+ * @returns {{ref:string,source:string,pullRequest:boolean}|null}
+ */
+function getBuildRef(env) {
+  if (env.GITHUB_HEAD_REF) {
+    return { ref: env.GITHUB_HEAD_REF, source: 'GITHUB_HEAD_REF', pullRequest: true };
+  }
+  if (env.GITHUB_REF) {
+    const ref = env.GITHUB_REF.replace(/^refs\/(heads|tags)\//, '');
+    return { ref, source: 'GITHUB_REF', pullRequest: env.GITHUB_REF.startsWith('refs/pull/') };
+  }
+  return null;
+}
+
+/**
+ * Detect whether this build targets production
+ * Detection is opt-in: without `environment` or `productionBranches` every
+ * build is treated as production, as before. An explicit environment wins
+ * over branch detection; builds without any Git ref (local runs) cannot be
+ * matched against the production branches and are treated as staging.
+ * @param {object} options - Detection options
+ * @param {string} [options.environment] - Explicit environment name (production, staging, ...)
+ * @param {string[]} [options.productionBranches] - Branch names/globs that deploy to production
+ * @param {object} [options.env] - Environment variables (defaults to process.env)
+ * @returns {{enabled:boolean,name:string,isProduction:boolean,ref:string|null,source:string}}
+ */
+function detectEnvironment({ environment = '', productionBranches = [], env = process.env }) {
+  if (environment) {
+    const isProduction = /^prod(uction)?$/i.test(environment);
+    return { enabled: true, name: environment, isProduction, ref: null, source: 'environment' };
+  }
+
+  if (productionBranches.length === 0) {
+    return { enabled: false, name: 'production', isProduction: true, ref: null, source: 'default' };
+  }
+
+  const build = getBuildRef(env);
+  if (!build) {
+    return {
+      enabled: true,
+      name: 'staging',
+      isProduction: false,
+      ref: null,
+      source: 'no Git ref (local run)',
+    };
+  }
+
+  const isProduction =
+    !build.pullRequest && productionBranches.some((pattern) => matchesBranch(build.ref, pattern));
+  let name = 'production';
+  if (!isProduction) name = build.pullRequest ? 'preview' : 'staging';
+
+  return { enabled: true, name, isProduction, ref: build.ref, source: build.source };
+}
+
+/**
+ * Build the locked-down group used for non-production builds
+ * @param {string} name - Environment name
+ * @returns {object} - Group disallowing everything for every crawler
+ */
+function buildLockdownGroup(name) {
+  return {
+    userAgents: ['*'],
+    allow: [],
+    disallow: ['/'],
+    crawlDelay: '',
+    comments: [`Non-production build (${name}): crawling disabled`],
+  };
+}
+
+module.exports = {
+  matchesBranch,
+  detectEnvironment,
+  buildLockdownGroup,
+};
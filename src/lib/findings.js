@@ -0,0 +1,329 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Validation finding model: rule IDs, severities, hints and overrides
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Finding severities, most severe first
+ */
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Severity value that suppresses a rule in validation_rules
+ */
+const SEVERITY_OFF = 'off';
+
+/**
+ * Every validation rule with its default severity and fix hint.
+ * IDs are stable: R = robots.txt, H = humans.txt, S = security.txt,
+ * M = generated sitemap.
+ * Checks that depend on strict_validation default to error and are
+ * lowered to warning when strict validation is off.
+ */
+const RULES = {
+  'R000-format': {
+    severity: 'error',
+    hint: 'Make sure the file is readable UTF-8 text',
+  },
+  'R001-missing-user-agent': {
+    severity: 'error',
+    hint: 'Start every group with a "User-agent:" line, e.g. "User-agent: *"',
+  },
+  'R002-file-too-large': {
+    severity: 'error',
+    hint: 'Crawlers ignore rules past 500 KB; combine rules with wildcards',
+  },
+  'R003-missing-sitemap': {
+    severity: 'error',
+    hint: 'Add a "Sitemap: https://..." line or set include_sitemap',
+  },
+  'R004-duplicate-sitemap': {
+    severity: 'warning',
+    hint: 'List each sitemap once',
+  },
+  'R005-invalid-sitemap-url': {
+    severity: 'warning',
+    hint: 'Sitemap URLs must be absolute http(s) URLs',
+  },
+  'R006-sitemap-file-missing': {
+    severity: 'warning',
+    hint: 'Generate the sitemap before this step or remove the reference',
+  },
+  'R007-rule-before-user-agent': {
+    severity: 'warning',
+    hint: 'Move the rule below a "User-agent:" line',
+  },
+  'R008-nonstandard-directive': {
+    severity: 'info',
+    hint: 'Only some crawlers understand this directive',
+  },
+  'R009-unknown-directive': {
+    severity: 'warning',
+    hint: 'Check the spelling; RFC 9309 knows User-agent, Allow, Disallow and Sitemap',
+  },
+  'R010-invalid-line': {
+    severity: 'warning',
+    hint: 'Write directives as "key: value" or start the line with #',
+  },
+  'R011-merge-conflict': {
+    severity: 'warning',
+    hint: 'Move the hand-written rules into the generated group (robots_rules)',
+  },
+  'R012-empty-user-agent': {
+    severity: 'warning',
+    hint: 'Name a crawler or use * for all crawlers',
+  },
+  'R013-duplicate-user-agent': {
+    severity: 'warning',
+    hint: 'Combine the groups into one',
+  },
+  'R014-empty-group': {
+    severity: 'warning',
+    hint: 'Add "Disallow:" to allow everything explicitly',
+  },
+  'R015-path-without-slash': {
+    severity: 'warning',
+    hint: 'Start Allow/Disallow paths with / (or *)',
+  },
+  'R016-multiple-crawl-delay': {
+    severity: 'warning',
+    hint: 'Keep one Crawl-delay per group',
+  },
+  'R017-invalid-crawl-delay': {
+    severity: 'warning',
+    hint: 'Use a non-negative number of seconds',
+  },
+  'R018-duplicate-rule': {
+    severity: 'warning',
+    hint: 'Remove the repeated rule',
+  },
+  'R019-shadowed-rule': {
+    severity: 'warning',
+    hint: 'Remove the rule or make it more specific than the rule that overrides it',
+  },
+  'R020-tied-rules': {
+    severity: 'warning',
+    hint: 'Make the rule that should win longer (e.g. add $ or the next path segment)',
+  },
+  'R021-redundant-rule': {
+    severity: 'warning',
+    hint: 'Remove the narrower rule',
+  },
+  'R022-unreachable-group': {
+    severity: 'warning',
+    hint: 'Use the bare product token (e.g. "Googlebot") as User-agent',
+  },
+  'R023-dead-rule': {
+    severity: 'warning',
+    hint: 'Remove rules for paths the site no longer has',
+  },
+  'R024-broad-rule': {
+    severity: 'warning',
+    hint: 'Check the pattern; it blocks or allows most of the site',
+  },
+  'R025-blocked-asset': {
+    severity: 'warning',
+    hint: 'Allow the asset (or set auto_allow_assets) so crawlers can render the page',
+  },
+  'H000-format': {
+    severity: 'error',
+    hint: 'Make sure the file is readable UTF-8 text',
+  },
+  'H001-file-too-large': {
+    severity: 'error',
+    hint: 'Keep humans.txt short',
+  },
+  'H002-missing-sections': {
+    severity: 'error',
+    hint: 'Add a /* TEAM */, /* SITE */ or /* THANKS */ section',
+  },
+  'H003-no-standard-fields': {
+    severity: 'warning',
+    hint: 'Add fields such as "Name:", "Title:" or "Last update:"',
+  },
+  'H004-non-ascii': {
+    severity: 'info',
+    hint: 'Serve the file as UTF-8',
+  },
+  'S000-format': {
+    severity: 'error',
+    hint: 'Make sure the file is readable UTF-8 text',
+  },
+  'S001-file-too-large': {
+    severity: 'error',
+    hint: 'Keep security.txt under 32 KB',
+  },
+  'S002-missing-contact': {
+    severity: 'error',
+    hint: 'Add a "Contact:" field (RFC 9116 section 2.5.3)',
+  },
+  'S003-invalid-contact-uri': {
+    severity: 'warning',
+    hint: 'Use a mailto:, tel: or https:// URI',
+  },
+  'S004-missing-expires': {
+    severity: 'error',
+    hint: 'Add an "Expires:" field (RFC 9116 section 2.5.5)',
+  },
+  'S005-multiple-expires': {
+    severity: 'warning',
+    hint: 'Keep a single Expires field',
+  },
+  'S006-invalid-expires-date': {
+    severity: 'warning',
+    hint: 'Use an ISO 8601 date such as 2026-12-31T23:59:59Z',
+  },
+  'S007-expired': {
+    severity: 'warning',
+    hint: 'Move the Expires date into the future',
+  },
+  'S008-expires-too-far': {
+    severity: 'info',
+    hint: 'Expire the file within a year so it is reviewed',
+  },
+  'S009-multiple-preferred-languages': {
+    severity: 'warning',
+    hint: 'Keep a single Preferred-Languages field',
+  },
+  'S010-insecure-uri': {
+    severity: 'warning',
+    hint: 'Use https:// for web URIs',
+  },
+  'S011-unsigned': {
+    severity: 'info',
+    hint: 'Sign the file with OpenPGP',
+  },
+  'M001-too-many-urls': {
+    severity: 'error',
+    hint: 'Keep a sitemap at 50,000 URLs or fewer (narrow sitemap_include or exclude URLs)',
+  },
+  'M002-file-too-large': {
+    severity: 'error',
+    hint: 'Keep a sitemap under 50 MB uncompressed',
+  },
+  'M003-invalid-url': {
+    severity: 'error',
+    hint: 'List absolute http:// or https:// URLs',
+  },
+  'M004-url-too-long': {
+    severity: 'error',
+    hint: 'Keep URLs under 2,048 characters',
+  },
+  'M005-foreign-url': {
+    severity: 'warning',
+    hint: 'List only URLs on the site_url host; crawlers ignore the others',
+  },
+  'M006-empty-sitemap': {
+    severity: 'warning',
+    hint: 'Check public_dir and sitemap_include',
+  },
+};
+
+/**
+ * Create a finding for a rule
+ * @param {string} id - Rule ID from RULES
+ * @param {string} message - Plain-text description (no status symbol)
+ * @param {object} [options] - Finding options
+ * @param {number} [options.line] - 1-based line the finding refers to
+ * @param {string} [options.severity] - Severity (defaults to the rule's)
+ * @param {boolean} [options.passed] - True for a passed check (always info, no hint)
+ * @returns {{id:string,severity:string,message:string,line?:number,hint?:string,passed?:boolean}}
+ */
+function createFinding(id, message, { line, severity, passed = false } = {}) {
+  const rule = RULES[id];
+  if (!rule) throw new Error(`Unknown validation rule: ${id}`);
+
+  const finding = { id, severity: passed ? 'info' : severity || rule.severity, message };
+  if (line) finding.line = line;
+  if (passed) finding.passed = true;
+  else finding.hint = rule.hint;
+  return finding;
+}
+
+/**
+ * Find the rule a validation_rules key refers to
+ * Accepts the full ID, the code alone or the name alone, in any case
+ * (`R013-duplicate-user-agent`, `R013`, `duplicate-user-agent`).
+ * @param {string} key - Rule reference
+ * @returns {string|null} - Full rule ID
+ */
+function resolveRuleId(key) {
+  const wanted = String(key).trim().toLowerCase();
+  return (
+    Object.keys(RULES).find((id) => {
+      const lower = id.toLowerCase();
+      return lower === wanted || lower.split('-')[0] === wanted || lower.slice(5) === wanted;
+    }) || null
+  );
+}
+
+/**
+ * Validate severity overrides and key them by full rule ID
+ * @param {object} overrides - Mapping of rule reference to error|warning|info|off
+ * @returns {object} - Mapping of full rule ID to severity
+ */
+function parseRuleOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('validation_rules must map rule IDs to a severity');
+  }
+
+  const parsed = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    const id = resolveRuleId(key);
+    if (!id) throw new Error(`validation_rules: unknown rule "${key}"`);
+
+    const severity = String(value).trim().toLowerCase();
+    if (![...SEVERITIES, SEVERITY_OFF].includes(severity)) {
+      throw new Error(
+        `validation_rules: "${key}" must be one of ${[...SEVERITIES, SEVERITY_OFF].join(', ')}`
+      );
+    }
+    parsed[id] = severity;
+  }
+  return parsed;
+}
+
+/**
+ * Apply severity overrides and suppressions to findings
+ * Passed checks keep their info severity but disappear when the rule is off.
+ * @param {Array<object>} findings - Findings from createFinding
+ * @param {object} [overrides] - Mapping from parseRuleOverrides
+ * @returns {Array<object>} - New findings array
+ */
+function applyRuleOverrides(findings, overrides = {}) {
+  return findings
+    .filter((finding) => overrides[finding.id] !== SEVERITY_OFF)
+    .map((finding) => {
+      const severity = overrides[finding.id];
+      return severity && !finding.passed ? { ...finding, severity } : finding;
+    });
+}
+
+/**
+ * Prefix a finding's message with its status symbol for console output
+ * @param {object} finding - Finding
+ * @returns {string} - e.g. "⚠️  Unknown directive "Nofollow" (ignored by crawlers)"
+ */
+function formatFinding(finding) {
+  if (finding.severity === 'error') return `✗ ${finding.message}`;
+  if (finding.severity === 'warning') return `⚠️  ${finding.message}`;
+  return finding.passed ? `✓ ${finding.message}` : `ℹ️  ${finding.message}`;
+}
+
+module.exports = {
+  SEVERITIES,
+  SEVERITY_OFF,
+  RULES,
+  createFinding,
+  resolveRuleId,
+  parseRuleOverrides,
+  applyRuleOverrides,
+  formatFinding,
+};
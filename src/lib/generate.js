@@ -0,0 +1,305 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Node API: generate robots.txt from options and write it to disk
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeUrl } = require('./utils');
+const { getRobotsTxtHeader } = require('./project-config');
+const { SETTINGS, coerceFileValue } = require('./config');
+const { ensureLeadingSlash, buildRobotsTxt } = require('./robots-builder');
+const { countRobotsDirectives } = require('./robots-parser');
+const { validateRobotsTxt, getSitemapStatus } = require('./validation');
+const { applyRuleOverrides } = require('./findings');
+const { buildAiCrawlerGroups } = require('./ai-crawlers');
+const { detectEnvironment, buildLockdownGroup } = require('./environment');
+const { MERGE_MODES, mergeRobotsTxt } = require('./robots-merge');
+const { renderTemplate, buildTemplateContext } = require('./template');
+const { analyzeRuleCoverage } = require('./rule-coverage');
+const {
+  collectPageAssets,
+  findBlockedAssets,
+  describeBlockedAssets,
+  addAssetAllows,
+} = require('./asset-check');
+
+/**
+ * Settings that shape the generated file, accepted as camelCase options.
+ * Settings about where files live or how the action reports are left to
+ * the caller (public_dir is the separate, optional `publicDir` option).
+ */
+const GENERATE_SETTINGS = [
+  'site_url',
+  'merge_mode',
+  'robots_user_agent',
+  'robots_disallow',
+  'robots_allow',
+  'robots_crawl_delay',
+  'robots_rules',
+  'ai_crawlers',
+  'ai_crawlers_block',
+  'ai_crawlers_allow',
+  'environment',
+  'production_branches',
+  'non_production_sitemap_urls',
+  'robots_comments',
+  'strict_validation',
+  'validation_rules',
+  'dead_rule_check',
+  'dead_rule_threshold',
+  'asset_check',
+  'auto_allow_assets',
+  'sitemap_urls',
+  'include_sitemap',
+  'sitemap_filename',
+];
+
+/**
+ * Convert a setting name to its option name (robots_disallow → robotsDisallow)
+ * @param {string} name - Setting name
+ * @returns {string}
+ */
+function toOptionName(name) {
+  return name.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Check options and fill in defaults
+ * Values are validated like config file values, so options take exactly
+ * what robots.config.yml takes.
+ * @param {object} options - generateRobotsTxt options
+ * @returns {object} - Typed settings keyed by setting name
+ */
+function resolveGenerateOptions(options) {
+  const settings = {};
+  for (const name of GENERATE_SETTINGS) {
+    const option = toOptionName(name);
+    const value = options[option];
+    settings[name] =
+      value === undefined || value === null
+        ? JSON.parse(JSON.stringify(SETTINGS[name].default))
+        : coerceFileValue(name, value, `Option "${option}"`);
+  }
+  return settings;
+}
+
+/**
+ * Resolve a sitemap reference against the site URL
+ * @param {string} siteUrl - Site URL
+ * @param {string} url - Absolute URL or path
+ * @returns {string}
+ */
+function toSitemapUrl(siteUrl, url) {
+  // If the URL doesn't start with http, treat it as a path and prepend site_url
+  return /^https?:\/\//i.test(url) ? url : normalizeUrl(siteUrl, ensureLeadingSlash(url));
+}
+
+/**
+ * Generate and validate robots.txt
+ * Nothing is written. The filesystem is only read when `publicDir` is set
+ * (local sitemap files, asset_check, dead_rule_check); without it those
+ * checks are skipped.
+ * @param {object} options - Settings as camelCase options (see GENERATE_SETTINGS) plus:
+ * @param {string} options.siteUrl - Site URL (http:// or https://)
+ * @param {string} [options.publicDir] - Built site directory for the file-based checks
+ * @param {string} [options.template] - robots.txt template source (see template.js)
+ * @param {string} [options.existingContent] - Current robots.txt, kept around the managed block when mergeMode is merge
+ * @param {number} [options.maxSizeKB] - Size limit for validation (default 500)
+ * @param {object} [options.env] - Environment variables for branch detection and template
+ *   placeholders such as commit_sha (default none)
+ * @returns {object} - `{content, findings, sitemaps, stats}` plus the details behind them
+ */
+function generateRobotsTxt(options = {}) {
+  const {
+    publicDir = '',
+    template = '',
+    existingContent = '',
+    maxSizeKB = 500,
+    env = {},
+  } = options;
+  const settings = resolveGenerateOptions(options);
+
+  const siteUrl = settings.site_url;
+  if (!siteUrl) throw new Error('site_url is required');
+  if (!/^https?:\/\//i.test(siteUrl)) {
+    throw new Error('site_url must start with http:// or https://');
+  }
+  const mergeMode = settings.merge_mode.toLowerCase();
+  if (!MERGE_MODES.includes(mergeMode)) {
+    throw new Error(`merge_mode must be one of ${MERGE_MODES.join(', ')}`);
+  }
+
+  // robots_rules replaces the single group built from the robots_* settings
+  let groups = settings.robots_rules;
+  if (groups.length === 0) {
+    groups = [
+      {
+        userAgents: [settings.robots_user_agent],
+        allow: settings.robots_allow.map(ensureLeadingSlash),
+        disallow: settings.robots_disallow.map(ensureLeadingSlash),
+        crawlDelay: settings.robots_crawl_delay,
+        comments: [],
+      },
+    ];
+  }
+
+  // Non-production builds get a locked-down robots.txt
+  const environment = detectEnvironment({
+    environment: settings.environment,
+    productionBranches: settings.production_branches,
+    env,
+  });
+  if (!environment.isProduction) {
+    groups = [buildLockdownGroup(environment.name)];
+  }
+
+  // AI crawler groups are generated alongside the main groups
+  const aiCrawlers = buildAiCrawlerGroups({
+    mode: environment.isProduction ? settings.ai_crawlers : 'off',
+    block: settings.ai_crawlers_block,
+    allow: settings.ai_crawlers_allow,
+    existingGroups: groups,
+  });
+
+  // Non-production builds only reference their own sitemap set
+  let sitemapRefs = settings.non_production_sitemap_urls;
+  if (environment.isProduction) {
+    sitemapRefs = [
+      ...(settings.include_sitemap ? [settings.sitemap_filename] : []),
+      ...settings.sitemap_urls,
+    ];
+  }
+  const sitemapUrls = sitemapRefs.map((url) => toSitemapUrl(siteUrl, url));
+
+  const header = settings.robots_comments ? getRobotsTxtHeader() : '';
+  const useTemplate = Boolean(template) && environment.isProduction;
+  const render = (renderGroups) => {
+    if (!useTemplate) {
+      return buildRobotsTxt({ header, groups: renderGroups, sitemaps: sitemapUrls });
+    }
+    const context = buildTemplateContext({
+      siteUrl,
+      groups: renderGroups,
+      sitemaps: sitemapUrls,
+      header,
+      environment: environment.name,
+      env,
+    });
+    return renderTemplate(template, context);
+  };
+
+  let allGroups = [...groups, ...aiCrawlers.groups];
+  let content = render(allGroups);
+
+  // Rendering assets blocked for Googlebot or * (lockdown builds block everything on purpose)
+  let assets = null;
+  const assetFindings = [];
+  const checkAssets = settings.asset_check || settings.auto_allow_assets;
+  if (checkAssets && environment.isProduction && publicDir) {
+    const pageAssets = collectPageAssets(publicDir, siteUrl);
+    let blocked = findBlockedAssets(content, pageAssets);
+    let added = [];
+    if (blocked.length > 0 && settings.auto_allow_assets) {
+      ({ groups: allGroups, added } = addAssetAllows(allGroups, blocked));
+      content = render(allGroups);
+      blocked = findBlockedAssets(content, pageAssets);
+    }
+    assetFindings.push(...describeBlockedAssets(blocked));
+    assets = { references: pageAssets.size, added };
+  }
+
+  // Merge mode keeps everything outside the managed block of the existing file
+  let merge = null;
+  if (mergeMode === 'merge') {
+    const merged = mergeRobotsTxt(existingContent, content);
+    content = merged.content;
+    merge = { preservedLines: merged.preservedLines };
+  }
+
+  let coverage = null;
+  const coverageFindings = [];
+  if (settings.dead_rule_check && publicDir) {
+    const { results, report } = analyzeRuleCoverage(content, {
+      publicDir,
+      thresholdPercent: settings.dead_rule_threshold,
+    });
+    coverage = report;
+    coverageFindings.push(...results);
+  }
+
+  const findings = applyRuleOverrides(
+    [
+      ...validateRobotsTxt(content, {
+        strict: settings.strict_validation,
+        maxSizeKB,
+        requireSitemap: false,
+        publicDir: publicDir || null,
+        siteUrl,
+      }),
+      ...assetFindings,
+      ...coverageFindings,
+    ],
+    settings.validation_rules
+  );
+
+  return {
+    content,
+    findings,
+    sitemaps: sitemapUrls.map((url) => ({
+      url,
+      state: publicDir ? getSitemapStatus(url, { publicDir, siteUrl }).state : 'unchecked',
+    })),
+    stats: {
+      ...countRobotsDirectives(content),
+      bytes: Buffer.byteLength(content, 'utf8'),
+      errors: findings.filter((finding) => finding.severity === 'error').length,
+      warnings: findings.filter((finding) => finding.severity === 'warning').length,
+    },
+    groups: allGroups,
+    environment,
+    aiCrawlers: { decisions: aiCrawlers.decisions, skipped: aiCrawlers.skipped },
+    template: useTemplate,
+    assets,
+    merge,
+    coverage,
+  };
+}
+
+/**
+ * Write generated robots.txt to disk, creating the directory
+ * @param {string|{content:string}} result - Content or the result of generateRobotsTxt
+ * @param {object} options - Write options
+ * @param {string} options.outputDir - Directory to write to
+ * @param {string} [options.filename] - File name (default robots.txt)
+ * @returns {{path:string,changed:boolean,bytes:number,createdDir:boolean}}
+ */
+function writeRobotsTxt(result, { outputDir, filename = 'robots.txt' }) {
+  if (!outputDir) throw new Error('outputDir is required');
+  const content = typeof result === 'string' ? result : result.content;
+  const filePath = path.join(outputDir, filename);
+
+  const createdDir = !fs.existsSync(outputDir);
+  if (createdDir) fs.mkdirSync(outputDir, { recursive: true });
+
+  // Note whether the bytes changed so callers can skip commits and uploads
+  const previous = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+  const changed = !previous || !previous.equals(Buffer.from(content, 'utf8'));
+  fs.writeFileSync(filePath, content);
+  return { path: filePath, changed, bytes: Buffer.byteLength(content, 'utf8'), createdDir };
+}
+
+module.exports = {
+  GENERATE_SETTINGS,
+  toOptionName,
+  toSitemapUrl,
+  generateRobotsTxt,
+  writeRobotsTxt,
+};
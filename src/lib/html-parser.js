@@ -7,7 +7,7 @@
 // Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
 // Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// HTML parsing helpers for canonical URLs and internal link discovery
+// HTML parsing helpers for canonical URLs, internal links and rendering assets
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 const fs = require('fs');
@@ -57,7 +57,65 @@ function discoverInternalLinks(htmlPath) {
   }
 }
 
+/**
+ * Rendering asset kinds for <link rel="preload" as="..."> values
+ */
+const PRELOAD_TYPES = { style: 'stylesheet', script: 'script', image: 'image' };
+
+/**
+ * Split a srcset attribute into its URLs
+ * @param {string} srcset - e.g. "a.png 1x, b.png 2x"
+ * @returns {string[]}
+ */
+function parseSrcset(srcset) {
+  return srcset
+    .split(',')
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+/**
+ * Collect the stylesheets, scripts and images a page needs to render
+ * @param {string} htmlPath - Path to HTML file
+ * @returns {Array<{type:'stylesheet'|'script'|'image',url:string}>} - References as written in the page
+ */
+function extractAssetReferences(htmlPath) {
+  try {
+    const html = fs.readFileSync(htmlPath, 'utf8');
+    const root = parseHtml(html);
+    const refs = [];
+    const add = (type, url) => {
+      if (url && !/^(data|blob|javascript):/i.test(url)) refs.push({ type, url: url.trim() });
+    };
+
+    for (const link of root.querySelectorAll('link[href]')) {
+      const rel = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+      if (rel.includes('stylesheet')) {
+        add('stylesheet', link.getAttribute('href'));
+      } else if (rel.includes('preload') || rel.includes('modulepreload')) {
+        const as = (link.getAttribute('as') || 'script').toLowerCase();
+        if (PRELOAD_TYPES[as]) add(PRELOAD_TYPES[as], link.getAttribute('href'));
+      }
+    }
+    for (const script of root.querySelectorAll('script[src]')) {
+      add('script', script.getAttribute('src'));
+    }
+    for (const img of root.querySelectorAll('img')) {
+      add('image', img.getAttribute('src'));
+      parseSrcset(img.getAttribute('srcset') || '').forEach((url) => add('image', url));
+    }
+    for (const source of root.querySelectorAll('picture source[srcset]')) {
+      parseSrcset(source.getAttribute('srcset')).forEach((url) => add('image', url));
+    }
+
+    return refs;
+  } catch {
+    return [];
+  }
+}
+
 module.exports = {
   extractCanonicalUrl,
   discoverInternalLinks,
+  extractAssetReferences,
 };
@@ -7,7 +7,7 @@
 // Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
 // Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// Output formatting helpers for action console logging
+// Console output helpers, written through a reporter (see reporters.js)
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 const {
@@ -16,313 +16,498 @@ const {
   getRepositoryUrl,
   getSupportUrl,
 } = require('./project-config');
+const { formatFileSize, escapeHtml } = require('./utils');
+const { formatFinding } = require('./findings');
 
 const DIVIDER = '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
 
 /**
  * Print application header
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  */
-function printHeader(core) {
-  core.info(DIVIDER);
-  core.info(getProjectTitle());
-  core.info(DIVIDER);
-  core.info(getCopyrightNotice());
-  core.info(getRepositoryUrl());
-  core.info(getSupportUrl());
-  core.info(DIVIDER);
+function printHeader(reporter) {
+  reporter.info(DIVIDER);
+  reporter.info(getProjectTitle());
+  reporter.info(DIVIDER);
+  reporter.info(getCopyrightNotice());
+  reporter.info(getRepositoryUrl());
+  reporter.info(getSupportUrl());
+  reporter.info(DIVIDER);
 }
 
 /**
  * Print application footer
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {string} [sponsorName] - Optional sponsor/company name to display
  */
-function printFooter(core, sponsorName) {
+function printFooter(reporter, sponsorName) {
   if (sponsorName) {
-    core.info(`\n✨ Sitemap generated by ${sponsorName}`);
+    reporter.info(`\n✨ Sitemap generated by ${sponsorName}`);
   }
 
-  core.info(DIVIDER);
-  core.info('✅ Sitemap generation complete!');
-  core.info(DIVIDER);
-  core.info(getCopyrightNotice());
-  core.info(getRepositoryUrl());
-  core.info(DIVIDER);
+  reporter.info(DIVIDER);
+  reporter.info('✅ Sitemap generation complete!');
+  reporter.info(DIVIDER);
+  reporter.info(getCopyrightNotice());
+  reporter.info(getRepositoryUrl());
+  reporter.info(DIVIDER);
 }
 
 /**
  * Print section header
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {string} emoji - Section emoji
  * @param {string} title - Section title
  * @param {string} status - Status: 'Enabled', 'Disabled', or custom
  */
-function printSectionHeader(core, emoji, title, status = null) {
-  core.info('');
+function printSectionHeader(reporter, emoji, title, status = null) {
+  reporter.info('');
   if (status) {
-    core.info(`${emoji} ${title}: ${status}`);
+    reporter.info(`${emoji} ${title}: ${status}`);
   } else {
-    core.info(`${emoji} ${title}:`);
+    reporter.info(`${emoji} ${title}:`);
   }
 }
 
 /**
  * Print section start message
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {string} message - Start message
  */
-function printSectionStart(core, message) {
-  core.info(`   🚀 ${message}`);
+function printSectionStart(reporter, message) {
+  reporter.info(`   🚀 ${message}`);
 }
 
 /**
  * Print section success message
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {string} message - Success message
  */
-function printSectionSuccess(core, message) {
-  core.info(`   ✅ ${message}`);
+function printSectionSuccess(reporter, message) {
+  reporter.info(`   ✅ ${message}`);
 }
 
 /**
  * Print configuration summary header
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  */
-function printConfigHeader(core) {
-  core.info(`\n${DIVIDER}`);
-  core.info('⚙️  Configuration Summary');
-  core.info(DIVIDER);
+function printConfigHeader(reporter) {
+  reporter.info(`\n${DIVIDER}`);
+  reporter.info('⚙️  Configuration Summary');
+  reporter.info(DIVIDER);
 }
 
 /**
  * Print configuration section
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {string} emoji - Section emoji
  * @param {string} title - Section title
  * @param {object} items - Configuration items as key-value pairs
+ * @param {object} [sources] - Where each item came from (input, config file, default), by key
  */
-function printConfigSection(core, emoji, title, items) {
-  core.info(`\n${emoji} ${title}:`);
+function printConfigSection(reporter, emoji, title, items, sources = {}) {
+  reporter.info(`\n${emoji} ${title}:`);
   for (const [key, value] of Object.entries(items)) {
-    core.info(`   ${key.padEnd(20)} ${value}`);
+    const source = sources[key] ? `  (${sources[key]})` : '';
+    reporter.info(`   ${key.padEnd(20)} ${value}${source}`);
   }
 }
 
 /**
- * Print sitemap generation section
+ * Print validation findings
+ * Errors and warnings show their rule ID (for validation_rules) and fix hint,
+ * and become workflow annotations titled with the rule ID. A summary
+ * annotation counts the findings by severity.
+ * @param {object} reporter - Reporter (see reporters.js)
+ * @param {Array<object>} results - Findings from validateRobotsTxt
+ * @param {string} [file] - File the findings refer to (shown with line numbers)
+ * @param {object} [options] - Annotation options
+ * @param {function(object):object} [options.locate] - Annotation file/line for a finding (see annotations.js)
+ * @param {string} [options.title] - Title of the summary annotation
+ * @returns {{errors:number,warnings:number,notes:number}} - Finding counts
+ */
+function printValidationResults(
+  reporter,
+  results,
+  file = '',
+  { locate = () => ({}), title = 'robots.txt validation' } = {}
+) {
+  const counts = { errors: 0, warnings: 0, notes: 0 };
+  for (const result of results) {
+    let location = '';
+    if (result.line) location = file ? ` (${file}:${result.line})` : ` (line ${result.line})`;
+    const text = `   ${formatFinding(result)}${location}`;
+    const detail = `${text} [${result.id}]\n      💡 ${result.hint}`;
+    const properties = () => ({ title: result.id, ...locate(result) });
+
+    if (result.severity === 'error') {
+      reporter.error(detail, properties());
+      counts.errors++;
+    } else if (result.severity === 'warning') {
+      reporter.warning(detail, properties());
+      counts.warnings++;
+    } else {
+      reporter.info(text);
+      if (!result.passed) counts.notes++;
+    }
+  }
+
+  if (counts.errors + counts.warnings + counts.notes > 0) {
+    reporter.notice(
+      `${counts.errors} error(s), ${counts.warnings} warning(s), ${counts.notes} note(s)${file ? ` in ${file}` : ''}`,
+      { title }
+    );
+  }
+  return counts;
+}
+
+/**
+ * Print URL access test results
+ * @param {object} reporter - Reporter (see reporters.js)
+ * @param {Array<object>} results - Results from runUrlTests
+ * @returns {number} - Number of failed expectations
+ */
+function printUrlTestResults(reporter, results) {
+  reporter.info('\n🧪 URL Tests:');
+  let failed = 0;
+  for (const { expectation, allowed, passed, explanation } of results) {
+    const text = `${expectation.expect} ${expectation.userAgent} ${expectation.url}`;
+    if (passed) {
+      reporter.info(`   ✓ ${text}`);
+    } else {
+      failed++;
+      reporter.error(
+        `   ✗ ${text}: ${allowed ? 'allowed' : 'blocked'}, ${explanation} (${expectation.source})`
+      );
+    }
+  }
+  reporter.info(`   ${results.length - failed}/${results.length} expectation(s) passed`);
+  return failed;
+}
+
+/**
+ * Write the run report to the GitHub job summary
+ * Uses the same configuration items and validation results as the console
+ * printers. Does nothing outside GitHub Actions (no GITHUB_STEP_SUMMARY).
  * @param {object} core - GitHub Actions core module
+ * @param {object} report - Report data
+ * @param {string} report.status - One-line outcome
+ * @param {object} [report.configuration] - {items, sources} as passed to printConfigSection
+ * @param {object} [report.file] - {path, content, maxSizeKB}
+ * @param {Array<object>} [report.results] - Findings from validateRobotsTxt
+ * @param {Array<{url:string,state:string}>} [report.sitemaps] - Sitemaps with local status
+ * @param {Array<object>} [report.urlTests] - Results from runUrlTests
+ * @param {string} [report.diff] - Unified diff (check mode)
+ * @returns {Promise<boolean>} - Whether a summary was written
+ */
+async function printJobSummary(core, report) {
+  if (!process.env.GITHUB_STEP_SUMMARY) return false;
+
+  const { status, configuration, file, results = [], sitemaps = [], urlTests = [], diff } = report;
+  const summary = core.summary;
+  summary.addHeading('🤖 robots.txt', 2).addRaw(escapeHtml(status), true);
+
+  if (configuration) {
+    // Empty cells would be rendered as unclosed <td> tags by core.summary
+    const cell = (text) => escapeHtml(text) || '—';
+    const rows = Object.entries(configuration.items).map(([key, value]) => [
+      cell(key),
+      cell(value),
+      cell((configuration.sources || {})[key] || ''),
+    ]);
+    summary.addHeading('Configuration', 3).addTable([
+      [
+        { data: 'Setting', header: true },
+        { data: 'Value', header: true },
+        { data: 'Source', header: true },
+      ],
+      ...rows,
+    ]);
+  }
+
+  if (file) {
+    const size = Buffer.byteLength(file.content, 'utf8');
+    const percent = ((size / (file.maxSizeKB * 1024)) * 100).toFixed(1);
+    summary
+      .addHeading('File', 3)
+      .addRaw(
+        `<code>${escapeHtml(file.path)}</code>: ${formatFileSize(size)} of ${file.maxSizeKB} KB limit (${percent}%)`,
+        true
+      )
+      .addCodeBlock(escapeHtml(file.content), 'text');
+  }
+
+  if (diff) {
+    summary.addHeading('Differences', 3).addCodeBlock(escapeHtml(diff), 'diff');
+  }
+
+  if (results.length > 0) {
+    summary.addHeading('Validation', 3);
+    const sections = [
+      ['❌ Errors', (result) => result.severity === 'error'],
+      ['⚠️ Warnings', (result) => result.severity === 'warning'],
+      ['ℹ️ Notes', (result) => result.severity === 'info' && !result.passed],
+      ['✅ Passed checks', (result) => result.passed],
+    ];
+    for (const [label, matches] of sections) {
+      const items = results.filter(matches).map((result) => {
+        const location = result.line ? ` (line ${result.line})` : '';
+        const text = escapeHtml(`${result.message}${location}`);
+        return result.passed ? text : `<code>${escapeHtml(result.id)}</code> ${text}`;
+      });
+      if (items.length > 0) {
+        summary.addRaw(`<strong>${label} (${items.length})</strong>`, true).addList(items);
+      }
+    }
+  }
+
+  if (urlTests.length > 0) {
+    summary.addHeading('URL Tests', 3).addTable([
+      [
+        { data: 'Expectation', header: true },
+        { data: 'Result', header: true },
+        { data: 'Deciding rule', header: true },
+      ],
+      ...urlTests.map(({ expectation, passed, explanation }) => [
+        escapeHtml(`${expectation.expect} ${expectation.userAgent} ${expectation.url}`),
+        passed ? '✅ pass' : '❌ fail',
+        escapeHtml(explanation),
+      ]),
+    ]);
+  }
+
+  if (sitemaps.length > 0) {
+    const labels = { found: '✅ found', missing: '⚠️ missing', external: 'external' };
+    summary.addHeading('Sitemaps', 3).addTable([
+      [
+        { data: 'Sitemap', header: true },
+        { data: 'Local file', header: true },
+      ],
+      ...sitemaps.map((sitemap) => [escapeHtml(sitemap.url), labels[sitemap.state]]),
+    ]);
+  }
+
+  await summary.write();
+  return true;
+}
+
+/**
+ * Print sitemap generation section
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {object} config - Sitemap configuration
  * @param {object} _results - Generation results (reserved for future use)
  */
-function printSitemapSection(core, config, _results) {
+function printSitemapSection(reporter, config, _results) {
   if (!config.generateXmlSitemap && !config.generateTxtSitemap) {
-    printSectionHeader(core, '📝', 'Sitemap Generation', 'Disabled');
+    printSectionHeader(reporter, '📝', 'Sitemap Generation', 'Disabled');
     return;
   }
 
-  printSectionHeader(core, '📝', 'Sitemap Generation');
+  printSectionHeader(reporter, '📝', 'Sitemap Generation');
 
   // Configuration
-  core.info('   📋 Configuration:');
-  core.info(`      XML Sitemap:         ${config.generateXmlSitemap ? 'Enabled' : 'Disabled'}`);
-  core.info(`      TXT Sitemap:         ${config.generateTxtSitemap ? 'Enabled' : 'Disabled'}`);
-  core.info(
+  reporter.info('   📋 Configuration:');
+  reporter.info(`      XML Sitemap:         ${config.generateXmlSitemap ? 'Enabled' : 'Disabled'}`);
+  reporter.info(`      TXT Sitemap:         ${config.generateTxtSitemap ? 'Enabled' : 'Disabled'}`);
+  reporter.info(
     `      Gzip Compression:    ${config.generateGzip ? 'Enabled (XML only)' : 'Disabled'}`
   );
-  core.info(`      Last Modified:       ${config.lastmodStrategy}`);
-  core.info(`      Change Frequency:    ${config.changefreq || '(not set)'}`);
-  core.info(`      Priority:            ${config.priority || '(not set)'}`);
+  reporter.info(`      Last Modified:       ${config.lastmodStrategy}`);
+  reporter.info(`      Change Frequency:    ${config.changefreq || '(not set)'}`);
+  reporter.info(`      Priority:            ${config.priority || '(not set)'}`);
+  if (config.partition) {
+    reporter.info(`      Partitioning:        ${config.partition}`);
+  }
 
   // Execution
-  core.info('');
-  printSectionStart(core, 'Starting sitemap generation...');
+  reporter.info('');
+  printSectionStart(reporter, 'Starting sitemap generation...');
 
   // Results will be printed by the generation logic
 }
 
 /**
  * Print sitemap validation results
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {object} results - Validation results
  * @param {boolean} _strict - Strict validation mode (reserved for future use)
  */
-function printSitemapValidation(core, results, _strict) {
-  core.info('   🔍 Validation:');
+function printSitemapValidation(reporter, results, _strict) {
+  reporter.info('   🔍 Validation:');
 
   if (results.xmlSitemap) {
-    core.info(`      ✓ Valid XML format`);
-    core.info(`      ✓ Size OK (${results.xmlSitemap.size})`);
+    reporter.info(`      ✓ Valid XML format`);
+    reporter.info(`      ✓ Size OK (${results.xmlSitemap.size})`);
     if (results.xmlSitemap.gzipSize) {
-      core.info(`      ✓ Gzip size OK (${results.xmlSitemap.gzipSize})`);
+      reporter.info(`      ✓ Gzip size OK (${results.xmlSitemap.gzipSize})`);
     }
   }
 
   if (results.txtSitemap) {
-    core.info(`      ✓ Valid TXT format`);
-    core.info(`      ✓ Size OK (${results.txtSitemap.size})`);
+    reporter.info(`      ✓ Valid TXT format`);
+    reporter.info(`      ✓ Size OK (${results.txtSitemap.size})`);
   }
 }
 
 /**
  * Print robots.txt section
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {object} config - Robots.txt configuration
  * @param {object} _results - Generation results (reserved for future use)
  */
-function printRobotsSection(core, config, _results) {
+function printRobotsSection(reporter, config, _results) {
   if (!config.generateRobotsTxt) {
-    printSectionHeader(core, '🤖', 'Robots.txt Generation', 'Disabled');
+    printSectionHeader(reporter, '🤖', 'Robots.txt Generation', 'Disabled');
     return;
   }
 
-  printSectionHeader(core, '🤖', 'Robots.txt Generation');
+  printSectionHeader(reporter, '🤖', 'Robots.txt Generation');
 
   // Configuration
-  core.info('   📋 Configuration:');
-  core.info(`      User-agent:          ${config.robotsUserAgent}`);
-  core.info(
+  reporter.info('   📋 Configuration:');
+  reporter.info(`      User-agent:          ${config.robotsUserAgent}`);
+  reporter.info(
     `      Disallow Paths:      ${config.robotsDisallow.length ? config.robotsDisallow.join(', ') : 'Allow all'}`
   );
   if (config.robotsAllow.length > 0) {
-    core.info(`      Allow Paths:         ${config.robotsAllow.join(', ')}`);
+    reporter.info(`      Allow Paths:         ${config.robotsAllow.join(', ')}`);
   }
   if (config.robotsCrawlDelay) {
-    core.info(`      Crawl-delay:         ${config.robotsCrawlDelay} seconds`);
+    reporter.info(`      Crawl-delay:         ${config.robotsCrawlDelay} seconds`);
   }
 
   // Execution
-  core.info('');
-  printSectionStart(core, 'Generating robots.txt with sitemap references...');
+  reporter.info('');
+  printSectionStart(reporter, 'Generating robots.txt with sitemap references...');
 
   // Results will be printed by the generation logic
 }
 
 /**
  * Print robots.txt validation results
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {object} results - Validation results
  */
-function printRobotsValidation(core, results) {
-  core.info('   🔍 Validation:');
+function printRobotsValidation(reporter, results) {
+  reporter.info('   🔍 Validation:');
 
   if (results.hasSitemap) {
-    core.info(`      ✓ Contains Sitemap reference`);
+    reporter.info(`      ✓ Contains Sitemap reference`);
   }
-  core.info(`      ✓ Size OK (${results.size})`);
+  reporter.info(`      ✓ Size OK (${results.size})`);
   if (results.sitemapCount) {
-    core.info(`      ✓ ${results.sitemapCount} unique sitemap(s) referenced`);
+    reporter.info(`      ✓ ${results.sitemapCount} unique sitemap(s) referenced`);
   }
 }
 
 /**
  * Print humans.txt section
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {object} config - Humans.txt configuration
  * @param {object} _results - Generation results (reserved for future use)
  */
-function printHumansSection(core, config, _results) {
+function printHumansSection(reporter, config, _results) {
   if (!config.generateHumansTxt) {
-    printSectionHeader(core, '👥', 'Humans.txt Generation', 'Disabled');
+    printSectionHeader(reporter, '👥', 'Humans.txt Generation', 'Disabled');
     return;
   }
 
-  printSectionHeader(core, '👥', 'Humans.txt Generation');
+  printSectionHeader(reporter, '👥', 'Humans.txt Generation');
 
   // Configuration
-  core.info('   📋 Configuration:');
+  reporter.info('   📋 Configuration:');
   const sections = [];
   if (config.hasTeamInfo) sections.push('TEAM');
   if (config.hasThanksInfo) sections.push('THANKS');
   if (config.hasSiteInfo) sections.push('SITE');
 
   if (sections.length > 0) {
-    core.info(`      Sections:            ${sections.join(', ')}`);
+    reporter.info(`      Sections:            ${sections.join(', ')}`);
   } else {
-    core.info(`      Content:             Minimal (no custom fields)`);
+    reporter.info(`      Content:             Minimal (no custom fields)`);
   }
 
   // Execution
-  core.info('');
-  printSectionStart(core, 'Generating humans.txt with team and site information...');
+  reporter.info('');
+  printSectionStart(reporter, 'Generating humans.txt with team and site information...');
 
   // Results will be printed by the generation logic
 }
 
 /**
  * Print humans.txt validation results
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {object} results - Validation results
  */
-function printHumansValidation(core, results) {
-  core.info('   🔍 Validation:');
-  core.info(`      ✓ Size OK (${results.size})`);
+function printHumansValidation(reporter, results) {
+  reporter.info('   🔍 Validation:');
+  reporter.info(`      ✓ Size OK (${results.size})`);
   if (results.sections) {
-    core.info(`      ✓ Contains sections: ${results.sections.join(', ')}`);
+    reporter.info(`      ✓ Contains sections: ${results.sections.join(', ')}`);
   }
-  core.info(`      ✓ Valid humans.txt format`);
+  reporter.info(`      ✓ Valid humans.txt format`);
 }
 
 /**
  * Print security.txt section
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {object} config - Security.txt configuration
  * @param {object} _results - Generation results (reserved for future use)
  */
-function printSecuritySection(core, config, _results) {
+function printSecuritySection(reporter, config, _results) {
   if (!config.generateSecurityTxt) {
-    printSectionHeader(core, '🔒', 'Security.txt Generation', 'Disabled');
+    printSectionHeader(reporter, '🔒', 'Security.txt Generation', 'Disabled');
     return;
   }
 
-  printSectionHeader(core, '🔒', 'Security.txt Generation');
+  printSectionHeader(reporter, '🔒', 'Security.txt Generation');
 
   // Configuration
-  core.info('   📋 Configuration:');
-  core.info(`      Contact:             ${config.contactCount} contact(s)`);
-  core.info(`      Expires:             ${config.expires}`);
+  reporter.info('   📋 Configuration:');
+  reporter.info(`      Contact:             ${config.contactCount} contact(s)`);
+  reporter.info(`      Expires:             ${config.expires}`);
   if (config.optionalFields.length > 0) {
-    core.info(`      Optional Fields:     ${config.optionalFields.join(', ')}`);
+    reporter.info(`      Optional Fields:     ${config.optionalFields.join(', ')}`);
   }
 
   // Execution
-  core.info('');
-  printSectionStart(core, 'Generating security.txt per RFC 9116 standard...');
+  reporter.info('');
+  printSectionStart(reporter, 'Generating security.txt per RFC 9116 standard...');
 
   // Results will be printed by the generation logic
 }
 
 /**
  * Print security.txt validation results
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {object} results - Validation results
  */
-function printSecurityValidation(core, results) {
-  core.info('   🔍 Validation:');
-  core.info(`      ✓ Size OK (${results.size})`);
-  core.info(`      ✓ Contains Contact field (${results.contactCount} contact(s))`);
-  core.info(`      ✓ Valid Expires field (${results.expires})`);
+function printSecurityValidation(reporter, results) {
+  reporter.info('   🔍 Validation:');
+  reporter.info(`      ✓ Size OK (${results.size})`);
+  reporter.info(`      ✓ Contains Contact field (${results.contactCount} contact(s))`);
+  reporter.info(`      ✓ Valid Expires field (${results.expires})`);
   if (results.optionalFields.length > 0) {
-    core.info(`      ✓ Optional fields: ${results.optionalFields.join(', ')}`);
+    reporter.info(`      ✓ Optional fields: ${results.optionalFields.join(', ')}`);
   }
   if (!results.signed) {
-    core.info(`      ℹ️  File is not digitally signed (signing is recommended)`);
+    reporter.info(`      ℹ️  File is not digitally signed (signing is recommended)`);
   }
-  core.info(`      ✓ Valid security.txt format (RFC 9116)`);
+  reporter.info(`      ✓ Valid security.txt format (RFC 9116)`);
 }
 
 /**
  * Print validation section header
- * @param {object} core - GitHub Actions core module
+ * @param {object} reporter - Reporter (see reporters.js)
  * @param {boolean} strict - Strict validation mode
  */
-function printValidationHeader(core, strict) {
-  core.info('');
-  core.info('🔍 Validation:');
+function printValidationHeader(reporter, strict) {
+  reporter.info('');
+  reporter.info('🔍 Validation:');
   if (strict) {
-    core.info('   Mode: Strict (will fail on errors)');
+    reporter.info('   Mode: Strict (will fail on errors)');
   } else {
-    core.info('   Mode: Standard (warnings only)');
+    reporter.info('   Mode: Standard (warnings only)');
   }
 }
 
@@ -334,6 +519,9 @@ module.exports = {
   printSectionSuccess,
   printConfigHeader,
   printConfigSection,
+  printValidationResults,
+  printUrlTestResults,
+  printJobSummary,
   printSitemapSection,
   printSitemapValidation,
   printRobotsSection,
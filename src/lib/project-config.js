@@ -141,6 +141,15 @@ function getRobotsTxtHeader() {
 `;
 }
 
+/**
+ * Get generation comment for XML files (sitemaps)
+ * @returns {string} XML comment
+ */
+function getXmlGenerationHeader() {
+  const { name, version, repository } = PROJECT_CONFIG;
+  return `<!-- Generated by ${name} v${version} | https://${repository.url} -->`;
+}
+
 module.exports = {
   PROJECT_CONFIG,
   getCopyrightNotice,
@@ -149,4 +158,5 @@ module.exports = {
   getSupportUrl,
   getGenerationComment,
   getRobotsTxtHeader,
+  getXmlGenerationHeader,
 };
@@ -0,0 +1,158 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Reporters: how log messages are written (github, plain, jsonl, silent)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Available reporters
+ */
+const REPORTERS = ['github', 'plain', 'jsonl', 'silent'];
+
+/**
+ * Verbosity levels, least output first
+ */
+const VERBOSITY_LEVELS = ['quiet', 'normal', 'debug'];
+
+/**
+ * Lowest verbosity that shows each message level
+ */
+const LEVEL_VERBOSITY = {
+  error: 'quiet',
+  warning: 'quiet',
+  notice: 'normal',
+  info: 'normal',
+  debug: 'debug',
+};
+
+/**
+ * Emoji with default emoji presentation, or text symbols followed by the
+ * emoji variation selector (⚠️, ℹ️), plus the spaces after them. Symbols such
+ * as ✓, ✗ and © are text and are kept.
+ */
+const EMOJI_PATTERN = /(?:\p{Emoji_Presentation}\uFE0F?|\p{Extended_Pictographic}\uFE0F) */gu;
+
+/**
+ * Divider lines of the console layout (left out of JSON lines)
+ */
+const DIVIDER_PATTERN = /^━+$/;
+
+/**
+ * Remove emoji from a log message
+ * @param {string} message - Log message
+ * @returns {string}
+ */
+function stripEmoji(message) {
+  return message.replace(EMOJI_PATTERN, '');
+}
+
+/**
+ * Fail the run without logging the message again
+ * @actions/core only fails through setFailed, which logs an error of its
+ * own, so the exit code is set directly; the CLI stand-in records the
+ * failure itself (see cli-core.js).
+ * @param {object} core - GitHub Actions core module (or the CLI stand-in)
+ * @param {string} message - Failure message
+ */
+function markFailed(core, message) {
+  if (typeof core.markFailed === 'function') {
+    core.markFailed(message);
+  } else {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Create a reporter
+ * A reporter has the logging methods of @actions/core (info, debug, notice,
+ * warning, error, with annotation properties) plus `fail`, which replaces
+ * setFailed. Lines are written through `core.info`, so they end up wherever
+ * core writes (stdout in the action, stderr in the CLI).
+ * - github: workflow commands and annotations, as before
+ * - plain: no emoji or workflow commands; levels other than info are prefixed
+ * - jsonl: one JSON object per message ({level, message, ...properties})
+ * - silent: nothing; failures still fail the run
+ * @param {object} core - GitHub Actions core module (or the CLI stand-in)
+ * @param {object} [options] - Reporter options
+ * @param {string} [options.reporter] - One of REPORTERS (default github)
+ * @param {string} [options.verbosity] - One of VERBOSITY_LEVELS (default normal)
+ * @returns {object} - Reporter
+ */
+function createReporter(core, { reporter = 'github', verbosity = 'normal' } = {}) {
+  if (!REPORTERS.includes(reporter)) {
+    throw new Error(`reporter must be one of ${REPORTERS.join(', ')}`);
+  }
+  if (!VERBOSITY_LEVELS.includes(verbosity)) {
+    throw new Error(`verbosity must be one of ${VERBOSITY_LEVELS.join(', ')}`);
+  }
+
+  const shows = (level) =>
+    VERBOSITY_LEVELS.indexOf(verbosity) >= VERBOSITY_LEVELS.indexOf(LEVEL_VERBOSITY[level]);
+
+  let emit;
+  if (reporter === 'github') {
+    emit = (level, message, properties) => {
+      if (level === 'info' || level === 'debug') {
+        core.info(message);
+      } else {
+        core[level](message, properties);
+      }
+    };
+  } else if (reporter === 'plain') {
+    emit = (level, message) => {
+      const text = stripEmoji(message);
+      core.info(level === 'info' ? text : `${level}: ${text.trimStart()}`);
+    };
+  } else if (reporter === 'jsonl') {
+    emit = (level, message, properties = {}) => {
+      const text = stripEmoji(message)
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((line) => line && !DIVIDER_PATTERN.test(line))
+        .join('\n');
+      if (text) core.info(JSON.stringify({ level, message: text, ...properties }));
+    };
+  } else {
+    emit = () => {};
+  }
+
+  const log = (level) => (message, properties) => {
+    if (shows(level)) {
+      emit(level, String(message), properties);
+    } else if (level === 'debug' && reporter === 'github') {
+      // Hidden debug messages still show when the workflow enables step debug logging
+      core.debug(String(message));
+    }
+  };
+
+  return {
+    reporter,
+    verbosity,
+    info: log('info'),
+    debug: log('debug'),
+    notice: log('notice'),
+    warning: log('warning'),
+    error: log('error'),
+    fail: (message) => {
+      if (reporter === 'github') {
+        core.setFailed(message);
+        return;
+      }
+      emit('error', String(message));
+      markFailed(core, String(message));
+    },
+  };
+}
+
+module.exports = {
+  REPORTERS,
+  VERBOSITY_LEVELS,
+  stripEmoji,
+  createReporter,
+};
@@ -0,0 +1,162 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// robots.txt content building from structured User-agent groups
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const yaml = require('js-yaml');
+
+/**
+ * Ensure a URL path starts with a slash
+ * @param {string} input - Path or pattern
+ * @returns {string} - Path with leading slash
+ */
+function ensureLeadingSlash(input) {
+  return input.startsWith('/') ? input : `/${input}`;
+}
+
+/**
+ * Coerce a scalar-or-array value into a trimmed string array
+ * @param {string|string[]|undefined} value - Raw value
+ * @returns {string[]} - Non-empty strings
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map((v) => String(v).trim()).filter((v) => v.length > 0);
+}
+
+/**
+ * Normalize one group definition from robots_rules
+ * Already normalized groups (`userAgents`, `crawlDelay`, `comments`) are
+ * accepted too, so normalizing twice is harmless.
+ * @param {object} raw - Group definition
+ * @param {number} index - Zero-based position (for error messages)
+ * @returns {{userAgents:string[],allow:string[],disallow:string[],crawlDelay:string,comments:string[]}}
+ */
+function normalizeGroup(raw, index) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`robots_rules group ${index + 1} must be an object`);
+  }
+
+  const userAgents = [...new Set(toList(raw.user_agent ?? raw.userAgents))];
+  if (userAgents.length === 0) {
+    throw new Error(`robots_rules group ${index + 1} is missing user_agent`);
+  }
+
+  let crawlDelay = '';
+  const rawDelay = raw.crawl_delay ?? raw.crawlDelay;
+  if (rawDelay !== undefined && rawDelay !== null && rawDelay !== '') {
+    crawlDelay = String(rawDelay).trim();
+  }
+
+  return {
+    userAgents,
+    allow: [...new Set(toList(raw.allow).map(ensureLeadingSlash))],
+    disallow: [...new Set(toList(raw.disallow).map(ensureLeadingSlash))],
+    crawlDelay,
+    comments: toList(raw.comment ?? raw.comments),
+  };
+}
+
+/**
+ * Normalize a list of group definitions
+ * @param {Array<object>} rawGroups - Group definitions (as parsed from YAML/JSON)
+ * @returns {Array<object>} - Normalized groups
+ */
+function normalizeGroups(rawGroups) {
+  if (!Array.isArray(rawGroups)) {
+    throw new Error('robots_rules must be a list of groups');
+  }
+  return rawGroups.map((raw, index) => normalizeGroup(raw, index));
+}
+
+/**
+ * Parse the robots_rules input (YAML or JSON) into normalized groups
+ * @param {string} raw - robots_rules input text
+ * @returns {Array<object>} - Normalized groups (empty when input is blank)
+ */
+function parseRulesInput(raw) {
+  if (!raw || !raw.trim()) return [];
+  let parsed;
+  try {
+    // JSON is a subset of YAML, so a single loader covers both formats
+    parsed = yaml.load(raw);
+  } catch (e) {
+    throw new Error(`robots_rules is not valid YAML/JSON: ${e.message}`);
+  }
+  return normalizeGroups(parsed);
+}
+
+/**
+ * Render a single group as robots.txt lines
+ * Allow lines are written before Disallow lines so that the most common
+ * exceptions stay next to their User-agent lines.
+ * @param {object} group - Normalized group
+ * @returns {string} - Group text (newline terminated)
+ */
+function renderGroup(group) {
+  let out = '';
+  group.comments.forEach((comment) => {
+    out += `# ${comment}\n`;
+  });
+  group.userAgents.forEach((agent) => {
+    out += `User-agent: ${agent}\n`;
+  });
+
+  if (group.allow.length === 0 && group.disallow.length === 0) {
+    out += 'Disallow:\n';
+  } else {
+    group.allow.forEach((allow) => {
+      out += `Allow: ${allow}\n`;
+    });
+    group.disallow.forEach((disallow) => {
+      out += `Disallow: ${disallow}\n`;
+    });
+  }
+
+  if (group.crawlDelay) {
+    out += `Crawl-delay: ${group.crawlDelay}\n`;
+  }
+  return out;
+}
+
+/**
+ * Build robots.txt content from groups and sitemap URLs
+ * Groups are rendered in declaration order, each separated by a blank line.
+ * @param {object} options - Build options
+ * @param {string} options.header - Leading comment block ('' for none)
+ * @param {Array<object>} options.groups - Normalized groups
+ * @param {string[]} options.sitemaps - Absolute sitemap URLs
+ * @returns {string} - robots.txt content
+ */
+function buildRobotsTxt({ header = '', groups = [], sitemaps = [] }) {
+  let content = header;
+
+  groups.forEach((group) => {
+    content += `\n${renderGroup(group)}`;
+  });
+
+  if (sitemaps.length > 0) {
+    content += '\n';
+    sitemaps.forEach((url) => {
+      content += `Sitemap: ${url}\n`;
+    });
+  }
+
+  return content;
+}
+
+module.exports = {
+  ensureLeadingSlash,
+  normalizeGroups,
+  parseRulesInput,
+  renderGroup,
+  buildRobotsTxt,
+};
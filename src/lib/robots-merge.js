@@ -0,0 +1,109 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Managed-block merging into an existing, partly hand-written robots.txt
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const { parseRobotsGroups } = require('./robots-parser');
+
+const MERGE_MODES = ['overwrite', 'merge'];
+const MANAGED_BEGIN = '# BEGIN bos-robotstxt-generator managed block (do not edit)';
+const MANAGED_END = '# END bos-robotstxt-generator managed block';
+
+/**
+ * Locate the managed block
+ * @param {string} content - robots.txt text
+ * @returns {{startLine:number,endLine:number}|null} - 1-based marker lines, or null
+ */
+function findManagedBlock(content) {
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex((line) => line.trim() === MANAGED_BEGIN);
+  if (start === -1) return null;
+  const end = lines.findIndex((line, index) => index > start && line.trim() === MANAGED_END);
+  if (end === -1) {
+    throw new Error(`Managed block starting on line ${start + 1} has no END marker`);
+  }
+  return { startLine: start + 1, endLine: end + 1 };
+}
+
+/**
+ * Merge generated content into an existing robots.txt
+ * The generated rules replace the managed block; everything outside it
+ * (other tools' groups, comments, Sitemap lines) is kept verbatim. Without a
+ * managed block the existing content is kept and the block is appended.
+ * @param {string} existing - Current robots.txt text ('' when absent)
+ * @param {string} generated - Newly generated robots.txt text
+ * @returns {{content:string,preservedLines:number}} - Merged text and unmanaged line count
+ */
+function mergeRobotsTxt(existing, generated) {
+  const block = `${MANAGED_BEGIN}\n${generated.trim()}\n${MANAGED_END}\n`;
+  const lines = existing.replace(/\r\n/g, '\n').split('\n');
+  const range = existing.trim() ? findManagedBlock(existing) : null;
+
+  let before;
+  let after;
+  if (range) {
+    before = lines.slice(0, range.startLine - 1);
+    after = lines.slice(range.endLine);
+  } else {
+    before = existing.trim() ? lines : [];
+    after = [];
+  }
+
+  // Trim trailing blank lines so repeated runs produce identical output
+  while (before.length > 0 && before[before.length - 1].trim() === '') before.pop();
+  while (after.length > 0 && after[after.length - 1].trim() === '') after.pop();
+
+  let content = before.length > 0 ? `${before.join('\n')}\n\n${block}` : block;
+  if (after.length > 0) {
+    content += `${after.join('\n')}\n`;
+  }
+
+  const preservedLines = [...before, ...after].filter((line) => line.trim() !== '').length;
+  return { content, preservedLines };
+}
+
+/**
+ * Find unmanaged groups that target the same user-agent as a managed group
+ * @param {string} content - Merged robots.txt text
+ * @returns {Array<{agent:string,manualLine:number,managedLine:number}>}
+ */
+function findMergeConflicts(content) {
+  const range = findManagedBlock(content);
+  if (!range) return [];
+
+  const inBlock = (line) => line > range.startLine && line < range.endLine;
+  const { groups } = parseRobotsGroups(content);
+  const managed = new Map();
+  for (const group of groups.filter((g) => inBlock(g.line))) {
+    for (const agent of group.userAgents) {
+      if (!managed.has(agent.toLowerCase())) managed.set(agent.toLowerCase(), group.line);
+    }
+  }
+
+  const conflicts = [];
+  for (const group of groups.filter((g) => !inBlock(g.line))) {
+    for (const agent of group.userAgents) {
+      const managedLine = managed.get(agent.toLowerCase());
+      if (managedLine) {
+        conflicts.push({ agent, manualLine: group.line, managedLine });
+      }
+    }
+  }
+  return conflicts;
+}
+
+module.exports = {
+  MERGE_MODES,
+  MANAGED_BEGIN,
+  MANAGED_END,
+  findManagedBlock,
+  mergeRobotsTxt,
+  findMergeConflicts,
+};
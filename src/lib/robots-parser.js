@@ -13,31 +13,234 @@
 const fs = require('fs');
 
 /**
- * Read disallow rules from robots.txt
+ * Directives that belong to the group they appear in. Allow, Disallow and
+ * Crawl-delay end a run of User-agent lines; Sitemap and unknown records
+ * do not (RFC 9309 section 2.2).
+ */
+const GROUP_MEMBER_KEYS = ['allow', 'disallow', 'crawl-delay'];
+
+/**
+ * Parse robots.txt content into an AST following RFC 9309
+ * Keys are case-insensitive, a leading BOM and CR, LF or CRLF line endings
+ * are accepted, and `#` starts a comment anywhere on a line. Every node
+ * carries its 1-based source line and column.
+ * @param {string} content - robots.txt text
+ * @returns {{
+ *   groups: Array<{userAgents:Array<object>,rules:Array<object>,crawlDelays:Array<object>,line:number,column:number}>,
+ *   orphanRules: Array<object>,
+ *   sitemaps: Array<{value:string,line:number,column:number}>,
+ *   unknown: Array<{key:string,value:string,line:number,column:number}>,
+ *   invalid: Array<{text:string,line:number,column:number}>,
+ *   comments: Array<{text:string,line:number,column:number}>,
+ *   bom: boolean
+ * }}
+ */
+function parseRobotsTxt(content) {
+  const bom = content.charCodeAt(0) === 0xfeff;
+  const lines = (bom ? content.slice(1) : content).split(/\r\n|\r|\n/);
+  const ast = {
+    groups: [],
+    orphanRules: [],
+    sitemaps: [],
+    unknown: [],
+    invalid: [],
+    comments: [],
+    bom,
+  };
+  let current = null;
+  let inUserAgentRun = false;
+
+  lines.forEach((raw, index) => {
+    const line = index + 1;
+    const hash = raw.indexOf('#');
+    if (hash !== -1) {
+      ast.comments.push({ text: raw.slice(hash + 1).trim(), line, column: hash + 1 });
+    }
+
+    const record = hash === -1 ? raw : raw.slice(0, hash);
+    const trimmed = record.trim();
+    if (!trimmed) return;
+    const column = record.length - record.trimStart().length + 1;
+
+    const m = trimmed.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!m) {
+      ast.invalid.push({ text: trimmed, line, column });
+      return;
+    }
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+    const node = { value, line, column };
+
+    if (key === 'user-agent') {
+      if (!current || !inUserAgentRun) {
+        current = { userAgents: [], rules: [], crawlDelays: [], line, column };
+        ast.groups.push(current);
+      }
+      current.userAgents.push(node);
+      inUserAgentRun = true;
+    } else if (key === 'sitemap') {
+      ast.sitemaps.push(node);
+    } else if (GROUP_MEMBER_KEYS.includes(key)) {
+      inUserAgentRun = false;
+      if (!current) {
+        ast.orphanRules.push({ type: key, ...node });
+      } else if (key === 'crawl-delay') {
+        current.crawlDelays.push(node);
+      } else {
+        current.rules.push({ type: key, ...node });
+      }
+    } else {
+      ast.unknown.push({ key: m[1], ...node });
+    }
+  });
+
+  return ast;
+}
+
+/**
+ * Combine all groups that name the same user-agent
+ * RFC 9309 section 2.2.1: when several groups match a crawler, their rules
+ * are combined into one group. Product tokens compare case-insensitively.
+ * @param {object} ast - Result of parseRobotsTxt
+ * @returns {Map<string,{agent:string,rules:Array<object>,crawlDelays:Array<object>,lines:number[]}>} - Keyed by lowercase token
+ */
+function mergeGroupsByAgent(ast) {
+  const merged = new Map();
+  for (const group of ast.groups) {
+    for (const agent of group.userAgents) {
+      const key = agent.value.toLowerCase();
+      if (!merged.has(key)) {
+        merged.set(key, { agent: agent.value, rules: [], crawlDelays: [], lines: [] });
+      }
+      const entry = merged.get(key);
+      if (!entry.lines.includes(group.line)) {
+        entry.rules.push(...group.rules);
+        entry.crawlDelays.push(...group.crawlDelays);
+        entry.lines.push(group.line);
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Read disallow rules that apply to all crawlers (`User-agent: *`)
  * @param {string} robotsPath - Path to robots.txt
  * @returns {string[]} - Array of disallowed paths
  */
 function readRobotsDisallows(robotsPath) {
   if (!fs.existsSync(robotsPath)) return [];
-  const content = fs.readFileSync(robotsPath, 'utf8');
-  const lines = content.split(/\r?\n/);
-  const disallows = [];
-  let appliesToAll = false;
-
-  for (const line of lines) {
-    const l = line.trim();
-    if (!l || l.startsWith('#')) continue;
-    if (/^User-agent:\s*\*/i.test(l)) {
-      appliesToAll = true;
-      continue;
-    }
-    if (appliesToAll) {
-      const m = l.match(/^Disallow:\s*(\S*)/i);
-      if (m) disallows.push(m[1]);
-    }
-  }
+  const ast = parseRobotsTxt(fs.readFileSync(robotsPath, 'utf8'));
+  const wildcard = mergeGroupsByAgent(ast).get('*');
+  if (!wildcard) return [];
+  return wildcard.rules
+    .filter((rule) => rule.type === 'disallow' && rule.value)
+    .map((r) => r.value);
+}
 
-  return disallows.filter(Boolean);
+/**
+ * Split robots.txt content into User-agent groups
+ * Group view of parseRobotsTxt with user-agents as plain strings.
+ * @param {string} content - robots.txt text
+ * @returns {{groups: Array, orphanRules: Array, sitemaps: Array}} - Parsed groups and extras
+ */
+function parseRobotsGroups(content) {
+  const ast = parseRobotsTxt(content);
+  return {
+    groups: ast.groups.map((group) => ({
+      userAgents: group.userAgents.map((agent) => agent.value),
+      rules: group.rules.map(({ type, value, line }) => ({ type, value, line })),
+      crawlDelays: group.crawlDelays.map(({ value, line }) => ({ value, line })),
+      line: group.line,
+    })),
+    orphanRules: ast.orphanRules.map(({ type, value, line }) => ({ type, value, line })),
+    sitemaps: ast.sitemaps.map(({ value, line }) => ({ value, line })),
+  };
+}
+
+/**
+ * Count the groups, rules and Sitemap lines in robots.txt content
+ * Empty `Disallow:` lines allow everything and are not counted as rules.
+ * @param {string} content - robots.txt text
+ * @returns {{groups:number,rules:number,sitemaps:number}}
+ */
+function countRobotsDirectives(content) {
+  const { groups, sitemaps } = parseRobotsGroups(content);
+  const rules = groups.reduce(
+    (total, group) => total + group.rules.filter((rule) => rule.value).length,
+    0
+  );
+  return { groups: groups.length, rules, sitemaps: sitemaps.length };
+}
+
+/**
+ * Compiled pattern cache, keyed by normalized pattern text
+ */
+const PATTERN_CACHE = new Map();
+const PATTERN_CACHE_LIMIT = 10000;
+
+/**
+ * Normalize percent-encoding for comparison (RFC 9309 section 2.2.2)
+ * Escapes of unreserved characters (A-Z a-z 0-9 - . _ ~) are decoded,
+ * remaining escapes are upper-cased, and non-ASCII characters are
+ * percent-encoded as UTF-8, so `/%7Euser`, `/~user` and `/%7euser` compare
+ * equal while `%2F` stays distinct from `/`.
+ * @param {string} value - Path or pattern
+ * @returns {string} - Normalized text
+ */
+function normalizePercentEncoding(value) {
+  if (!/[%\u0080-\uFFFF]/.test(value)) return value;
+  return value
+    .replace(/[\u0080-\uFFFF]+/g, (chars) => {
+      try {
+        return encodeURIComponent(chars);
+      } catch {
+        // Lone surrogates cannot be encoded; compare them as-is
+        return chars;
+      }
+    })
+    .replace(/%([0-9a-fA-F]{2})/g, (escape, hex) => {
+      const char = String.fromCharCode(parseInt(hex, 16));
+      return /[A-Za-z0-9\-._~]/.test(char) ? char : `%${hex.toUpperCase()}`;
+    });
+}
+
+/**
+ * Compile a robots.txt pattern to an anchored regular expression
+ * Every character except `*` (any sequence) and a trailing `$` (end of
+ * path) is matched literally.
+ * @param {string} pattern - Normalized pattern
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+  let regex = PATTERN_CACHE.get(pattern);
+  if (regex) return regex;
+
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  regex = new RegExp(`^${body}${anchored ? '$' : ''}`, 's');
+
+  if (PATTERN_CACHE.size >= PATTERN_CACHE_LIMIT) PATTERN_CACHE.clear();
+  PATTERN_CACHE.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Match an already normalized path against a pattern
+ * @param {string} normalizedPath - Result of normalizePercentEncoding
+ * @param {string} pattern - Robots.txt pattern
+ * @returns {boolean}
+ */
+function matchesNormalized(normalizedPath, pattern) {
+  if (!pattern) return false;
+  const normalizedPattern = normalizePercentEncoding(pattern);
+
+  // Plain prefixes need no regular expression
+  if (!/[*$]/.test(normalizedPattern)) return normalizedPath.startsWith(normalizedPattern);
+  return compilePattern(normalizedPattern).test(normalizedPath);
 }
 
 /**
@@ -47,44 +250,131 @@ function readRobotsDisallows(robotsPath) {
  * @returns {boolean} - True if path matches pattern
  */
 function matchesPattern(path, pattern) {
-  if (!pattern) return false;
+  return matchesNormalized(normalizePercentEncoding(path), pattern);
+}
+
+/**
+ * Get the product token from a user-agent string (e.g. "Googlebot/2.1 (+http://...)" -> "googlebot")
+ * @param {string} userAgent - Crawler name or user-agent string
+ * @returns {string} - Lowercase product token
+ */
+function getProductToken(userAgent) {
+  return userAgent.trim().split(/[\s/]/)[0].toLowerCase();
+}
+
+/**
+ * Select the group a crawler obeys
+ * Only an exact product token match counts, otherwise the `*` group
+ * applies (RFC 9309 section 2.2.1): Googlebot-Image does not obey a
+ * Googlebot group. Groups for the chosen token are combined.
+ * @param {object} ast - Result of parseRobotsTxt
+ * @param {string} userAgent - Crawler name or user-agent string
+ * @returns {{agent:string,rules:Array<object>,crawlDelays:Array<object>,lines:number[]}|null} - null when no group applies
+ */
+function selectGroup(ast, userAgent) {
+  const merged = mergeGroupsByAgent(ast);
+  const token = getProductToken(userAgent);
+  if (token !== '*' && merged.has(token)) return merged.get(token);
+  return merged.get('*') || null;
+}
 
-  // Handle exact root match
-  if (pattern === '/') return true;
+/**
+ * Find the rule that decides access to a path
+ * The longest matching pattern wins; on equal length Allow wins over
+ * Disallow (RFC 9309 section 2.2.2). Empty Disallow values match nothing.
+ * @param {string} urlPath - URL path (with query string)
+ * @param {Array<{type:string,value:string}>} rules - Allow/Disallow rules
+ * @returns {object|null} - Deciding rule, or null when no rule matches
+ */
+function findMatchingRule(urlPath, rules) {
+  const normalizedPath = normalizePercentEncoding(urlPath);
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.value || !matchesNormalized(normalizedPath, rule.value)) continue;
+    if (
+      !best ||
+      rule.value.length > best.value.length ||
+      (rule.value.length === best.value.length && rule.type === 'allow' && best.type !== 'allow')
+    ) {
+      best = rule;
+    }
+  }
+  return best;
+}
 
-  // Handle end-of-path marker ($)
-  if (pattern.endsWith('$')) {
-    const patternWithoutDollar = pattern.slice(0, -1);
-    // Convert * to regex wildcard
-    const regexPattern = patternWithoutDollar.replace(/\*/g, '.*');
-    const regex = new RegExp(`^${regexPattern}$`);
-    return regex.test(path);
+/**
+ * Reduce a URL to the path and query crawlers match rules against
+ * @param {string} url - Absolute URL or path
+ * @returns {string} - Path starting with /
+ */
+function toRulePath(url) {
+  if (/^https?:\/\//i.test(url)) {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
   }
+  return url.startsWith('/') ? url : `/${url}`;
+}
 
-  // Handle wildcard (*)
-  if (pattern.includes('*')) {
-    const regexPattern = pattern.replace(/\*/g, '.*');
-    const regex = new RegExp(`^${regexPattern}`);
-    return regex.test(path);
+/**
+ * Decide whether a crawler may fetch a URL
+ * @param {object} ast - Result of parseRobotsTxt
+ * @param {string} userAgent - Crawler name or user-agent string
+ * @param {string} url - Absolute URL or path
+ * @returns {{allowed:boolean,path:string,group:object|null,rule:object|null}}
+ */
+function evaluateUrl(ast, userAgent, url) {
+  const urlPath = toRulePath(url);
+  const group = selectGroup(ast, userAgent);
+
+  // robots.txt itself is always allowed (RFC 9309 section 2.2.2)
+  if (!group || urlPath === '/robots.txt') {
+    return { allowed: true, path: urlPath, group, rule: null };
   }
 
-  // Simple prefix matching
-  return path.startsWith(pattern);
+  const rule = findMatchingRule(urlPath, group.rules);
+  return { allowed: !rule || rule.type === 'allow', path: urlPath, group, rule };
+}
+
+/**
+ * Read the rules a crawler obeys from a robots.txt file
+ * @param {string} robotsPath - Path to robots.txt
+ * @param {string} [userAgent] - Crawler name (defaults to all crawlers)
+ * @returns {Array<{type:string,value:string,line:number}>} - Rules of the selected group
+ */
+function readRobotsRules(robotsPath, userAgent = '*') {
+  if (!fs.existsSync(robotsPath)) return [];
+  const group = selectGroup(parseRobotsTxt(fs.readFileSync(robotsPath, 'utf8')), userAgent);
+  return group ? group.rules : [];
 }
 
 /**
  * Check if a path is disallowed by robots.txt rules
+ * Plain strings are treated as Disallow patterns; rule objects may also be
+ * Allow rules, which win when they are at least as specific.
  * @param {string} urlPath - URL path to check
- * @param {string[]} disallows - Array of disallow rules
+ * @param {Array<string|{type:string,value:string}>} rules - Disallow patterns or rules
  * @returns {boolean} - True if path is disallowed
  */
-function isPathDisallowed(urlPath, disallows) {
-  if (!disallows.length) return false;
-  return disallows.some((rule) => matchesPattern(urlPath, rule));
+function isPathDisallowed(urlPath, rules) {
+  if (!rules.length) return false;
+  const normalized = rules.map((rule) =>
+    typeof rule === 'string' ? { type: 'disallow', value: rule } : rule
+  );
+  const rule = findMatchingRule(urlPath, normalized);
+  return Boolean(rule) && rule.type === 'disallow';
 }
 
 module.exports = {
+  parseRobotsTxt,
+  mergeGroupsByAgent,
   readRobotsDisallows,
+  readRobotsRules,
+  parseRobotsGroups,
+  countRobotsDirectives,
+  selectGroup,
+  findMatchingRule,
+  evaluateUrl,
   isPathDisallowed,
+  normalizePercentEncoding,
   matchesPattern,
 };
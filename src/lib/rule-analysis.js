@@ -0,0 +1,278 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Rule conflict and redundancy analysis (shadowed, duplicate, tied rules)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const { mergeGroupsByAgent, selectGroup, normalizePercentEncoding } = require('./robots-parser');
+const { createFinding } = require('./findings');
+
+/**
+ * Validation rule reported for each kind of rule interaction
+ */
+const KIND_RULES = {
+  duplicate: 'R018-duplicate-rule',
+  shadowed: 'R019-shadowed-rule',
+  tie: 'R020-tied-rules',
+  redundant: 'R021-redundant-rule',
+};
+
+/**
+ * Reduce a rule pattern to a canonical form
+ * Percent-encoding is normalized, runs of `*` collapse, and a trailing `*`
+ * (or `*$`) is dropped because rules already match by prefix.
+ * @param {string} pattern - Allow/Disallow value
+ * @returns {string}
+ */
+function canonicalPattern(pattern) {
+  return normalizePercentEncoding(pattern)
+    .replace(/\*+/g, '*')
+    .replace(/\*\$$/, '')
+    .replace(/\*$/, '');
+}
+
+/**
+ * Literal text every path matched by a pattern starts with
+ * @param {string} pattern - Canonical pattern
+ * @returns {string}
+ */
+function literalPrefix(pattern) {
+  const star = pattern.indexOf('*');
+  if (star !== -1) return pattern.slice(0, star);
+  return pattern.endsWith('$') ? pattern.slice(0, -1) : pattern;
+}
+
+/**
+ * Check whether every path matched by `inner` is also matched by `outer`
+ * Only decided for the cases that can be proven without enumerating paths;
+ * anything else counts as "not covered".
+ * @param {string} outer - Canonical pattern
+ * @param {string} inner - Canonical pattern
+ * @returns {boolean}
+ */
+function covers(outer, inner) {
+  if (outer === inner) return true;
+  if (outer.includes('*') || outer.endsWith('$')) return false;
+  return literalPrefix(inner).startsWith(outer);
+}
+
+/**
+ * Check whether two patterns can match the same path
+ * Conservative: returns true unless the literal prefixes rule it out.
+ * @param {string} a - Canonical pattern
+ * @param {string} b - Canonical pattern
+ * @returns {boolean}
+ */
+function mayOverlap(a, b) {
+  const prefixA = literalPrefix(a);
+  const prefixB = literalPrefix(b);
+  return prefixA.startsWith(prefixB) || prefixB.startsWith(prefixA);
+}
+
+/**
+ * Check whether rule `a` wins over rule `b` wherever both match
+ * (longer pattern wins, Allow wins on equal length)
+ * @param {object} a - Rule
+ * @param {object} b - Rule
+ * @returns {boolean}
+ */
+function beats(a, b) {
+  if (a.value.length !== b.value.length) return a.value.length > b.value.length;
+  return a.type === 'allow' && b.type !== 'allow';
+}
+
+/**
+ * Format a rule for messages, e.g. `Disallow "/admin/" (line 4)`
+ * @param {object} rule - Rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+  return `${rule.type === 'allow' ? 'Allow' : 'Disallow'} "${rule.value}" (line ${rule.line})`;
+}
+
+/**
+ * Analyze the rules one crawler obeys
+ * @param {Array<object>} rules - Combined rules of one user-agent
+ * @returns {Array<{kind:string,rule:object,other:object|null,message:string}>}
+ */
+function analyzeGroupRules(rules) {
+  const findings = [];
+  const candidates = rules
+    .filter((rule) => rule.value)
+    .map((rule) => ({ rule, pattern: canonicalPattern(rule.value) }));
+
+  for (const current of candidates) {
+    const { rule, pattern } = current;
+    const others = candidates.filter((other) => other.rule !== rule);
+
+    // Same rule written twice: report the later copy
+    const duplicate = others.find(
+      (other) =>
+        other.rule.type === rule.type && other.pattern === pattern && other.rule.line < rule.line
+    );
+    if (duplicate) {
+      findings.push({
+        kind: 'duplicate',
+        rule,
+        other: duplicate.rule,
+        message: `${describeRule(rule)} duplicates line ${duplicate.rule.line}`,
+      });
+      continue;
+    }
+
+    // A longer opposite rule that covers every path this one matches
+    const shadow = others.find(
+      (other) =>
+        other.rule.type !== rule.type &&
+        other.rule.value.length > rule.value.length &&
+        covers(other.pattern, pattern)
+    );
+    if (shadow) {
+      findings.push({
+        kind: 'shadowed',
+        rule,
+        other: shadow.rule,
+        message: `${describeRule(rule)} never takes effect: ${describeRule(shadow.rule)} always wins`,
+      });
+      continue;
+    }
+
+    // Paths are allowed by default, so an Allow only matters where a
+    // Disallow could match too
+    if (
+      rule.type === 'allow' &&
+      !others.some((other) => other.rule.type !== 'allow' && mayOverlap(other.pattern, pattern))
+    ) {
+      findings.push({
+        kind: 'shadowed',
+        rule,
+        other: null,
+        message: `${describeRule(rule)} never takes effect: no Disallow rule matches these paths`,
+      });
+      continue;
+    }
+
+    // Allow/Disallow of equal length matching the same paths
+    const tie = others.find(
+      (other) =>
+        other.rule.type !== rule.type &&
+        other.rule.value.length === rule.value.length &&
+        other.rule.line < rule.line &&
+        (covers(other.pattern, pattern) || covers(pattern, other.pattern))
+    );
+    if (tie) {
+      findings.push({
+        kind: 'tie',
+        rule,
+        other: tie.rule,
+        message: `${describeRule(rule)} and ${describeRule(tie.rule)} have equal length; the outcome depends on crawler tie-breaking (RFC 9309 crawlers pick Allow)`,
+      });
+      continue;
+    }
+
+    // A broader rule of the same type already decides these paths, and no
+    // opposite rule could take over once this one is removed
+    const broader = others.find(
+      (other) =>
+        other.rule.type === rule.type &&
+        other.pattern !== pattern &&
+        covers(other.pattern, pattern) &&
+        !others.some(
+          (opposite) =>
+            opposite.rule.type !== rule.type &&
+            mayOverlap(opposite.pattern, pattern) &&
+            beats(opposite.rule, other.rule)
+        )
+    );
+    if (broader) {
+      findings.push({
+        kind: 'redundant',
+        rule,
+        other: broader.rule,
+        message: `${describeRule(rule)} is redundant: already covered by ${describeRule(broader.rule)}`,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Find groups no crawler obeys
+ * A group is unreachable when every crawler it names would select a
+ * different group, e.g. `User-agent: Googlebot/2.1` (crawlers match on the
+ * product token only) when a `Googlebot` group exists.
+ * @param {object} ast - Result of parseRobotsTxt
+ * @returns {Array<{group:object,selected:object|null,message:string}>}
+ */
+function findUnreachableGroups(ast) {
+  const findings = [];
+  for (const group of ast.groups) {
+    const agents = group.userAgents.filter((agent) => agent.value);
+    if (agents.length === 0) continue;
+
+    let selected = null;
+    const reachable = agents.some((agent) => {
+      const chosen = selectGroup(ast, agent.value);
+      if (chosen && chosen.lines.includes(group.line)) return true;
+      selected = selected || chosen;
+      return false;
+    });
+    if (reachable) continue;
+
+    const names = agents.map((agent) => `"${agent.value}"`).join(', ');
+    const instead = selected
+      ? `matching crawlers obey group "${selected.agent}" (line ${selected.lines.join(', ')}) instead`
+      : 'no crawler matches it';
+    findings.push({
+      group,
+      selected,
+      message: `Group for ${names} is unreachable: ${instead}`,
+    });
+  }
+  return findings;
+}
+
+/**
+ * Analyze robots.txt rules for conflicts and redundancy
+ * Rules are analyzed per crawler, after combining all groups that name it,
+ * so duplicates split across two groups are found too.
+ * @param {object} ast - Result of parseRobotsTxt
+ * @returns {Array<object>} - Findings (see findings.js)
+ */
+function analyzeRobotsRules(ast) {
+  const results = [];
+  const reported = new Set();
+
+  for (const { rules } of mergeGroupsByAgent(ast).values()) {
+    for (const finding of analyzeGroupRules(rules)) {
+      const key = `${finding.kind}:${finding.rule.line}:${finding.other ? finding.other.line : ''}`;
+      if (reported.has(key)) continue;
+      reported.add(key);
+      results.push(
+        createFinding(KIND_RULES[finding.kind], finding.message, { line: finding.rule.line })
+      );
+    }
+  }
+
+  for (const finding of findUnreachableGroups(ast)) {
+    results.push(
+      createFinding('R022-unreachable-group', finding.message, { line: finding.group.line })
+    );
+  }
+
+  return results.sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+  canonicalPattern,
+  covers,
+  analyzeGroupRules,
+  findUnreachableGroups,
+  analyzeRobotsRules,
+};
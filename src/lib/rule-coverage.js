@@ -0,0 +1,153 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Dead-rule report: Allow/Disallow patterns expanded against public_dir
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const path = require('path');
+const glob = require('glob');
+const { parseRobotsTxt, matchesPattern } = require('./robots-parser');
+const { createFinding } = require('./findings');
+
+/**
+ * Rules that cover the whole site on purpose (never reported as too broad)
+ */
+const WHOLE_SITE_PATTERNS = ['/', '/*'];
+
+/**
+ * Number of matching paths kept per rule in the report
+ */
+const MAX_EXAMPLES = 5;
+
+/**
+ * List the URL paths a built site serves
+ * HTML pages are also reachable without their extension (`/about`) and
+ * index pages by their directory (`/docs/`); directories are listed both
+ * with and without the trailing slash.
+ * @param {string} publicDir - Built site directory
+ * @returns {{files:Array<{file:string,urls:string[],isPage:boolean}>,directories:string[]}}
+ */
+function listSitePaths(publicDir) {
+  const relFiles = glob.sync('**/*', { cwd: publicDir, nodir: true, dot: false }).sort();
+  const directories = new Set();
+
+  const files = relFiles.map((rel) => {
+    const file = `/${rel.split(path.sep).join('/')}`;
+    const urls = [file];
+    const isPage = /\.html?$/i.test(file);
+    if (isPage) {
+      if (/\/index\.html?$/i.test(file)) urls.push(file.replace(/index\.html?$/i, ''));
+      else urls.push(file.replace(/\.html?$/i, ''));
+    }
+
+    const parts = file.split('/').slice(1, -1);
+    parts.forEach((_, index) => {
+      const dir = `/${parts.slice(0, index + 1).join('/')}`;
+      directories.add(dir);
+      directories.add(`${dir}/`);
+    });
+    return { file, urls, isPage };
+  });
+
+  return { files, directories: [...directories].sort() };
+}
+
+/**
+ * Expand every Allow and Disallow rule against the files of a built site
+ * Rules that match nothing are reported as dead; rules other than `/` that
+ * match more than `thresholdPercent` of the HTML pages are reported as too
+ * broad. Query-string rules cannot be checked against files and are skipped.
+ * @param {string} content - robots.txt text
+ * @param {object} options - Check options
+ * @param {string} options.publicDir - Built site directory
+ * @param {number} [options.thresholdPercent] - Share of HTML pages (0 disables the check)
+ * @returns {{results:Array<object>,report:object}} - Findings (see findings.js) and the JSON report
+ */
+function analyzeRuleCoverage(content, { publicDir, thresholdPercent = 50 }) {
+  const { files, directories } = listSitePaths(publicDir);
+  const pageCount = files.filter((entry) => entry.isPage).length;
+  const results = [];
+  const rules = [];
+
+  for (const group of parseRobotsTxt(content).groups) {
+    const userAgents = group.userAgents.map((agent) => agent.value);
+    for (const rule of group.rules) {
+      if (!rule.value) continue;
+      const directive = rule.type === 'allow' ? 'Allow' : 'Disallow';
+      const entry = {
+        line: rule.line,
+        type: rule.type,
+        value: rule.value,
+        userAgents,
+        status: 'ok',
+        matchedFiles: 0,
+        matchedPages: 0,
+        share: 0,
+        examples: [],
+      };
+      rules.push(entry);
+
+      if (rule.value.includes('?')) {
+        entry.status = 'skipped';
+        continue;
+      }
+
+      for (const { file, urls, isPage } of files) {
+        if (!urls.some((url) => matchesPattern(url, rule.value))) continue;
+        entry.matchedFiles++;
+        if (isPage) entry.matchedPages++;
+        if (entry.examples.length < MAX_EXAMPLES) entry.examples.push(file);
+      }
+      const matchedDirectory = directories.find((dir) => matchesPattern(dir, rule.value));
+      entry.share = pageCount > 0 ? entry.matchedPages / pageCount : 0;
+
+      if (entry.matchedFiles === 0 && !matchedDirectory) {
+        entry.status = 'dead';
+        results.push(
+          createFinding(
+            'R023-dead-rule',
+            `${directive} "${rule.value}" matches no file or directory in ${publicDir}`,
+            { line: rule.line }
+          )
+        );
+      } else if (
+        thresholdPercent > 0 &&
+        !WHOLE_SITE_PATTERNS.includes(rule.value) &&
+        entry.share * 100 > thresholdPercent
+      ) {
+        entry.status = 'broad';
+        results.push(
+          createFinding(
+            'R024-broad-rule',
+            `${directive} "${rule.value}" matches ${Math.round(entry.share * 100)}% of HTML pages (${entry.matchedPages} of ${pageCount})`,
+            { line: rule.line }
+          )
+        );
+      }
+    }
+  }
+
+  return {
+    results,
+    report: {
+      publicDir,
+      thresholdPercent,
+      files: files.length,
+      htmlPages: pageCount,
+      dead: rules.filter((rule) => rule.status === 'dead').length,
+      broad: rules.filter((rule) => rule.status === 'broad').length,
+      rules,
+    },
+  };
+}
+
+module.exports = {
+  listSitePaths,
+  analyzeRuleCoverage,
+};
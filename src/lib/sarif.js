@@ -0,0 +1,179 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// SARIF 2.1.0 export of validation findings (for code scanning)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { RULES } = require('./findings');
+const { findSourceLine } = require('./annotations');
+const { PROJECT_CONFIG } = require('./project-config');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * SARIF result level for each finding severity
+ */
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * Documentation of the rule IDs (README "Validation Rules" table)
+ */
+const RULES_HELP_URI = `https://${PROJECT_CONFIG.repository.url}#validation-rules`;
+
+/**
+ * Describe a rule for the SARIF tool component
+ * @param {string} id - Rule ID from RULES
+ * @returns {object} - reportingDescriptor
+ */
+function describeRule(id) {
+  const rule = RULES[id];
+  const words = id.split('-').slice(1);
+  const title = words.join(' ');
+  return {
+    id,
+    name: words.map((word) => word[0].toUpperCase() + word.slice(1)).join(''),
+    shortDescription: { text: title[0].toUpperCase() + title.slice(1) },
+    help: { text: rule.hint },
+    helpUri: RULES_HELP_URI,
+    defaultConfiguration: { level: SARIF_LEVELS[rule.severity] },
+  };
+}
+
+/**
+ * Locate a file relative to the repository root
+ * Files outside the root get an absolute file:// URI instead.
+ * @param {string} filePath - File path
+ * @param {string} baseDir - Repository root
+ * @returns {{uri:string,uriBaseId?:string}} - artifactLocation
+ */
+function toArtifactLocation(filePath, baseDir) {
+  const relative = path.relative(baseDir, path.resolve(filePath));
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return { uri: pathToFileURL(path.resolve(filePath)).href };
+  }
+  return { uri: relative.split(path.sep).join('/'), uriBaseId: '%SRCROOT%' };
+}
+
+/**
+ * Build a SARIF log from validation findings
+ * Passed checks are left out; fix hints are part of the rule metadata.
+ * Line numbers refer to `file`. When the file was generated from a config
+ * file, results point at the config file line that produced the offending
+ * directive (see findSourceLine), with the robots.txt line as a related
+ * location; results without such a line point at the robots.txt and get the
+ * config file as a related location.
+ * @param {Array<object>} findings - Findings (see findings.js)
+ * @param {object} options - Log options
+ * @param {string} options.file - robots.txt the line numbers refer to
+ * @param {string} [options.configFile] - Config file the robots.txt was generated from
+ * @param {string} [options.content] - Generated robots.txt text (to find config file lines)
+ * @param {string} [options.baseDir] - Repository root (defaults to GITHUB_WORKSPACE or the cwd)
+ * @returns {object} - SARIF log
+ */
+function buildSarifLog(findings, { file, configFile, content, baseDir }) {
+  const root = baseDir || process.env.GITHUB_WORKSPACE || process.cwd();
+  const ruleIds = Object.keys(RULES);
+  const fileLocation = toArtifactLocation(file, root);
+  const configLocation = configFile ? toArtifactLocation(configFile, root) : null;
+  const configText =
+    configFile && content && fs.existsSync(configFile) ? fs.readFileSync(configFile, 'utf8') : '';
+
+  const results = findings
+    .filter((finding) => !finding.passed)
+    .map((finding) => {
+      const robotsLocation = {
+        artifactLocation: fileLocation,
+        region: { startLine: finding.line || 1 },
+      };
+      const sourceLine =
+        configText && finding.line ? findSourceLine(content, finding.line, configText) : null;
+      const result = {
+        ruleId: finding.id,
+        ruleIndex: ruleIds.indexOf(finding.id),
+        level: SARIF_LEVELS[finding.severity],
+        message: { text: finding.message },
+      };
+
+      if (sourceLine) {
+        result.locations = [
+          {
+            physicalLocation: {
+              artifactLocation: configLocation,
+              region: { startLine: sourceLine },
+            },
+          },
+        ];
+        result.relatedLocations = [
+          {
+            id: 1,
+            message: { text: 'Generated robots.txt line' },
+            physicalLocation: robotsLocation,
+          },
+        ];
+      } else {
+        result.locations = [{ physicalLocation: robotsLocation }];
+        if (configLocation) {
+          result.relatedLocations = [
+            {
+              id: 1,
+              message: { text: 'Rules configured here' },
+              physicalLocation: { artifactLocation: configLocation },
+            },
+          ];
+        }
+      }
+      return result;
+    });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: PROJECT_CONFIG.name,
+            version: PROJECT_CONFIG.version,
+            informationUri: `https://${PROJECT_CONFIG.repository.url}`,
+            rules: ruleIds.map(describeRule),
+          },
+        },
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: `${pathToFileURL(path.resolve(root)).href}/` },
+        },
+        results,
+      },
+    ],
+  };
+}
+
+/**
+ * Write findings to a SARIF file, creating its directory
+ * @param {string} outputPath - SARIF file path
+ * @param {Array<object>} findings - Findings (see findings.js)
+ * @param {object} options - See buildSarifLog
+ * @returns {number} - Number of results written
+ */
+function writeSarifFile(outputPath, findings, options) {
+  const log = buildSarifLog(findings, options);
+  const dir = path.dirname(outputPath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(outputPath, `${JSON.stringify(log, null, 2)}\n`);
+  return log.runs[0].results.length;
+}
+
+module.exports = {
+  SARIF_LEVELS,
+  buildSarifLog,
+  writeSarifFile,
+};
@@ -7,159 +7,244 @@
 // Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
 // Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// Sitemap writing utilities (XML, TXT, index, gzip)
+// Sitemap writing utilities (XML, TXT, index), streamed with optional gzip
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 const fs = require('fs');
 const path = require('path');
-const { promisify } = require('util');
 const zlib = require('zlib');
-const { SitemapStream } = require('sitemap');
+const { once } = require('events');
+const { finished, pipeline } = require('stream/promises');
 const { getXmlGenerationHeader } = require('./project-config');
 
-const gzipPromise = promisify(zlib.gzip);
-
 /**
- * Write URLs to XML sitemap file
- * @param {Array} urls - Array of URL objects with url, lastmod, changefreq, priority
- * @param {string} outPath - Output file path
- * @returns {Promise<Buffer>} - XML content as buffer
+ * Namespace of sitemaps and sitemap indexes (sitemaps.org protocol)
  */
-async function writeSitemapXml(urls, outPath) {
-  // Configure SitemapStream per sitemaps.org protocol
-  const stream = new SitemapStream({
-    hostname: undefined,
-    xmlns: {
-      // Required namespace per sitemaps.org protocol
-      '': 'http://www.sitemaps.org/schemas/sitemap/0.9',
-      // Remove extra namespaces to keep sitemap cleaner and more compliant
-      news: false,
-      xhtml: false,
-      image: false,
-      video: false,
-    },
-  });
-  fs.mkdirSync(path.dirname(outPath), { recursive: true });
-  const out = fs.createWriteStream(outPath);
-  const done = new Promise((resolve, reject) => {
-    out.on('finish', resolve);
-    out.on('error', reject);
-    stream.on('error', reject);
-  });
-  stream.pipe(out);
-  for (const u of urls) {
-    // Ensure URL data matches sitemaps.org protocol requirements
-    const urlEntry = {
-      url: u.url, // Required: must be < 2,048 chars, start with http/https
-    };
-    if (u.lastmod) {
-      // Optional: W3C Datetime format (YYYY-MM-DD or full ISO8601)
-      urlEntry.lastmod = u.lastmod;
-    }
-    if (u.changefreq) {
-      // Optional: always|hourly|daily|weekly|monthly|yearly|never
-      urlEntry.changefreq = u.changefreq;
-    }
-    if (u.priority !== undefined) {
-      // Optional: 0.0 to 1.0
-      urlEntry.priority = u.priority;
-    }
-    stream.write(urlEntry);
-  }
-  stream.end();
-  await done;
-
-  // Read and format the XML for readability
-  let xml = fs.readFileSync(outPath, 'utf8');
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
 
-  // Add generation comment header
-  const header = getXmlGenerationHeader();
-
-  // Pretty print the XML
-  xml = xml
-    .replace(/></g, '>\n<') // Add newlines between tags
-    .replace(/<url>/g, '\n  <url>') // Indent url tags
-    .replace(/<\/url>/g, '\n  </url>') // Indent closing url tag
-    .replace(/<(loc|lastmod|changefreq|priority)>/g, '\n    <$1>') // Indent child tags
-    .replace(/<\/(loc|lastmod|changefreq|priority)>/g, '</$1>') // Keep closing tags on same line
-    .replace(/^\s+$/gm, '') // Remove empty lines with whitespace
-    .replace(/\n{2,}/g, '\n') // Remove all extra blank lines
-    .trim();
+/**
+ * Text collected before it is handed to the file streams
+ */
+const WRITE_CHUNK_SIZE = 64 * 1024;
 
-  // Insert header after XML declaration
-  xml = xml.replace(/(<\?xml[^?]+\?>)/, `$1\n${header}`) + '\n'; // Ensure file ends with newline
+/**
+ * Escape text for XML element content
+ * Characters XML 1.0 does not allow at all are dropped.
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return (
+    String(text)
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+  );
+}
 
-  // Write the formatted XML back
-  fs.writeFileSync(outPath, xml, 'utf8');
+/**
+ * Opening lines of an XML sitemap or sitemap index
+ * @param {string} root - Root element (urlset or sitemapindex)
+ * @returns {string}
+ */
+function getXmlHead(root) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${getXmlGenerationHeader()}\n<${root} xmlns="${SITEMAP_NAMESPACE}">\n`;
+}
 
-  return Buffer.from(xml, 'utf8');
+/**
+ * Format one <url> entry
+ * @param {object} u - URL object with url, lastmod, changefreq, priority
+ * @returns {string} - Indented XML, ending with a newline
+ */
+function formatUrlEntry(u) {
+  // loc is required: must be < 2,048 chars, start with http/https
+  let entry = `  <url>\n    <loc>${escapeXml(u.url)}</loc>\n`;
+  if (u.lastmod) {
+    // Optional: W3C Datetime format (YYYY-MM-DD or full ISO8601)
+    entry += `    <lastmod>${escapeXml(u.lastmod)}</lastmod>\n`;
+  }
+  if (u.changefreq) {
+    // Optional: always|hourly|daily|weekly|monthly|yearly|never
+    entry += `    <changefreq>${escapeXml(u.changefreq)}</changefreq>\n`;
+  }
+  if (u.priority !== undefined) {
+    // Optional: 0.0 to 1.0
+    const priority = Number(u.priority);
+    entry += `    <priority>${Number.isInteger(priority) ? priority.toFixed(1) : priority}</priority>\n`;
+  }
+  return `${entry}  </url>\n`;
 }
 
 /**
- * Write URLs to TXT sitemap file
- * @param {Array} urls - Array of URL objects
+ * Open a file for streaming text, optionally with a gzip copy (<file>.gz)
+ * Text is collected into chunks of WRITE_CHUNK_SIZE, and `write` waits for
+ * the streams to drain, so memory use does not grow with the file.
  * @param {string} outPath - Output file path
- * @returns {Promise<Buffer>} - TXT content as buffer
+ * @param {object} [options] - Output options
+ * @param {boolean} [options.gzip] - Also write <outPath>.gz
+ * @returns {{bytes:number, write: function(string): Promise<void>, close: function(): Promise<{bytes:number}>}}
+ *   `bytes` counts the text written so far
  */
-async function writeSitemapTxt(urls, outPath) {
-  // TXT sitemap format per sitemaps.org protocol:
-  // - One URL per line
-  // - URLs must be fully specified with protocol (http/https)
-  // - Maximum 50,000 URLs per file
-  // - Maximum 50MB file size
-  // - UTF-8 encoding
-  // - No header or footer
-  // - Only the list of URLs (no other information)
+function openOutput(outPath, { gzip = false } = {}) {
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  const file = fs.createWriteStream(outPath);
+  const compressor = gzip ? zlib.createGzip() : null;
+  const done = Promise.all([
+    finished(file),
+    compressor && pipeline(compressor, fs.createWriteStream(`${outPath}.gz`)),
+  ]);
+  // Errors are thrown from write or close
+  done.catch(() => {});
+
+  let pending = '';
+  let bytes = 0;
+  const flush = async () => {
+    if (!pending) return;
+    const chunk = Buffer.from(pending, 'utf8');
+    pending = '';
+    const drained = [];
+    if (!file.write(chunk)) drained.push(once(file, 'drain'));
+    if (compressor && !compressor.write(chunk)) drained.push(once(compressor, 'drain'));
+    await Promise.race([Promise.all(drained), done]);
+  };
+
+  return {
+    get bytes() {
+      return bytes;
+    },
+    write: async (text) => {
+      pending += text;
+      bytes += Buffer.byteLength(text);
+      if (pending.length >= WRITE_CHUNK_SIZE) await flush();
+    },
+    close: async () => {
+      await flush();
+      file.end();
+      if (compressor) compressor.end();
+      await done;
+      return { bytes };
+    },
+  };
+}
 
-  const lines = urls.map((u) => u.url);
-  const content = lines.join('\n') + '\n';
+/**
+ * Open an XML sitemap to add formatted entries to one at a time
+ * `bytes` is the size the file will have once closed, so callers can start
+ * a new file before an entry takes it over the size limit.
+ * @param {string} outPath - Output file path
+ * @param {object} [options] - Output options
+ * @param {boolean} [options.gzip] - Also write <outPath>.gz
+ * @returns {Promise<{bytes:number,count:number,add:function(string):Promise<void>,close:function():Promise<{bytes:number,count:number}>}>}
+ */
+async function openSitemapXml(outPath, { gzip = false } = {}) {
+  const footer = '</urlset>\n';
+  const out = openOutput(outPath, { gzip });
+  await out.write(getXmlHead('urlset'));
+  const sitemap = {
+    count: 0,
+    get bytes() {
+      return out.bytes + Buffer.byteLength(footer);
+    },
+    add: async (entry) => {
+      await out.write(entry);
+      sitemap.count++;
+    },
+    close: async () => {
+      await out.write(footer);
+      return { ...(await out.close()), count: sitemap.count };
+    },
+  };
+  return sitemap;
+}
 
-  fs.mkdirSync(path.dirname(outPath), { recursive: true });
-  fs.writeFileSync(outPath, content, 'utf8');
+/**
+ * Open a TXT sitemap to add URLs to one at a time
+ * TXT sitemap format per sitemaps.org protocol:
+ * - One URL per line
+ * - URLs must be fully specified with protocol (http/https)
+ * - Maximum 50,000 URLs per file
+ * - Maximum 50MB file size
+ * - UTF-8 encoding
+ * - No header or footer
+ * - Only the list of URLs (no other information)
+ * @param {string} outPath - Output file path
+ * @param {object} [options] - Output options
+ * @param {boolean} [options.gzip] - Also write <outPath>.gz
+ * @returns {{count:number,add:function(object):Promise<void>,close:function():Promise<{bytes:number,count:number}>}}
+ */
+function openSitemapTxt(outPath, { gzip = false } = {}) {
+  const out = openOutput(outPath, { gzip });
+  const list = {
+    count: 0,
+    add: async (u) => {
+      await out.write(`${u.url}\n`);
+      list.count++;
+    },
+    close: async () => ({ ...(await out.close()), count: list.count }),
+  };
+  return list;
+}
 
-  return Buffer.from(content, 'utf8');
+/**
+ * Write URLs to an XML sitemap file in a single pass
+ * @param {Iterable<object>|AsyncIterable<object>} urls - URL objects with url, lastmod, changefreq, priority
+ * @param {string} outPath - Output file path
+ * @param {object} [options] - Output options
+ * @param {boolean} [options.gzip] - Also write <outPath>.gz
+ * @returns {Promise<{bytes:number,count:number}>} - Uncompressed size and URL count
+ */
+async function writeSitemapXml(urls, outPath, options) {
+  const sitemap = await openSitemapXml(outPath, options);
+  for await (const u of urls) await sitemap.add(formatUrlEntry(u));
+  return sitemap.close();
 }
 
 /**
- * Write gzip compressed file
- * @param {Buffer|string} inputXml - Content to compress
- * @param {string} outGzPath - Output gzip file path
- * @returns {Promise<void>}
+ * Write URLs to TXT sitemap file
+ * @param {Iterable<object>|AsyncIterable<object>} urls - URL objects
+ * @param {string} outPath - Output file path
+ * @param {object} [options] - Output options
+ * @param {boolean} [options.gzip] - Also write <outPath>.gz
+ * @returns {Promise<{bytes:number,count:number}>} - Size and URL count
  */
-async function writeGzip(inputXml, outGzPath) {
-  const gz = await gzipPromise(Buffer.isBuffer(inputXml) ? inputXml : Buffer.from(inputXml));
-  fs.writeFileSync(outGzPath, gz);
+async function writeSitemapTxt(urls, outPath, options) {
+  const list = openSitemapTxt(outPath, options);
+  for await (const u of urls) await list.add(u);
+  return list.close();
 }
 
 /**
  * Write sitemap index file
- * @param {Array} sitemapUrls - Array of {url, lastmod} for each sitemap
+ * @param {Iterable<object>|AsyncIterable<object>} sitemapUrls - {url, lastmod} for each sitemap
  * @param {string} outPath - Output file path
- * @returns {string} - Generated XML content
+ * @param {object} [options] - Output options
+ * @param {boolean} [options.gzip] - Also write <outPath>.gz
+ * @returns {Promise<{bytes:number,count:number}>} - Size and sitemap count
  */
-function writeSitemapIndex(sitemapUrls, outPath) {
-  const header = getXmlGenerationHeader();
-  const indexParts = [
-    '<?xml version="1.0" encoding="UTF-8"?>',
-    header,
-    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
-  ];
-  for (const it of sitemapUrls) {
-    indexParts.push('  <sitemap>');
-    indexParts.push(`    <loc>${it.url}</loc>`);
-    if (it.lastmod) indexParts.push(`    <lastmod>${it.lastmod}</lastmod>`);
-    indexParts.push('  </sitemap>');
+async function writeSitemapIndex(sitemapUrls, outPath, { gzip = false } = {}) {
+  const out = openOutput(outPath, { gzip });
+  await out.write(getXmlHead('sitemapindex'));
+  let count = 0;
+  for await (const it of sitemapUrls) {
+    let entry = `  <sitemap>\n    <loc>${escapeXml(it.url)}</loc>\n`;
+    if (it.lastmod) entry += `    <lastmod>${escapeXml(it.lastmod)}</lastmod>\n`;
+    await out.write(`${entry}  </sitemap>\n`);
+    count++;
   }
-  indexParts.push('</sitemapindex>');
-  const xmlIndexContent = indexParts.join('\n') + '\n';
-  fs.mkdirSync(path.dirname(outPath), { recursive: true });
-  fs.writeFileSync(outPath, xmlIndexContent, 'utf8');
-  return xmlIndexContent;
+  await out.write('</sitemapindex>\n');
+  return { ...(await out.close()), count };
 }
 
 module.exports = {
+  escapeXml,
+  formatUrlEntry,
+  openSitemapXml,
+  openSitemapTxt,
   writeSitemapXml,
   writeSitemapTxt,
-  writeGzip,
   writeSitemapIndex,
 };
@@ -0,0 +1,322 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Sitemap generation (generate_sitemap): collect, write and validate
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const fs = require('fs');
+const path = require('path');
+const { buildUrls } = require('./url-builder');
+const {
+  formatUrlEntry,
+  openSitemapXml,
+  openSitemapTxt,
+  writeSitemapIndex,
+} = require('./sitemap-writer');
+const { SITEMAP_LIMITS, createSitemapUrlCheck, validateSitemap } = require('./validation');
+const { toSitemapUrl } = require('./generate');
+
+/**
+ * Sources for <lastmod> (sitemap_lastmod)
+ */
+const SITEMAP_LASTMOD_STRATEGIES = ['filemtime', 'git', 'current', 'none'];
+
+/**
+ * Values of <changefreq> (sitemaps.org protocol)
+ */
+const SITEMAP_CHANGEFREQS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+/**
+ * How URLs are grouped into sitemap files (sitemap_partition)
+ * - none: one file, split only when it exceeds the limits
+ * - directory: one file per top-level directory (sitemap-blog.xml, ...)
+ * - type: one file per content type (sitemap-pages.xml, sitemap-images.xml, ...)
+ */
+const SITEMAP_PARTITIONS = ['none', 'directory', 'type'];
+
+/**
+ * File extensions of the content types other than pages (sitemap_partition: type)
+ */
+const CONTENT_TYPES = {
+  documents: ['.pdf', '.doc', '.docx', '.odt', '.rtf', '.txt', '.xls', '.xlsx', '.ppt', '.pptx'],
+  images: ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg'],
+  videos: ['.mp4', '.webm', '.mov', '.m4v', '.ogv'],
+};
+
+/**
+ * Extensions served as pages (sitemap_partition: type); anything else is "other"
+ */
+const PAGE_EXTENSIONS = ['', '.html', '.htm', '.php', '.asp', '.aspx'];
+
+/**
+ * Partitions with an open file at a time (each holds XML, TXT and gzip streams)
+ * When another partition needs a file, the one unused the longest closes its
+ * file and continues in a new numbered file if more of its URLs follow.
+ */
+const MAX_OPEN_PARTITIONS = 8;
+
+/**
+ * Turn the sitemap_* settings into buildUrls and generateSitemap options
+ * @param {object} settings - Resolved settings
+ * @param {object} context - Run context
+ * @param {string} context.siteUrl - Site URL
+ * @param {string} context.publicDir - Built site directory
+ * @returns {object} - Options for generateSitemap (robotsRules is added by the caller)
+ * @throws {Error} When a setting has an invalid value
+ */
+function resolveSitemapOptions(settings, { siteUrl, publicDir }) {
+  const lastmodStrategy = settings.sitemap_lastmod.toLowerCase();
+  if (!SITEMAP_LASTMOD_STRATEGIES.includes(lastmodStrategy)) {
+    throw new Error(`sitemap_lastmod must be one of ${SITEMAP_LASTMOD_STRATEGIES.join(', ')}`);
+  }
+
+  const changefreq = settings.sitemap_changefreq.toLowerCase();
+  if (changefreq && !SITEMAP_CHANGEFREQS.includes(changefreq)) {
+    throw new Error(`sitemap_changefreq must be one of ${SITEMAP_CHANGEFREQS.join(', ')}`);
+  }
+
+  const priority = settings.sitemap_priority;
+  if (priority && !(/^\d+(\.\d+)?$/.test(priority) && Number(priority) <= 1)) {
+    throw new Error('sitemap_priority must be a number from 0.0 to 1.0');
+  }
+
+  const partition = settings.sitemap_partition.toLowerCase();
+  if (!SITEMAP_PARTITIONS.includes(partition)) {
+    throw new Error(`sitemap_partition must be one of ${SITEMAP_PARTITIONS.join(', ')}`);
+  }
+
+  const maxUrls = settings.sitemap_max_urls;
+  if (maxUrls < 1 || maxUrls > SITEMAP_LIMITS.maxUrls) {
+    throw new Error(`sitemap_max_urls must be between 1 and ${SITEMAP_LIMITS.maxUrls}`);
+  }
+
+  return {
+    baseUrl: siteUrl,
+    publicDir,
+    includePatterns: settings.sitemap_include,
+    excludePatterns: settings.sitemap_exclude,
+    excludeUrls: settings.sitemap_exclude_urls,
+    additionalUrls: settings.sitemap_additional_urls.map((url) => toSitemapUrl(siteUrl, url)),
+    respectRobots: settings.sitemap_respect_robots,
+    lastmodStrategy,
+    changefreq,
+    priority,
+    parseCanonical: settings.sitemap_canonical,
+    discoverLinks: settings.sitemap_discover_links,
+    partition,
+    maxUrls,
+  };
+}
+
+/**
+ * Name of the sitemap file group a URL belongs to
+ * Pages at the top level go to "root" when partitioning by directory.
+ * Names only contain a-z, 0-9 and "-", so "_" can number their files.
+ * @param {string} url - Absolute URL
+ * @param {string} partition - One of SITEMAP_PARTITIONS
+ * @returns {string} - Group name ('' for partition none)
+ */
+function getPartitionName(url, partition) {
+  if (partition === 'none') return '';
+
+  let pathname = '/';
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    // Invalid URLs are reported by validateSitemap
+  }
+
+  if (partition === 'directory') {
+    const match = pathname.match(/^\/([^/]+)\//);
+    const name = match
+      ? match[1]
+          .toLowerCase()
+          .replace(/[^a-z0-9-]+/g, '-')
+          .replace(/^-+|-+$/g, '')
+      : '';
+    return name || 'root';
+  }
+
+  const ext = path.posix.extname(pathname).toLowerCase();
+  if (PAGE_EXTENSIONS.includes(ext)) return 'pages';
+  return Object.keys(CONTENT_TYPES).find((type) => CONTENT_TYPES[type].includes(ext)) || 'other';
+}
+
+/**
+ * Create a writer that fills the sitemap files of one partition URL by URL
+ * The first file is named <prefix>.xml. When the next entry would take it
+ * past maxUrls or the size limit, it is renamed <prefix><separator>1.xml
+ * (with its .txt and .gz copies) and the following URLs go to
+ * <prefix><separator>2.xml, ...
+ * Each entry is formatted once and streamed to disk; parts only keep their
+ * URL count and latest lastmod. `suspend` closes the current file early,
+ * the next URL then starts a new numbered file.
+ * @param {object} options - Write options
+ * @param {string} options.dir - Output directory
+ * @param {string} options.prefix - File name without extension
+ * @param {number} options.maxUrls - URLs per file
+ * @param {string} [options.separator] - Between the prefix and the file number
+ * @param {boolean} [options.txt] - Also write <name>.txt lists
+ * @param {boolean} [options.gzip] - Also write <name>.xml.gz copies
+ * @returns {{add: function(object): Promise<void>, suspend: function(): Promise<void>, close: function(): Promise<Array<{path:string,count:number,bytes:number,lastmod:string,txtPath?:string}>>}}
+ */
+function createPartWriter({ dir, prefix, maxUrls, separator = '-', txt = false, gzip = false }) {
+  const parts = [];
+  let current = null;
+
+  const open = async (name) => {
+    const part = { path: path.join(dir, `${name}.xml`), count: 0, bytes: 0, lastmod: '' };
+    if (txt) part.txtPath = path.join(dir, `${name}.txt`);
+    parts.push(part);
+    current = {
+      part,
+      xml: await openSitemapXml(part.path, { gzip }),
+      list: txt ? openSitemapTxt(part.txtPath) : null,
+    };
+  };
+
+  const finish = async () => {
+    current.part.bytes = (await current.xml.close()).bytes;
+    if (current.list) await current.list.close();
+    current = null;
+  };
+
+  const rename = (part, name) => {
+    const xmlPath = path.join(dir, `${name}.xml`);
+    fs.renameSync(part.path, xmlPath);
+    if (gzip) fs.renameSync(`${part.path}.gz`, `${xmlPath}.gz`);
+    part.path = xmlPath;
+    if (part.txtPath) {
+      const txtPath = path.join(dir, `${name}.txt`);
+      fs.renameSync(part.txtPath, txtPath);
+      part.txtPath = txtPath;
+    }
+  };
+
+  return {
+    add: async (item) => {
+      const entry = formatUrlEntry(item);
+      if (
+        current &&
+        (current.part.count >= maxUrls ||
+          current.xml.bytes + Buffer.byteLength(entry) > SITEMAP_LIMITS.maxBytes)
+      ) {
+        await finish();
+      }
+      if (!current) {
+        if (parts.length === 1) rename(parts[0], `${prefix}${separator}1`);
+        await open(parts.length > 0 ? `${prefix}${separator}${parts.length + 1}` : prefix);
+      }
+
+      await current.xml.add(entry);
+      if (current.list) await current.list.add(item);
+      current.part.count++;
+      if (item.lastmod && item.lastmod > current.part.lastmod) current.part.lastmod = item.lastmod;
+    },
+    suspend: async () => {
+      if (current) await finish();
+    },
+    close: async () => {
+      if (parts.length === 0) await open(prefix);
+      if (current) await finish();
+      return parts;
+    },
+  };
+}
+
+/**
+ * Collect the URLs, write the sitemap files and validate the result
+ * URLs go to one file at `output.path` when they fit and no partition is
+ * set. Otherwise that path gets a sitemap index of the files next to it
+ * (sitemap-1.xml, ... or sitemap-blog.xml, sitemap-docs_1.xml, ...; the "_"
+ * keeps numbered sections apart from partition names such as "blog-1").
+ * The plain-text lists replace the .xml extension with .txt; the gzip
+ * copies add .gz. URLs are written as buildUrls yields them and checked on
+ * the way, so only counts are kept; at most MAX_OPEN_PARTITIONS files are
+ * open at a time.
+ * @param {object} options - Options from resolveSitemapOptions
+ * @param {object} output - Output options
+ * @param {string} output.path - sitemap.xml path
+ * @param {string} output.url - URL of output.path (base of the index entries)
+ * @param {boolean} [output.txt] - Also write the plain-text lists
+ * @param {boolean} [output.gzip] - Also write gzip copies
+ * @param {object} [output.rules] - Severity overrides (see parseRuleOverrides)
+ * @param {object} reporter - Reporter (see reporters.js)
+ * @returns {Promise<{path:string,index:boolean,parts:Array<object>,files:string[],count:number,findings:Array<object>}>}
+ */
+async function generateSitemap(
+  options,
+  { path: xmlPath, url: sitemapUrl, txt = false, gzip = false, rules = {} },
+  reporter
+) {
+  const { partition = 'none', maxUrls = SITEMAP_LIMITS.maxUrls } = options;
+
+  const dir = path.dirname(xmlPath);
+  const base = path.basename(xmlPath).replace(/\.xml$/i, '');
+  const writers = new Map();
+  // Partitions with an open file, least recently used first
+  const active = [];
+  const writerFor = async (name) => {
+    if (!writers.has(name)) {
+      const prefix = name ? `${base}-${name}` : base;
+      const separator = name ? '_' : '-';
+      writers.set(name, createPartWriter({ dir, prefix, maxUrls, separator, txt, gzip }));
+    }
+    const position = active.indexOf(name);
+    if (position !== -1) active.splice(position, 1);
+    else if (active.length >= MAX_OPEN_PARTITIONS) await writers.get(active.shift()).suspend();
+    active.push(name);
+    return writers.get(name);
+  };
+
+  const urlCheck = createSitemapUrlCheck(options.baseUrl);
+  let count = 0;
+  for await (const item of buildUrls(options, reporter)) {
+    urlCheck.add(item.url);
+    await (await writerFor(getPartitionName(item.url, partition))).add(item);
+    count++;
+  }
+  if (writers.size === 0) await writerFor('');
+
+  const parts = [];
+  for (const name of [...writers.keys()].sort()) {
+    parts.push(...(await writers.get(name).close()));
+  }
+
+  const index = parts.length > 1 || parts[0].path !== xmlPath;
+  if (index) {
+    await writeSitemapIndex(
+      parts.map((part) => ({
+        url: new URL(path.basename(part.path), sitemapUrl).toString(),
+        lastmod: part.lastmod,
+      })),
+      xmlPath,
+      { gzip }
+    );
+  }
+
+  const xmlFiles = [...(index ? [xmlPath] : []), ...parts.map((part) => part.path)];
+  const files = [
+    ...xmlFiles,
+    ...(txt ? parts.map((part) => part.txtPath) : []),
+    ...(gzip ? xmlFiles.map((file) => `${file}.gz`) : []),
+  ];
+
+  const findings = validateSitemap(parts, { urlCheck, rules });
+  return { path: xmlPath, index, parts, files, count, findings };
+}
+
+module.exports = {
+  SITEMAP_LASTMOD_STRATEGIES,
+  SITEMAP_CHANGEFREQS,
+  SITEMAP_PARTITIONS,
+  resolveSitemapOptions,
+  getPartitionName,
+  generateSitemap,
+};
@@ -0,0 +1,217 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Template-based robots.txt rendering ({{placeholders}}, #each, #if)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const { renderGroup } = require('./robots-builder');
+
+const TAG_PATTERN = /\{\{\s*([#/]?)([^{}]*?)\s*\}\}/g;
+
+// Block tags alone on a line are removed together with their line break
+const STANDALONE_TAG = /^[ \t]*(\{\{\s*(?:[#/][^{}]*|else)\s*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Split a template into a tree of text, value and block nodes
+ * @param {string} template - Template text
+ * @returns {Array<object>} - Parsed nodes
+ */
+function parseTemplate(template) {
+  // Offsets in `source` where a line break was removed, to report lines of the template
+  const removedBreaks = [];
+  let removed = 0;
+  const source = template.replace(STANDALONE_TAG, (line, tag, offset) => {
+    removedBreaks.push(offset - removed + tag.length);
+    removed += line.length - tag.length;
+    return tag;
+  });
+  const root = { children: [] };
+  const stack = [root];
+  const lineAt = (index) =>
+    source.slice(0, index).split('\n').length +
+    removedBreaks.filter((offset) => offset <= index).length;
+  let last = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    const target = () => (current.inElse ? current.otherwise : current.children);
+    if (match.index > last) {
+      target().push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = TAG_PATTERN.lastIndex;
+
+    const [, sigil, body] = match;
+    const line = lineAt(match.index);
+
+    if (sigil === '#') {
+      const [keyword, name] = body.split(/\s+/, 2);
+      if (!['each', 'if'].includes(keyword) || !name) {
+        throw new Error(`Template line ${line}: unknown block "{{#${body}}}"`);
+      }
+      const node = { type: keyword, name, line, children: [], otherwise: [], inElse: false };
+      target().push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current.type !== body) {
+        throw new Error(`Template line ${line}: unexpected "{{/${body}}}"`);
+      }
+      stack.pop();
+    } else if (body === 'else') {
+      if (current.type !== 'if' || current.inElse) {
+        throw new Error(`Template line ${line}: "{{else}}" outside of {{#if}}`);
+      }
+      current.inElse = true;
+    } else {
+      target().push({ type: 'value', name: body, line });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`Template line ${open.line}: "{{#${open.type} ${open.name}}}" is never closed`);
+  }
+  const current = stack[0];
+  if (last < source.length) {
+    current.children.push({ type: 'text', value: source.slice(last) });
+  }
+  return root.children;
+}
+
+/**
+ * Look a name up in the scope chain (innermost first)
+ * @param {Array<object>} scopes - Scope chain
+ * @param {string} name - Placeholder name
+ * @returns {{found:boolean,value:*}}
+ */
+function lookup(scopes, name) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (Object.prototype.hasOwnProperty.call(scope, name)) {
+      return { found: true, value: scope[name] };
+    }
+  }
+  return { found: false, value: undefined };
+}
+
+/**
+ * Check whether a value counts as true for {{#if}}
+ * @param {*} value - Placeholder value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim().length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Render parsed nodes against a scope chain
+ * @param {Array<object>} nodes - Parsed nodes
+ * @param {Array<object>} scopes - Scope chain
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+      continue;
+    }
+
+    const { found, value } = lookup(scopes, node.name);
+    if (node.type === 'if') {
+      out += renderNodes(isTruthy(value) ? node.children : node.otherwise, scopes);
+    } else if (node.type === 'each') {
+      if (found && !Array.isArray(value)) {
+        throw new Error(`Template line ${node.line}: "${node.name}" is not a list`);
+      }
+      (value || []).forEach((item, index) => {
+        const scope = typeof item === 'object' ? { ...item } : { this: item };
+        scope['@index'] = index;
+        out += renderNodes(node.children, [...scopes, scope]);
+      });
+    } else {
+      if (!found) {
+        throw new Error(`Template line ${node.line}: unknown placeholder "{{${node.name}}}"`);
+      }
+      out += Array.isArray(value) ? value.join('\n') : String(value);
+    }
+  }
+  return out;
+}
+
+/**
+ * Render a template with the given placeholder values
+ * Unknown placeholders are an error so typos do not silently produce an
+ * empty line; inside {{#if}} a missing name simply counts as false.
+ * @param {string} template - Template text
+ * @param {object} context - Placeholder values (strings, booleans, lists)
+ * @returns {string} - Rendered text (newline terminated)
+ */
+function renderTemplate(template, context) {
+  const rendered = renderNodes(parseTemplate(template), [context]);
+  return `${rendered.replace(/\s+$/, '')}\n`;
+}
+
+/**
+ * Build the placeholder values available to robots.txt templates
+ * Every User-agent of every group gets a `rules.<agent>` entry (for example
+ * `rules.*` or `rules.Googlebot`) holding the rendered group.
+ * @param {object} options - Context options
+ * @param {string} options.siteUrl - Site base URL
+ * @param {Array<object>} options.groups - Normalized groups
+ * @param {string[]} options.sitemaps - Absolute sitemap URLs
+ * @param {string} [options.header] - Generated header comment block
+ * @param {string} [options.environment] - Environment name
+ * @param {object} [options.env] - Environment variables (defaults to process.env)
+ * @param {Date} [options.now] - Build time
+ * @returns {object} - Template context
+ */
+function buildTemplateContext({
+  siteUrl,
+  groups,
+  sitemaps,
+  header = '',
+  environment = 'production',
+  env = process.env,
+  now = new Date(),
+}) {
+  const rendered = groups.map((group) => renderGroup(group).replace(/\n$/, ''));
+  const context = {
+    site_url: siteUrl,
+    header: header.replace(/\n$/, ''),
+    environment,
+    commit_sha: env.GITHUB_SHA || '',
+    build_date: now.toISOString().slice(0, 10),
+    build_time: now.toISOString(),
+    rules: rendered.join('\n\n'),
+    groups: groups.map((group, index) => ({
+      user_agent: group.userAgents.join(', '),
+      rules: rendered[index],
+    })),
+    sitemaps: sitemaps.map((url) => `Sitemap: ${url}`).join('\n'),
+    sitemap_urls: [...sitemaps],
+  };
+
+  groups.forEach((group, index) => {
+    group.userAgents.forEach((agent) => {
+      const key = `rules.${agent}`;
+      context[key] = context[key] ? `${context[key]}\n\n${rendered[index]}` : rendered[index];
+    });
+  });
+  return context;
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  buildTemplateContext,
+};
@@ -14,8 +14,8 @@ const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
 const { parse: parseHtml } = require('node-html-parser');
-const { normalizeUrl, normalizePathToUrl, getGitLastCommitISO } = require('./utils');
-const { readRobotsDisallows, isPathDisallowed } = require('./robots-parser');
+const { normalizePathToUrl, getGitLastCommitISO } = require('./utils');
+const { readRobotsRules, isPathDisallowed } = require('./robots-parser');
 
 // Limits with optional test overrides (evaluated at call time to honor per-run env changes)
 function getMaxDiscoveredLinks() {
@@ -27,11 +27,33 @@ function getMaxTotalUrls() {
 }
 
 /**
- * Build URL list from file system and discovery
+ * Check a URL against the exclude_urls entries (exact URLs or * patterns)
+ * @param {string} url - Absolute URL
+ * @param {string[]} excludeUrls - Entries of sitemap_exclude_urls
+ * @returns {boolean}
+ */
+function isExcludedUrl(url, excludeUrls) {
+  return excludeUrls.some((excludeUrl) => {
+    if (url === excludeUrl) return true;
+    if (!excludeUrl.includes('*')) return false;
+    return new RegExp('^' + excludeUrl.replace(/\*/g, '.*') + '$').test(url);
+  });
+}
+
+/**
+ * Yield the sitemap URLs from the file system and discovery
+ * URLs are yielded one at a time so the caller can write them as they come:
+ * files in path order, then sitemap_additional_urls, then discovered links.
+ * Only the URL strings are kept, to drop duplicates.
+ * File lists, canonical URLs and exclusions are logged at debug verbosity.
+ * With respectRobots, the rules for User-agent: * come from `robotsRules`
+ * when given (e.g. from the robots.txt being generated) and from
+ * publicDir/robots.txt otherwise.
  * @param {Object} options - Configuration options
- * @returns {Promise<Array>} - Array of URL objects
+ * @param {object} reporter - Reporter (see reporters.js)
+ * @returns {AsyncGenerator<object>} - URL objects
  */
-async function buildUrls(options, core) {
+async function* buildUrls(options, reporter) {
   const MAX_DISCOVERED_LINKS = getMaxDiscoveredLinks();
   const MAX_TOTAL_URLS = getMaxTotalUrls();
   const {
@@ -42,79 +64,103 @@ async function buildUrls(options, core) {
     // excludeExtensions - reserved for future use
     excludeUrls,
     respectRobots,
+    robotsRules: givenRobotsRules,
     lastmodStrategy,
     changefreq,
     priority,
     additionalUrls,
     parseCanonical,
     discoverLinks,
-    debugListFiles,
-    debugListCanonical,
-    debugListUrls,
-    debugShowExclusions,
   } = options;
 
+  // changefreq and priority apply to every URL when set
+  const withDefaults = (item) => {
+    if (changefreq) item.changefreq = changefreq;
+    if (priority !== undefined && priority !== '') item.priority = Number(priority);
+    return item;
+  };
+
   const patterns = includePatterns.length ? includePatterns : ['**/*'];
   const ignore = excludePatterns;
 
-  // Track exclusions for debug output
+  // Track exclusions for the debug summary
   const excludedItems = {
     byExtension: [],
     byRobots: [],
+    byUrl: [],
   };
 
-  core.info('🔍 Scanning for files...');
-  core.info(`   Patterns: ${patterns.join(', ')}`);
-  if (ignore.length) core.info(`   Excluding: ${ignore.join(', ')}`);
+  reporter.info('🔍 Scanning for files...');
+  reporter.info(`   Patterns: ${patterns.join(', ')}`);
+  if (ignore.length) reporter.info(`   Excluding: ${ignore.join(', ')}`);
 
-  const files = glob.sync(patterns.length > 1 ? `{${patterns.join(',')}}` : patterns[0], {
-    cwd: publicDir,
-    ignore,
-    nodir: true,
-    dot: false,
-    follow: false,
-  });
+  // Sorted so the files of one directory follow each other
+  const files = glob
+    .sync(patterns.length > 1 ? `{${patterns.join(',')}}` : patterns[0], {
+      cwd: publicDir,
+      ignore,
+      nodir: true,
+      dot: false,
+      follow: false,
+    })
+    .sort();
 
-  core.info(`✅ Found ${files.length} file(s) to process`);
-  if (debugListFiles && files.length) {
-    core.info('[DEBUG] Files to process:');
-    for (const f of files) core.info(`[DEBUG] • ${f}`);
+  reporter.info(`✅ Found ${files.length} file(s) to process`);
+  if (files.length) {
+    reporter.debug('Files to process:');
+    for (const f of files) reporter.debug(`   • ${f}`);
   }
 
-  const robotsPath = path.join(publicDir, 'robots.txt');
-  const disallows = respectRobots ? readRobotsDisallows(robotsPath) : [];
+  let robotsRules = [];
+  if (respectRobots) {
+    robotsRules = givenRobotsRules || readRobotsRules(path.join(publicDir, 'robots.txt'));
+  }
 
-  if (respectRobots && disallows.length) {
-    core.info(`🤖 Respecting robots.txt - ${disallows.length} disallow rule(s)`);
+  if (respectRobots && robotsRules.length) {
+    reporter.info(`🤖 Respecting robots.txt - ${robotsRules.length} rule(s) for User-agent: *`);
   }
 
-  const items = [];
+  // Drop duplicates and excluded URLs as they are produced
+  const seenUrls = new Set();
+  const accept = (item) => {
+    if (seenUrls.has(item.url)) return false;
+    seenUrls.add(item.url);
+    if (excludeUrls.length > 0 && isExcludedUrl(item.url, excludeUrls)) {
+      excludedItems.byUrl.push(item.url);
+      return false;
+    }
+    reporter.debug(`   - ${item.url}`);
+    return true;
+  };
+
   const discoveredSet = new Set();
   let skippedCount = 0;
   let canonicalCount = 0;
   const canonicalUrls = [];
   let linksDiscoveredCount = 0;
+  let total = 0;
 
+  reporter.debug('List of all URLs:');
   for (const f of files) {
     const ext = path.extname(f).toLowerCase();
     // Skip typical non-URL files unless directly navigable
     const skipExts = ['.map'];
     if (skipExts.includes(ext)) {
-      if (debugListFiles) core.info(`[DEBUG] Skipping (excluded by extension): ${f}`);
+      reporter.debug(`Skipping (excluded by extension): ${f}`);
+      excludedItems.byExtension.push(f);
       skippedCount++;
       continue;
     }
 
     const urlPath = '/' + f.replace(/\\/g, '/');
-    if (isPathDisallowed(urlPath, disallows)) {
-      if (debugListFiles) core.info(`[DEBUG] Skipping (robots.txt disallow): ${f}`);
+    if (isPathDisallowed(urlPath, robotsRules)) {
+      reporter.debug(`Skipping (robots.txt disallow): ${f}`);
       excludedItems.byRobots.push(f);
       skippedCount++;
       continue;
     }
 
-    let fullUrl = normalizeUrl(baseUrl, urlPath);
-    const item = { url: fullUrl };
+    const item = { url: normalizePathToUrl(baseUrl, publicDir, path.join(publicDir, f)) };
 
     try {
       const fullFsPath = path.join(publicDir, f);
@@ -135,10 +181,9 @@ async function buildUrls(options, core) {
                   publicDir,
                   path.join(publicDir, href.replace(/^\//, ''))
                 );
-            fullUrl = candidate;
             item.url = candidate;
             canonicalCount++;
-            if (debugListCanonical) canonicalUrls.push(candidate);
+            canonicalUrls.push(candidate);
           }
           // Optional link discovery: collect internal anchors
           if (discoverLinks) {
@@ -182,35 +227,37 @@ async function buildUrls(options, core) {
       // Ignore file stat errors
     }
 
-    if (changefreq) item.changefreq = changefreq;
-    if (priority) item.priority = Number(priority);
-
-    items.push(item);
+    if (accept(withDefaults(item))) {
+      total++;
+      yield item;
+    }
   }
 
   if (skippedCount > 0) {
-    core.info(`⏭️  Skipped ${skippedCount} file(s) (excluded or disallowed)`);
+    reporter.info(`⏭️  Skipped ${skippedCount} file(s) (excluded or disallowed)`);
   }
   if (parseCanonical && canonicalCount > 0) {
-    core.info(`🔗 Found ${canonicalCount} canonical URL(s)`);
-    if (debugListCanonical) {
-      core.info('[DEBUG] Canonical URLs:');
-      for (const u of canonicalUrls) core.info(`[DEBUG] • ${u}`);
-    }
+    reporter.info(`🔗 Found ${canonicalCount} canonical URL(s)`);
+    reporter.debug('Canonical URLs:');
+    for (const u of canonicalUrls) reporter.debug(`   • ${u}`);
   }
   if (discoverLinks && linksDiscoveredCount > 0) {
-    core.info(`🔎 Discovered ${linksDiscoveredCount} additional link(s)`);
+    reporter.info(`🔎 Discovered ${linksDiscoveredCount} additional link(s)`);
     if (discoveredSet.size >= MAX_DISCOVERED_LINKS) {
-      core.warning(
+      reporter.warning(
         `⚠️  Discovered links limit reached (${MAX_DISCOVERED_LINKS}). Some links may not be included.`
       );
     }
   }
 
   if (additionalUrls && additionalUrls.length) {
-    core.info(`➕ Adding ${additionalUrls.length} manual URL(s)`);
+    reporter.info(`➕ Adding ${additionalUrls.length} manual URL(s)`);
     for (const extra of additionalUrls) {
-      items.push({ url: extra, changefreq, priority });
+      const item = withDefaults({ url: extra });
+      if (accept(item)) {
+        total++;
+        yield item;
+      }
     }
   }
 
@@ -219,100 +266,58 @@ async function buildUrls(options, core) {
     let addedFromDiscovered = 0;
     for (const u of discoveredSet) {
       // Safety limit: prevent memory issues with extremely large sites
-      if (items.length >= MAX_TOTAL_URLS) {
-        core.warning(`⚠️  Total URLs limit reached (${MAX_TOTAL_URLS}). Stopping URL collection.`);
+      if (total >= MAX_TOTAL_URLS) {
+        reporter.warning(
+          `⚠️  Total URLs limit reached (${MAX_TOTAL_URLS}). Stopping URL collection.`
+        );
         break;
       }
       // Also limit the items added from discovered to MAX_DISCOVERED_LINKS
       if (addedFromDiscovered >= MAX_DISCOVERED_LINKS) {
         break;
       }
-      if (!items.some((it) => it.url === u)) {
-        items.push({ url: u, changefreq, priority });
+      const item = withDefaults({ url: u });
+      if (accept(item)) {
+        total++;
         addedFromDiscovered++;
+        yield item;
       }
     }
   }
 
-  // Remove duplicates by URL
-  const seenUrls = new Set();
-  const uniqueItems = [];
-  for (const item of items) {
-    if (!seenUrls.has(item.url)) {
-      seenUrls.add(item.url);
-      uniqueItems.push(item);
-    }
+  if (excludedItems.byUrl.length > 0) {
+    reporter.info(`🚫 Excluded ${excludedItems.byUrl.length} URL(s) via exclude_urls`);
   }
 
-  // Filter out excluded URLs
-  const filteredItems =
-    excludeUrls.length > 0
-      ? uniqueItems.filter((item) => {
-          // Check exact match or pattern match
-          for (const excludeUrl of excludeUrls) {
-            if (item.url === excludeUrl) return false;
-            // Support wildcard patterns
-            if (excludeUrl.includes('*')) {
-              const regex = new RegExp('^' + excludeUrl.replace(/\*/g, '.*') + '$');
-              if (regex.test(item.url)) return false;
-            }
-          }
-          return true;
-        })
-      : uniqueItems;
-
-  const excludedCount = uniqueItems.length - filteredItems.length;
-  if (excludedCount > 0) {
-    core.info(`🚫 Excluded ${excludedCount} URL(s) via exclude_urls`);
-  }
-
-  // Debug: Show all exclusions if enabled
-  if (debugShowExclusions) {
-    core.info('\n[DEBUG] Exclusion Summary:');
-    if (excludedItems.byExtension.length > 0) {
-      core.info(`[DEBUG] Excluded by extension (${excludedItems.byExtension.length}):`);
-      for (const item of excludedItems.byExtension) {
-        core.info(`[DEBUG]   - ${item}`);
-      }
-    }
-    if (excludedItems.byRobots.length > 0) {
-      core.info(`[DEBUG] Excluded by robots.txt (${excludedItems.byRobots.length}):`);
-      for (const item of excludedItems.byRobots) {
-        core.info(`[DEBUG]   - ${item}`);
-      }
+  // Exclusion summary (debug verbosity)
+  reporter.debug('Exclusion Summary:');
+  if (excludedItems.byExtension.length > 0) {
+    reporter.debug(`Excluded by extension (${excludedItems.byExtension.length}):`);
+    for (const item of excludedItems.byExtension) {
+      reporter.debug(`   - ${item}`);
     }
-    if (excludedCount > 0) {
-      const excludedUrls = uniqueItems.filter(
-        (item) => !filteredItems.some((fi) => fi.url === item.url)
-      );
-      core.info(`[DEBUG] Excluded by URL patterns (${excludedCount}):`);
-      for (const item of excludedUrls) {
-        core.info(`[DEBUG]   - ${item.url}`);
-      }
-    }
-    if (
-      excludedItems.byExtension.length === 0 &&
-      excludedItems.byRobots.length === 0 &&
-      excludedCount === 0
-    ) {
-      core.info('[DEBUG] No items excluded');
+  }
+  if (excludedItems.byRobots.length > 0) {
+    reporter.debug(`Excluded by robots.txt (${excludedItems.byRobots.length}):`);
+    for (const item of excludedItems.byRobots) {
+      reporter.debug(`   - ${item}`);
     }
   }
-
-  // Sort for stability
-  filteredItems.sort((a, b) => a.url.localeCompare(b.url));
-
-  core.info(`📊 Total URLs for sitemap: ${filteredItems.length}`);
-
-  // Debug: List all URLs if enabled
-  if (debugListUrls) {
-    core.info('\n[DEBUG] List of all URLs:');
-    for (const item of filteredItems) {
-      core.info(`   - ${item.url}`);
+  if (excludedItems.byUrl.length > 0) {
+    reporter.debug(`Excluded by URL patterns (${excludedItems.byUrl.length}):`);
+    for (const url of excludedItems.byUrl) {
+      reporter.debug(`   - ${url}`);
     }
   }
+  if (
+    excludedItems.byExtension.length === 0 &&
+    excludedItems.byRobots.length === 0 &&
+    excludedItems.byUrl.length === 0
+  ) {
+    reporter.debug('No items excluded');
+  }
 
-  return filteredItems;
+  reporter.info(`📊 Total URLs for sitemap: ${total}`);
 }
 
 module.exports = {
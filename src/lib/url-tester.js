@@ -0,0 +1,80 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// URL access expectations checked against robots.txt rules
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const { parseRobotsTxt, evaluateUrl } = require('./robots-parser');
+
+const EXPECTATIONS = ['allow', 'deny'];
+
+/**
+ * Parse URL expectations such as `allow Googlebot /pricing` or `deny * /admin/x`
+ * One expectation per entry; blank entries and `#` comments are skipped.
+ * @param {string[]} entries - Expectation lines
+ * @param {string} [source] - Where the entries come from (for error messages)
+ * @returns {Array<{expect:'allow'|'deny',userAgent:string,url:string,source:string}>}
+ */
+function parseExpectations(entries, source = 'test_urls') {
+  const expectations = [];
+  entries.forEach((entry, index) => {
+    const text = entry.replace(/#.*$/, '').trim();
+    if (!text) return;
+
+    const location = `${source}:${index + 1}`;
+    const parts = text.split(/\s+/);
+    const expect = parts[0].toLowerCase();
+    if (parts.length !== 3 || !EXPECTATIONS.includes(expect)) {
+      throw new Error(`${location}: expected "allow|deny <user-agent> <url>", got "${text}"`);
+    }
+    expectations.push({ expect, userAgent: parts[1], url: parts[2], source: location });
+  });
+  return expectations;
+}
+
+/**
+ * Explain an evaluation result in one line
+ * @param {object} evaluation - Result of evaluateUrl
+ * @returns {string} - e.g. `matched "Disallow: /admin/" (line 4) in group "*"`
+ */
+function describeEvaluation(evaluation) {
+  const { group, rule, path } = evaluation;
+  if (path === '/robots.txt') return 'robots.txt is always allowed';
+  if (!group) return 'no group applies to this crawler';
+
+  const where = `group "${group.agent}" (line ${group.lines.join(', ')})`;
+  if (!rule) return `no rule in ${where} matches`;
+  const directive = rule.type === 'allow' ? 'Allow' : 'Disallow';
+  return `matched "${directive}: ${rule.value}" (line ${rule.line}) in ${where}`;
+}
+
+/**
+ * Check expectations against robots.txt content
+ * @param {string} content - robots.txt text
+ * @param {Array<object>} expectations - From parseExpectations
+ * @returns {Array<{expectation:object,allowed:boolean,passed:boolean,explanation:string}>}
+ */
+function runUrlTests(content, expectations) {
+  const ast = parseRobotsTxt(content);
+  return expectations.map((expectation) => {
+    const evaluation = evaluateUrl(ast, expectation.userAgent, expectation.url);
+    return {
+      expectation,
+      allowed: evaluation.allowed,
+      passed: evaluation.allowed === (expectation.expect === 'allow'),
+      explanation: describeEvaluation(evaluation),
+    };
+  });
+}
+
+module.exports = {
+  parseExpectations,
+  describeEvaluation,
+  runUrlTests,
+};
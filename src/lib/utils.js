@@ -12,6 +12,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
 const glob = require('glob');
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -30,10 +31,40 @@ function normalizeUrl(base, rel) {
 }
 
 /**
+ * Convert a file path under the public directory to its URL
+ * Directory index pages map to the directory URL (blog/index.html -> /blog/).
+ * @param {string} base - Base URL (e.g., 'https://example.com')
+ * @param {string} publicDir - Public directory
+ * @param {string} filePath - File path inside publicDir
+ * @returns {string} - Absolute URL
+ */
+function normalizePathToUrl(base, publicDir, filePath) {
+  const rel = path.relative(publicDir, filePath).split(path.sep).join('/');
+  return normalizeUrl(base, '/' + rel.replace(/(^|\/)index\.html?$/i, '$1'));
+}
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // File System Utilities
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
+/**
+ * Get the date of the last commit that touched a file
+ * @param {string} filePath - File path
+ * @returns {string|null} - ISO 8601 date, or null outside a git checkout or for untracked files
+ */
+function getGitLastCommitISO(filePath) {
+  try {
+    const out = execFileSync('git', ['log', '-1', '--format=%cI', '--', path.basename(filePath)], {
+      cwd: path.dirname(filePath),
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+    return out ? new Date(out).toISOString() : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Format file size in human-readable format
  * @param {number} bytes - File size in bytes
@@ -49,6 +80,19 @@ function formatFileSize(bytes) {
   return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
 }
 
+/**
+ * Escape text for use in HTML (job summaries are rendered as HTML)
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Find the public/build directory from common candidates
  * @param {string} candidateInput - User-provided directory hint
@@ -104,8 +148,11 @@ function inferSiteUrl(publicDir) {
 module.exports = {
   // URL utilities
   normalizeUrl,
+  normalizePathToUrl,
   // File system utilities
+  getGitLastCommitISO,
   formatFileSize,
+  escapeHtml,
   findPublicDir,
   inferSiteUrl,
 };
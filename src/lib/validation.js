@@ -10,6 +10,134 @@
 // Validation helpers for robots.txt, humans.txt, and related outputs
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
+const fs = require('fs');
+const path = require('path');
+const { parseRobotsTxt } = require('./robots-parser');
+const { findManagedBlock, findMergeConflicts } = require('./robots-merge');
+const { analyzeRobotsRules } = require('./rule-analysis');
+const { createFinding, applyRuleOverrides } = require('./findings');
+const { formatFileSize } = require('./utils');
+
+/**
+ * Non-standard directives some crawlers understand (reported as info, not as unknown)
+ */
+const EXTENSION_DIRECTIVES = ['host', 'clean-param', 'request-rate', 'visit-time'];
+
+/**
+ * Describe a group for validation messages
+ * @param {object} group - Parsed group
+ * @param {number} index - Zero-based group index
+ * @returns {string} - Label such as "Group 2 (Googlebot, Bingbot)"
+ */
+function describeGroup(group, index) {
+  return `Group ${index + 1} (${group.userAgents.map((agent) => agent.value).join(', ')})`;
+}
+
+/**
+ * Validate each User-agent group separately
+ * @param {Array} groups - Groups from parseRobotsTxt
+ * @param {Set<string>} [conflictAgents] - Agents already reported as merge conflicts
+ * @returns {Array<object>} - Findings (see findings.js)
+ */
+function validateRobotsGroups(groups, conflictAgents = new Set()) {
+  const results = [];
+  const seenAgents = new Map();
+
+  groups.forEach((group, index) => {
+    const label = describeGroup(group, index);
+
+    for (const { value: agent } of group.userAgents) {
+      const key = agent.toLowerCase();
+      if (!agent) {
+        results.push(
+          createFinding('R012-empty-user-agent', `${label}: empty User-agent value`, {
+            line: group.line,
+          })
+        );
+      } else if (seenAgents.has(key)) {
+        if (conflictAgents.has(key)) continue;
+        results.push(
+          createFinding(
+            'R013-duplicate-user-agent',
+            `${label}: User-agent "${agent}" already has a group (group ${seenAgents.get(key) + 1}); crawlers merge them, consider combining`,
+            { line: group.line }
+          )
+        );
+      } else {
+        seenAgents.set(key, index);
+      }
+    }
+
+    if (group.rules.length === 0) {
+      results.push(
+        createFinding('R014-empty-group', `${label}: no Allow or Disallow rules`, {
+          line: group.line,
+        })
+      );
+    }
+
+    for (const rule of group.rules) {
+      if (rule.value && !rule.value.startsWith('/') && !rule.value.startsWith('*')) {
+        results.push(
+          createFinding(
+            'R015-path-without-slash',
+            `${label}: ${rule.type === 'allow' ? 'Allow' : 'Disallow'} path "${rule.value}" should start with /`,
+            { line: rule.line }
+          )
+        );
+      }
+    }
+
+    if (group.crawlDelays.length > 1) {
+      results.push(
+        createFinding('R016-multiple-crawl-delay', `${label}: multiple Crawl-delay values`, {
+          line: group.crawlDelays[1].line,
+        })
+      );
+    }
+    for (const delay of group.crawlDelays) {
+      const value = parseFloat(delay.value);
+      if (!Number.isFinite(value) || value < 0) {
+        results.push(
+          createFinding(
+            'R017-invalid-crawl-delay',
+            `${label}: invalid Crawl-delay value: ${delay.value} (must be a non-negative number)`,
+            { line: delay.line }
+          )
+        );
+      }
+    }
+  });
+
+  if (groups.length > 0) {
+    results.push(
+      createFinding('R001-missing-user-agent', `${groups.length} User-agent group(s) checked`, {
+        passed: true,
+      })
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Check whether a sitemap URL points to a file in the public directory
+ * Only sitemaps under site_url are local; anything else is external.
+ * @param {string} url - Absolute sitemap URL
+ * @param {object} options - Lookup options
+ * @param {string} options.publicDir - Public directory
+ * @param {string} options.siteUrl - Site URL
+ * @returns {{state:'found'|'missing'|'external',path:string|null}}
+ */
+function getSitemapStatus(url, { publicDir, siteUrl }) {
+  if (!siteUrl || !url.startsWith(siteUrl)) {
+    return { state: 'external', path: null };
+  }
+  // Extract the path from the URL
+  const filePath = path.join(publicDir, url.substring(siteUrl.length));
+  return { state: fs.existsSync(filePath) ? 'found' : 'missing', path: filePath };
+}
+
 /**
  * Validate robots.txt content
  * @param {string} robotsContent - robots.txt text
@@ -19,159 +147,195 @@
  * @param {boolean} options.requireSitemap - Whether a Sitemap directive is required
  * @param {string} options.publicDir - Public directory to check for sitemap files
  * @param {string} options.siteUrl - Site URL to determine local vs external sitemaps
- * @returns {Array<{type:'info'|'warning'|'error',message:string}>}
+ * @param {object} [options.rules] - Severity overrides (see parseRuleOverrides)
+ * @returns {Array<{id:string,severity:string,message:string,line?:number,hint?:string}>} - Findings;
+ *   `line` is the 1-based line the finding refers to, when there is one
  */
 function validateRobotsTxt(
   robotsContent,
-  { strict = true, maxSizeKB = 500, requireSitemap = false, publicDir = null, siteUrl = null }
+  {
+    strict = true,
+    maxSizeKB = 500,
+    requireSitemap = false,
+    publicDir = null,
+    siteUrl = null,
+    rules = {},
+  } = {}
 ) {
   const results = [];
+  const strictSeverity = strict ? 'error' : 'warning';
   try {
-    const lines = robotsContent.split(/\r?\n/);
+    const ast = parseRobotsTxt(robotsContent);
 
     const sizeKB = Buffer.byteLength(robotsContent, 'utf8') / 1024;
     if (sizeKB > maxSizeKB) {
-      results.push({
-        type: strict ? 'error' : 'warning',
-        message: `✗ Exceeds ${maxSizeKB} KB (${sizeKB.toFixed(2)} KB)`,
-      });
+      results.push(
+        createFinding('R002-file-too-large', `Exceeds ${maxSizeKB} KB (${sizeKB.toFixed(2)} KB)`, {
+          severity: strictSeverity,
+        })
+      );
     } else {
-      results.push({
-        type: 'info',
-        message: `✓ Size OK (${sizeKB.toFixed(2)} KB)`,
-      });
+      results.push(
+        createFinding('R002-file-too-large', `Size OK (${sizeKB.toFixed(2)} KB)`, { passed: true })
+      );
     }
 
-    const hasUserAgent = lines.some((line) => /^User-agent:/i.test(line.trim()));
-    if (!hasUserAgent) {
-      results.push({
-        type: strict ? 'error' : 'warning',
-        message: '✗ Missing required User-agent directive',
-      });
+    if (ast.groups.length === 0) {
+      results.push(
+        createFinding('R001-missing-user-agent', 'Missing required User-agent directive', {
+          severity: strictSeverity,
+        })
+      );
     }
 
-    const sitemapLines = lines.filter((line) => /^Sitemap:/i.test(line.trim()));
+    const sitemapLines = ast.sitemaps.map(({ value, line }) => ({ url: value, line }));
+
     if (requireSitemap && sitemapLines.length === 0) {
-      results.push({
-        type: strict ? 'error' : 'warning',
-        message: '✗ No Sitemap directive found',
-      });
+      results.push(
+        createFinding('R003-missing-sitemap', 'No Sitemap directive found', {
+          severity: strictSeverity,
+        })
+      );
     } else if (sitemapLines.length > 0) {
-      const sitemapUrls = new Set();
-      let duplicateCount = 0;
+      // First line each unique URL appears on
+      const sitemapUrls = new Map();
+      const duplicates = [];
 
-      for (const line of sitemapLines) {
-        const match = line.match(/^Sitemap:\s*(.+)$/i);
-        if (match) {
-          const url = match[1].trim();
-          if (sitemapUrls.has(url)) {
-            duplicateCount++;
-          } else {
-            sitemapUrls.add(url);
-          }
+      for (const { url, line } of sitemapLines) {
+        if (sitemapUrls.has(url)) {
+          duplicates.push(line);
+        } else {
+          sitemapUrls.set(url, line);
         }
       }
 
-      if (duplicateCount > 0) {
-        results.push({
-          type: 'warning',
-          message: `⚠️  Found ${duplicateCount} duplicate sitemap reference(s)`,
-        });
+      if (duplicates.length > 0) {
+        results.push(
+          createFinding(
+            'R004-duplicate-sitemap',
+            `Found ${duplicates.length} duplicate sitemap reference(s)`,
+            { line: duplicates[0] }
+          )
+        );
       }
 
-      results.push({
-        type: 'info',
-        message: `✓ Contains Sitemap reference (${sitemapUrls.size} unique sitemap(s))`,
-      });
-
-      let invalidSitemaps = 0;
-      for (const url of sitemapUrls) {
-        if (!/^https?:\/\//i.test(url)) {
-          invalidSitemaps++;
-        }
-      }
-      if (invalidSitemaps > 0) {
-        results.push({
-          type: 'warning',
-          message: `⚠️  ${invalidSitemaps} sitemap URL(s) invalid (must start with http/https)`,
-        });
+      results.push(
+        createFinding(
+          'R003-missing-sitemap',
+          `Contains Sitemap reference (${sitemapUrls.size} unique sitemap(s))`,
+          { passed: true }
+        )
+      );
+
+      const invalidSitemaps = [...sitemapUrls].filter(([url]) => !/^https?:\/\//i.test(url));
+      if (invalidSitemaps.length > 0) {
+        results.push(
+          createFinding(
+            'R005-invalid-sitemap-url',
+            `${invalidSitemaps.length} sitemap URL(s) invalid (must start with http/https)`,
+            { line: invalidSitemaps[0][1] }
+          )
+        );
       }
 
       // Check if sitemap files exist locally
       if (publicDir && siteUrl) {
-        const fs = require('fs');
-        const path = require('path');
-        const missingSitemaps = [];
-
-        for (const url of sitemapUrls) {
-          // Only check local sitemaps (those belonging to the site_url domain)
-          if (url.startsWith(siteUrl)) {
-            // Extract the path from the URL
-            const urlPath = url.substring(siteUrl.length);
-            const filePath = path.join(publicDir, urlPath);
-
-            if (!fs.existsSync(filePath)) {
-              missingSitemaps.push({ url, path: filePath });
-            }
+        for (const [url, line] of sitemapUrls) {
+          const status = getSitemapStatus(url, { publicDir, siteUrl });
+          if (status.state === 'missing') {
+            results.push(
+              createFinding(
+                'R006-sitemap-file-missing',
+                `Sitemap file not found: ${path.basename(status.path)} (referenced as ${url})`,
+                { line }
+              )
+            );
           }
         }
-
-        if (missingSitemaps.length > 0) {
-          missingSitemaps.forEach(({ url, path: filePath }) => {
-            results.push({
-              type: 'warning',
-              message: `⚠️  Sitemap file not found: ${path.basename(filePath)} (referenced as ${url})`,
-            });
-          });
-        }
       }
     }
 
-    let foundUserAgent = false;
-    let foundDirectiveBeforeUserAgent = false;
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith('#')) continue;
-
-      if (/^User-agent:/i.test(trimmed)) {
-        foundUserAgent = true;
-      } else if (/^(Disallow|Allow|Crawl-delay):/i.test(trimmed)) {
-        if (!foundUserAgent) {
-          foundDirectiveBeforeUserAgent = true;
-        }
+    if (ast.orphanRules.length > 0) {
+      results.push(
+        createFinding(
+          'R007-rule-before-user-agent',
+          'Directive found before User-agent (may not be applied correctly)',
+          { line: ast.orphanRules[0].line }
+        )
+      );
+    }
+
+    for (const record of ast.unknown) {
+      if (EXTENSION_DIRECTIVES.includes(record.key.toLowerCase())) {
+        results.push(
+          createFinding(
+            'R008-nonstandard-directive',
+            `Non-standard directive "${record.key}" (ignored by most crawlers)`,
+            { line: record.line }
+          )
+        );
+      } else {
+        results.push(
+          createFinding(
+            'R009-unknown-directive',
+            `Unknown directive "${record.key}" (ignored by crawlers)`,
+            { line: record.line }
+          )
+        );
       }
     }
 
-    if (foundDirectiveBeforeUserAgent) {
-      results.push({
-        type: 'warning',
-        message: '⚠️  Directive found before User-agent (may not be applied correctly)',
-      });
+    for (const record of ast.invalid) {
+      results.push(
+        createFinding('R010-invalid-line', `Line is not a "key: value" directive: ${record.text}`, {
+          line: record.line,
+        })
+      );
     }
 
-    const crawlDelayLines = lines.filter((line) => /^Crawl-delay:/i.test(line.trim()));
-    for (const line of crawlDelayLines) {
-      const match = line.match(/^Crawl-delay:\s*(.+)$/i);
-      if (match) {
-        const delay = parseFloat(match[1].trim());
-        if (!Number.isFinite(delay) || delay < 0) {
-          results.push({
-            type: 'warning',
-            message: `⚠️  Invalid Crawl-delay value: ${match[1]} (must be a non-negative number)`,
-          });
-        }
+    // Merge mode: hand-written groups must not target a generated user-agent
+    const conflictAgents = new Set();
+    if (findManagedBlock(robotsContent)) {
+      for (const conflict of findMergeConflicts(robotsContent)) {
+        conflictAgents.add(conflict.agent.toLowerCase());
+        results.push(
+          createFinding(
+            'R011-merge-conflict',
+            `Manual group for "${conflict.agent}" conflicts with the generated group (line ${conflict.managedLine}); crawlers will combine both`,
+            { line: conflict.manualLine }
+          )
+        );
       }
     }
+
+    results.push(...validateRobotsGroups(ast.groups, conflictAgents));
+    results.push(...analyzeRobotsRules(ast));
   } catch (e) {
-    results.push({
-      type: strict ? 'error' : 'warning',
-      message: `✗ Validation error: ${e.message}`,
-    });
+    results.push(
+      createFinding('R000-format', `Validation error: ${e.message}`, { severity: strictSeverity })
+    );
   }
-  return results;
+  return applyRuleOverrides(results, rules);
 }
 
-module.exports = { validateRobotsTxt };
+/**
+ * Convert findings to plain objects for machine-readable output
+ * Informational findings (passed checks and notes) are left out.
+ * @param {Array<object>} results - Findings from validateRobotsTxt
+ * @returns {Array<{id:string,severity:'error'|'warning',message:string,line?:number,hint:string}>}
+ */
+function serializeFindings(results) {
+  return results
+    .filter((result) => result.severity === 'error' || result.severity === 'warning')
+    .map((result) => {
+      const finding = { id: result.id, severity: result.severity, message: result.message };
+      if (result.line) finding.line = result.line;
+      finding.hint = result.hint;
+      return finding;
+    });
+}
+
+module.exports = { validateRobotsTxt, getSitemapStatus, serializeFindings };
 
 /**
  * Validate humans.txt file
@@ -179,23 +343,25 @@ module.exports = { validateRobotsTxt };
  * @param {object} options - Validation options
  * @param {boolean} options.strict - Strict mode (errors vs warnings)
  * @param {number} options.maxSizeKB - Maximum file size in KB
- * @returns {array} - Validation results
+ * @param {object} [options.rules] - Severity overrides (see parseRuleOverrides)
+ * @returns {Array<object>} - Findings (see findings.js)
  */
-function validateHumansTxt(humansContent, { strict, maxSizeKB }) {
+function validateHumansTxt(humansContent, { strict, maxSizeKB, rules = {} }) {
   const results = [];
+  const strictSeverity = strict ? 'error' : 'warning';
   try {
     // Check file size
     const sizeKB = Buffer.byteLength(humansContent, 'utf8') / 1024;
     if (sizeKB > maxSizeKB) {
-      results.push({
-        type: strict ? 'error' : 'warning',
-        message: `      ✗ Exceeds ${maxSizeKB} KB (${sizeKB.toFixed(2)} KB)`,
-      });
+      results.push(
+        createFinding('H001-file-too-large', `Exceeds ${maxSizeKB} KB (${sizeKB.toFixed(2)} KB)`, {
+          severity: strictSeverity,
+        })
+      );
     } else {
-      results.push({
-        type: 'info',
-        message: `      ✓ Size OK (${sizeKB.toFixed(2)} KB)`,
-      });
+      results.push(
+        createFinding('H001-file-too-large', `Size OK (${sizeKB.toFixed(2)} KB)`, { passed: true })
+      );
     }
 
     // Check for standard sections
@@ -204,19 +370,29 @@ function validateHumansTxt(humansContent, { strict, maxSizeKB }) {
     const hasThanksSection = humansContent.includes('/* THANKS */');
 
     if (!hasTeamSection && !hasSiteSection && !hasThanksSection) {
-      results.push({
-        type: strict ? 'error' : 'warning',
-        message: '      ✗ Missing standard sections (TEAM, SITE, or THANKS)',
-      });
+      results.push(
+        createFinding(
+          'H002-missing-sections',
+          'Missing standard sections (TEAM, SITE, or THANKS)',
+          {
+            severity: strictSeverity,
+          }
+        )
+      );
     } else {
       const sections = [];
       if (hasTeamSection) sections.push('TEAM');
       if (hasSiteSection) sections.push('SITE');
       if (hasThanksSection) sections.push('THANKS');
-      results.push({
-        type: 'info',
-        message: `      ✓ Contains standard sections: ${sections.join(', ')}`,
-      });
+      results.push(
+        createFinding(
+          'H002-missing-sections',
+          `Contains standard sections: ${sections.join(', ')}`,
+          {
+            passed: true,
+          }
+        )
+      );
     }
 
     // Check for common fields
@@ -228,33 +404,27 @@ function validateHumansTxt(humansContent, { strict, maxSizeKB }) {
       humansContent.includes('Software:');
 
     if (!hasContent) {
-      results.push({
-        type: 'warning',
-        message: '      ⚠️  No standard fields detected (Name, Title, etc.)',
-      });
+      results.push(
+        createFinding('H003-no-standard-fields', 'No standard fields detected (Name, Title, etc.)')
+      );
     }
 
     // Check encoding (should be UTF-8)
     // eslint-disable-next-line no-control-regex
     const hasNonAscii = /[^\x00-\x7F]/.test(humansContent);
     if (hasNonAscii) {
-      results.push({
-        type: 'info',
-        message: '      ℹ️  Contains non-ASCII characters (ensure UTF-8 encoding)',
-      });
+      results.push(
+        createFinding('H004-non-ascii', 'Contains non-ASCII characters (ensure UTF-8 encoding)')
+      );
     }
 
-    results.push({
-      type: 'info',
-      message: '      ✓ Valid humans.txt format',
-    });
+    results.push(createFinding('H000-format', 'Valid humans.txt format', { passed: true }));
   } catch (e) {
-    results.push({
-      type: strict ? 'error' : 'warning',
-      message: `      ✗ Validation error: ${e.message}`,
-    });
+    results.push(
+      createFinding('H000-format', `Validation error: ${e.message}`, { severity: strictSeverity })
+    );
   }
-  return results;
+  return applyRuleOverrides(results, rules);
 }
 
 module.exports.validateHumansTxt = validateHumansTxt;
@@ -265,39 +435,47 @@ module.exports.validateHumansTxt = validateHumansTxt;
  * @param {object} options - Validation options
  * @param {boolean} options.strict - Strict mode (errors vs warnings)
  * @param {number} options.maxSizeKB - Maximum file size in KB
- * @returns {array} - Validation results
+ * @param {object} [options.rules] - Severity overrides (see parseRuleOverrides)
+ * @returns {Array<object>} - Findings (see findings.js)
  */
-function validateSecurityTxt(securityContent, { strict, maxSizeKB }) {
+function validateSecurityTxt(securityContent, { strict, maxSizeKB, rules = {} }) {
   const results = [];
+  const strictSeverity = strict ? 'error' : 'warning';
   try {
     const lines = securityContent.split(/\r?\n/);
 
     // Check file size (RFC recommends < 32 KB)
     const sizeKB = Buffer.byteLength(securityContent, 'utf8') / 1024;
     if (sizeKB > maxSizeKB) {
-      results.push({
-        type: strict ? 'error' : 'warning',
-        message: `      ✗ Exceeds recommended ${maxSizeKB} KB (${sizeKB.toFixed(2)} KB)`,
-      });
+      results.push(
+        createFinding(
+          'S001-file-too-large',
+          `Exceeds recommended ${maxSizeKB} KB (${sizeKB.toFixed(2)} KB)`,
+          { severity: strictSeverity }
+        )
+      );
     } else {
-      results.push({
-        type: 'info',
-        message: `      ✓ Size OK (${sizeKB.toFixed(2)} KB)`,
-      });
+      results.push(
+        createFinding('S001-file-too-large', `Size OK (${sizeKB.toFixed(2)} KB)`, { passed: true })
+      );
     }
 
     // Check for required Contact field
     const contactLines = lines.filter((line) => /^Contact:/i.test(line.trim()));
     if (contactLines.length === 0) {
-      results.push({
-        type: strict ? 'error' : 'warning',
-        message: '      ✗ Missing required Contact field (RFC 9116)',
-      });
+      results.push(
+        createFinding('S002-missing-contact', 'Missing required Contact field (RFC 9116)', {
+          severity: strictSeverity,
+        })
+      );
     } else {
-      results.push({
-        type: 'info',
-        message: `      ✓ Contains Contact field (${contactLines.length} contact(s))`,
-      });
+      results.push(
+        createFinding(
+          'S002-missing-contact',
+          `Contains Contact field (${contactLines.length} contact(s))`,
+          { passed: true }
+        )
+      );
 
       // Validate Contact URIs
       let invalidContacts = 0;
@@ -312,25 +490,30 @@ function validateSecurityTxt(securityContent, { strict, maxSizeKB }) {
         }
       }
       if (invalidContacts > 0) {
-        results.push({
-          type: 'warning',
-          message: `      ⚠️  ${invalidContacts} contact(s) may have invalid URI format (should use mailto:, tel:, or https://)`,
-        });
+        results.push(
+          createFinding(
+            'S003-invalid-contact-uri',
+            `${invalidContacts} contact(s) may have invalid URI format (should use mailto:, tel:, or https://)`
+          )
+        );
       }
     }
 
     // Check for required Expires field
     const expiresLines = lines.filter((line) => /^Expires:/i.test(line.trim()));
     if (expiresLines.length === 0) {
-      results.push({
-        type: strict ? 'error' : 'warning',
-        message: '      ✗ Missing required Expires field (RFC 9116)',
-      });
+      results.push(
+        createFinding('S004-missing-expires', 'Missing required Expires field (RFC 9116)', {
+          severity: strictSeverity,
+        })
+      );
     } else if (expiresLines.length > 1) {
-      results.push({
-        type: 'warning',
-        message: '      ⚠️  Multiple Expires fields found (must appear only once)',
-      });
+      results.push(
+        createFinding(
+          'S005-multiple-expires',
+          'Multiple Expires fields found (must appear only once)'
+        )
+      );
     } else {
       // Validate Expires date format (ISO 8601)
       const match = expiresLines[0].match(/^Expires:\s*(.+)$/i);
@@ -338,32 +521,34 @@ function validateSecurityTxt(securityContent, { strict, maxSizeKB }) {
         const dateStr = match[1].trim();
         const date = new Date(dateStr);
         if (isNaN(date.getTime())) {
-          results.push({
-            type: 'warning',
-            message: '      ⚠️  Invalid Expires date format (should be ISO 8601)',
-          });
+          results.push(
+            createFinding(
+              'S006-invalid-expires-date',
+              'Invalid Expires date format (should be ISO 8601)'
+            )
+          );
         } else {
           // Check if expired
           const now = new Date();
           if (date < now) {
-            results.push({
-              type: 'warning',
-              message: `      ⚠️  File has expired (${dateStr})`,
-            });
+            results.push(createFinding('S007-expired', `File has expired (${dateStr})`));
           } else {
             // Check if expires > 1 year (not recommended)
             const oneYearFromNow = new Date();
             oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
             if (date > oneYearFromNow) {
-              results.push({
-                type: 'info',
-                message: '      ℹ️  Expires more than 1 year in the future (not recommended)',
-              });
+              results.push(
+                createFinding(
+                  'S008-expires-too-far',
+                  'Expires more than 1 year in the future (not recommended)'
+                )
+              );
             } else {
-              results.push({
-                type: 'info',
-                message: `      ✓ Valid Expires field (${dateStr})`,
-              });
+              results.push(
+                createFinding('S004-missing-expires', `Valid Expires field (${dateStr})`, {
+                  passed: true,
+                })
+              );
             }
           }
         }
@@ -373,10 +558,12 @@ function validateSecurityTxt(securityContent, { strict, maxSizeKB }) {
     // Check for Preferred-Languages (should appear only once)
     const langLines = lines.filter((line) => /^Preferred-Languages:/i.test(line.trim()));
     if (langLines.length > 1) {
-      results.push({
-        type: 'warning',
-        message: '      ⚠️  Multiple Preferred-Languages fields (must appear only once)',
-      });
+      results.push(
+        createFinding(
+          'S009-multiple-preferred-languages',
+          'Multiple Preferred-Languages fields (must appear only once)'
+        )
+      );
     }
 
     // Check for optional but recommended fields
@@ -390,10 +577,11 @@ function validateSecurityTxt(securityContent, { strict, maxSizeKB }) {
     if (hasCanonical) optionalFields.push('Canonical');
 
     if (optionalFields.length > 0) {
-      results.push({
-        type: 'info',
-        message: `      ✓ Optional fields present: ${optionalFields.join(', ')}`,
-      });
+      results.push(
+        createFinding('S000-format', `Optional fields present: ${optionalFields.join(', ')}`, {
+          passed: true,
+        })
+      );
     }
 
     // Validate HTTPS URIs for web resources
@@ -411,10 +599,12 @@ function validateSecurityTxt(securityContent, { strict, maxSizeKB }) {
             !uri.startsWith('dns:') &&
             !uri.startsWith('openpgp4fpr:')
           ) {
-            results.push({
-              type: 'warning',
-              message: `      ⚠️  ${field} uses http:// instead of https:// (not recommended)`,
-            });
+            results.push(
+              createFinding(
+                'S010-insecure-uri',
+                `${field} uses http:// instead of https:// (not recommended)`
+              )
+            );
           }
         }
       }
@@ -425,28 +615,147 @@ function validateSecurityTxt(securityContent, { strict, maxSizeKB }) {
       securityContent.includes('-----BEGIN PGP SIGNED MESSAGE-----') &&
       securityContent.includes('-----BEGIN PGP SIGNATURE-----');
     if (isSigned) {
-      results.push({
-        type: 'info',
-        message: '      ✓ File is digitally signed (OpenPGP)',
-      });
+      results.push(
+        createFinding('S011-unsigned', 'File is digitally signed (OpenPGP)', { passed: true })
+      );
     } else {
-      results.push({
-        type: 'info',
-        message: '      ℹ️  File is not digitally signed (signing is recommended)',
-      });
+      results.push(
+        createFinding('S011-unsigned', 'File is not digitally signed (signing is recommended)')
+      );
     }
 
-    results.push({
-      type: 'info',
-      message: '      ✓ Valid security.txt format (RFC 9116)',
-    });
+    results.push(
+      createFinding('S000-format', 'Valid security.txt format (RFC 9116)', { passed: true })
+    );
   } catch (e) {
-    results.push({
-      type: strict ? 'error' : 'warning',
-      message: `      ✗ Validation error: ${e.message}`,
-    });
+    results.push(
+      createFinding('S000-format', `Validation error: ${e.message}`, { severity: strictSeverity })
+    );
   }
-  return results;
+  return applyRuleOverrides(results, rules);
 }
 
 module.exports.validateSecurityTxt = validateSecurityTxt;
+
+/**
+ * Limits of a single sitemap file (sitemaps.org protocol)
+ */
+const SITEMAP_LIMITS = {
+  maxUrls: 50000,
+  maxBytes: 50 * 1024 * 1024,
+  maxUrlLength: 2048,
+};
+
+/**
+ * Create the per-URL sitemap checks, fed one URL at a time
+ * Invalid, overlong and foreign URLs are counted per rule, keeping only
+ * the first example, so the memory used does not grow with the URLs.
+ * @param {string} [siteUrl] - Site URL (URLs on other hosts are reported)
+ * @returns {{add: function(string): void, findings: function(): Array<object>}}
+ */
+function createSitemapUrlCheck(siteUrl) {
+  const { maxUrlLength } = SITEMAP_LIMITS;
+  const siteHost = siteUrl ? new URL(siteUrl).host : null;
+  const checks = [
+    { id: 'M003-invalid-url', description: 'Not an absolute http(s) URL' },
+    { id: 'M004-url-too-long', description: `URL of ${maxUrlLength}+ characters` },
+    { id: 'M005-foreign-url', description: `URL outside ${siteHost}` },
+  ].map((check) => ({ ...check, count: 0, example: '' }));
+  const [invalid, tooLong, foreign] = checks;
+
+  const record = (check, url) => {
+    if (check.count === 0) check.example = url.length > 100 ? `${url.slice(0, 100)}...` : url;
+    check.count++;
+  };
+
+  return {
+    add: (url) => {
+      let parsed = null;
+      try {
+        parsed = new URL(url);
+      } catch {
+        // Reported below
+      }
+      if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+        record(invalid, url);
+      } else if (url.length >= maxUrlLength) {
+        record(tooLong, url);
+      } else if (siteHost && parsed.host !== siteHost) {
+        record(foreign, url);
+      }
+    },
+    findings: () =>
+      checks
+        .filter((check) => check.count > 0)
+        .map((check) => {
+          const more = check.count > 1 ? ` and ${check.count - 1} more` : '';
+          return createFinding(check.id, `${check.description}: ${check.example}${more}`);
+        }),
+  };
+}
+
+/**
+ * Validate the files of a generated sitemap
+ * Every file is checked against the per-file limits; invalid, overlong and
+ * foreign URLs are summed up in one finding per rule.
+ * @param {Array<{path:string,count:number,bytes:number}>} files - Sitemap files (without the index)
+ * @param {object} [options] - Validation options
+ * @param {Iterable<{url:string}>} [options.urls] - URLs listed in the files
+ * @param {object} [options.urlCheck] - createSitemapUrlCheck that already saw the URLs (replaces urls)
+ * @param {string} [options.siteUrl] - Site URL (URLs on other hosts are reported)
+ * @param {object} [options.rules] - Severity overrides (see parseRuleOverrides)
+ * @returns {Array<object>} - Findings (see findings.js)
+ */
+function validateSitemap(files, { urls = [], urlCheck, siteUrl, rules = {} } = {}) {
+  const results = [];
+  const { maxUrls, maxBytes } = SITEMAP_LIMITS;
+  const total = files.reduce((sum, file) => sum + file.count, 0);
+  const inFiles = files.length > 1 ? ` in ${files.length} sitemaps` : '';
+
+  const crowded = files.filter((file) => file.count > maxUrls);
+  crowded.forEach((file) =>
+    results.push(
+      createFinding(
+        'M001-too-many-urls',
+        `${path.basename(file.path)}: ${file.count} URLs (limit ${maxUrls} per sitemap)`
+      )
+    )
+  );
+  if (total === 0) {
+    results.push(createFinding('M006-empty-sitemap', 'Sitemap lists no URLs'));
+  } else if (crowded.length === 0) {
+    results.push(
+      createFinding('M001-too-many-urls', `URL count OK (${total}${inFiles})`, {
+        passed: true,
+      })
+    );
+  }
+
+  const oversized = files.filter((file) => file.bytes > maxBytes);
+  oversized.forEach((file) =>
+    results.push(
+      createFinding(
+        'M002-file-too-large',
+        `${path.basename(file.path)}: exceeds 50 MB (${formatFileSize(file.bytes)})`
+      )
+    )
+  );
+  if (oversized.length === 0 && files.length > 0) {
+    const largest = Math.max(...files.map((file) => file.bytes));
+    const size = files.length > 1 ? `largest ${formatFileSize(largest)}` : formatFileSize(largest);
+    results.push(createFinding('M002-file-too-large', `Size OK (${size})`, { passed: true }));
+  }
+
+  let check = urlCheck;
+  if (!check) {
+    check = createSitemapUrlCheck(siteUrl);
+    for (const { url } of urls) check.add(url);
+  }
+  results.push(...check.findings());
+
+  return applyRuleOverrides(results, rules);
+}
+
+module.exports.SITEMAP_LIMITS = SITEMAP_LIMITS;
+module.exports.createSitemapUrlCheck = createSitemapUrlCheck;
+module.exports.validateSitemap = validateSitemap;
@@ -0,0 +1,15 @@
+# Legal notice: automated access is subject to {{site_url}}/terms
+# Build {{commit_sha}} ({{build_date}})
+
+{{rules.*}}
+
+# ---- Search engines ----
+{{rules.Googlebot}}
+
+{{#if sitemap_urls}}
+{{#each sitemap_urls}}
+Sitemap: {{this}}
+{{/each}}
+{{else}}
+# No sitemaps
+{{/if}}
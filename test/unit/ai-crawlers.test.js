@@ -0,0 +1,136 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for AI crawler policy presets
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const {
+  getAiCrawlerRegistry,
+  resolveAiCrawlerPolicy,
+  buildAiCrawlerGroups,
+} = require('../../src/lib/ai-crawlers');
+
+describe('AI Crawlers', () => {
+  const registry = getAiCrawlerRegistry();
+
+  describe('registry', () => {
+    it('should list vendor and a known purpose for every token', () => {
+      const purposes = Object.keys(registry.purposes);
+      assert.ok(registry.version);
+      for (const crawler of registry.crawlers) {
+        assert.ok(crawler.vendor, `${crawler.token} has no vendor`);
+        assert.ok(purposes.includes(crawler.purpose), `${crawler.token} has unknown purpose`);
+      }
+    });
+
+    it('should not contain duplicate tokens', () => {
+      const tokens = registry.crawlers.map((c) => c.token.toLowerCase());
+      assert.strictEqual(new Set(tokens).size, tokens.length);
+    });
+  });
+
+  describe('resolveAiCrawlerPolicy', () => {
+    it('should return nothing when off', () => {
+      assert.deepStrictEqual(resolveAiCrawlerPolicy({ mode: 'off' }), []);
+    });
+
+    it('should block every crawler in block mode', () => {
+      const decisions = resolveAiCrawlerPolicy({ mode: 'block' });
+      assert.strictEqual(decisions.length, registry.crawlers.length);
+      assert.ok(decisions.every((c) => c.decision === 'block'));
+    });
+
+    it('should block training and allow search crawlers in custom mode', () => {
+      const decisions = resolveAiCrawlerPolicy({
+        mode: 'custom',
+        block: ['training'],
+        allow: ['search', 'PerplexityBot'],
+      });
+      const byToken = Object.fromEntries(decisions.map((c) => [c.token, c.decision]));
+
+      assert.strictEqual(byToken.GPTBot, 'block');
+      assert.strictEqual(byToken.CCBot, 'block');
+      assert.strictEqual(byToken['OAI-SearchBot'], 'allow');
+      assert.strictEqual(byToken.PerplexityBot, 'allow');
+      assert.strictEqual(byToken['ChatGPT-User'], undefined);
+    });
+
+    it('should let a token entry override its purpose', () => {
+      const decisions = resolveAiCrawlerPolicy({
+        mode: 'custom',
+        block: ['OAI-SearchBot'],
+        allow: ['search'],
+      });
+      const searchBot = decisions.find((c) => c.token === 'OAI-SearchBot');
+      assert.strictEqual(searchBot.decision, 'block');
+    });
+
+    it('should reject unknown modes', () => {
+      assert.throws(() => resolveAiCrawlerPolicy({ mode: 'maybe' }), /ai_crawlers must be one of/);
+    });
+  });
+
+  describe('buildAiCrawlerGroups', () => {
+    const mainGroups = [
+      {
+        userAgents: ['*'],
+        allow: [],
+        disallow: ['/private/'],
+        crawlDelay: '',
+        comments: [],
+      },
+      {
+        userAgents: ['GPTBot'],
+        allow: [],
+        disallow: ['/'],
+        crawlDelay: '',
+        comments: [],
+      },
+    ];
+
+    it('should group crawlers by decision and purpose', () => {
+      const { groups } = buildAiCrawlerGroups({
+        mode: 'custom',
+        block: ['training'],
+        allow: ['search'],
+        existingGroups: mainGroups,
+      });
+
+      assert.strictEqual(groups.length, 2);
+      assert.ok(groups[0].userAgents.includes('CCBot'));
+      assert.deepStrictEqual(groups[0].disallow, ['/']);
+      assert.ok(groups[0].comments[0].includes('AI training crawlers (blocked)'));
+      assert.ok(groups[1].userAgents.includes('PerplexityBot'));
+      assert.deepStrictEqual(groups[1].disallow, ['/private/']);
+    });
+
+    it('should skip tokens that already have their own group', () => {
+      const { groups, skipped } = buildAiCrawlerGroups({
+        mode: 'block',
+        existingGroups: mainGroups,
+      });
+
+      assert.deepStrictEqual(skipped, ['GPTBot']);
+      assert.ok(groups.every((g) => !g.userAgents.includes('GPTBot')));
+    });
+
+    it('should give allowed crawlers the Crawl-delay of the * group', () => {
+      const { groups } = buildAiCrawlerGroups({
+        mode: 'custom',
+        block: ['training'],
+        allow: ['search'],
+        existingGroups: [{ ...mainGroups[0], crawlDelay: '10' }],
+      });
+
+      assert.strictEqual(groups[0].crawlDelay, '');
+      assert.strictEqual(groups[1].crawlDelay, '10');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for annotation source locations
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  toWorkspacePath,
+  findSourceLine,
+  createSourceLocator,
+} = require('../../src/lib/annotations');
+
+describe('Annotations', () => {
+  const baseDir = path.join(__dirname, '../..');
+  const configFile = path.join(__dirname, '../fixtures/config/robots.config.yml');
+  const configText = fs.readFileSync(configFile, 'utf8');
+  const robots = [
+    'User-agent: Googlebot',
+    'Allow: /search/',
+    '',
+    'User-agent: *',
+    'Disallow: /search/',
+    'Disallow: /private/',
+    '',
+    'Sitemap: https://config.example.com/sitemap.xml',
+  ].join('\n');
+
+  describe('toWorkspacePath', () => {
+    it('should make paths relative to the workspace', () => {
+      assert.strictEqual(
+        toWorkspacePath(path.join(baseDir, 'static/robots.txt'), baseDir),
+        'static/robots.txt'
+      );
+      assert.strictEqual(
+        toWorkspacePath('/elsewhere/robots.txt', baseDir),
+        '/elsewhere/robots.txt'
+      );
+    });
+  });
+
+  describe('findSourceLine', () => {
+    it('should find the config line that produced a directive', () => {
+      assert.strictEqual(findSourceLine(robots, 1, configText), 6);
+      assert.strictEqual(findSourceLine(robots, 2, configText), 7);
+      assert.strictEqual(findSourceLine(robots, 6, configText), 9);
+    });
+
+    it('should prefer lines that name the directive', () => {
+      assert.strictEqual(findSourceLine(robots, 5, configText), 9);
+    });
+
+    it('should map a repeated directive to the repeated config line', () => {
+      const source = 'robots_disallow:\n  - /private/\n  - /private/\n';
+      const content = 'User-agent: *\nDisallow: /private/\nDisallow: /private/\n';
+      assert.strictEqual(findSourceLine(content, 2, source), 2);
+      assert.strictEqual(findSourceLine(content, 3, source), 3);
+    });
+
+    it('should not look up blank lines, * or values the config does not contain', () => {
+      assert.strictEqual(findSourceLine(robots, 3, configText), null);
+      assert.strictEqual(findSourceLine(robots, 4, configText), null);
+      assert.strictEqual(findSourceLine(robots, 8, configText), null);
+    });
+  });
+
+  describe('createSourceLocator', () => {
+    it('should point findings of a linted file at the file', () => {
+      const locate = createSourceLocator({
+        file: path.join(baseDir, 'static/robots.txt'),
+        baseDir,
+      });
+      assert.deepStrictEqual(locate({ line: 4 }), {
+        file: 'static/robots.txt',
+        startLine: 4,
+        endLine: 4,
+      });
+      assert.deepStrictEqual(locate({}), { file: 'static/robots.txt' });
+    });
+
+    it('should point findings of a generated file at the config file', () => {
+      const locate = createSourceLocator({ content: robots, configFile, baseDir });
+      assert.deepStrictEqual(locate({ line: 6 }), {
+        file: 'test/fixtures/config/robots.config.yml',
+        startLine: 9,
+        endLine: 9,
+      });
+      assert.deepStrictEqual(locate({ line: 8 }), {});
+      assert.deepStrictEqual(createSourceLocator({ content: robots })({ line: 6 }), {});
+    });
+  });
+});
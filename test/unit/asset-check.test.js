@@ -0,0 +1,142 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for blocked rendering asset detection
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const path = require('path');
+const { extractAssetReferences } = require('../../src/lib/html-parser');
+const { buildRobotsTxt } = require('../../src/lib/robots-builder');
+const {
+  collectPageAssets,
+  findBlockedAssets,
+  describeBlockedAssets,
+  computeAssetAllows,
+  addAssetAllows,
+} = require('../../src/lib/asset-check');
+
+describe('Asset Check', function () {
+  const publicDir = path.join(__dirname, '../fixtures/site');
+  const siteUrl = 'https://example.com';
+  const group = (userAgents, disallow, allow = []) => ({
+    userAgents,
+    allow,
+    disallow,
+    crawlDelay: '',
+    comments: [],
+  });
+  const build = (groups) => buildRobotsTxt({ header: '', groups, sitemaps: [] });
+
+  describe('extractAssetReferences', function () {
+    it('should collect stylesheets, scripts and images but not inline data', function () {
+      const refs = extractAssetReferences(path.join(publicDir, 'index.html'));
+
+      assert.deepStrictEqual(refs, [
+        { type: 'stylesheet', url: '/assets/site.css' },
+        { type: 'image', url: '/assets/hero.png' },
+        { type: 'stylesheet', url: 'https://cdn.example.net/lib.css' },
+        { type: 'script', url: '/assets/app.js' },
+        { type: 'image', url: 'images/logo.png' },
+        { type: 'image', url: 'images/logo.png' },
+        { type: 'image', url: 'images/logo@2x.png' },
+      ]);
+    });
+  });
+
+  describe('collectPageAssets', function () {
+    it('should resolve references per page and skip other hosts', function () {
+      const assets = collectPageAssets(publicDir, siteUrl);
+
+      assert.deepStrictEqual([...assets.keys()].sort(), [
+        '/assets/app.js',
+        '/assets/docs.css?v=2',
+        '/assets/docs.js',
+        '/assets/hero.png',
+        '/assets/site.css',
+        '/images/diagram.png',
+        '/images/diagram.webp',
+        '/images/logo.png',
+        '/images/logo@2x.png',
+      ]);
+      assert.deepStrictEqual(assets.get('/assets/site.css').pages, [
+        '/docs/guide.html',
+        '/index.html',
+      ]);
+    });
+  });
+
+  describe('findBlockedAssets', function () {
+    const assets = collectPageAssets(publicDir, siteUrl);
+
+    it('should report assets blocked for Googlebot and * once per group', function () {
+      const blocked = findBlockedAssets(build([group(['*'], ['/assets/', '/admin/'])]), assets);
+
+      assert.strictEqual(blocked.length, 5);
+      assert.ok(blocked.every((entry) => entry.crawlers.join() === 'Googlebot,*'));
+
+      const [first] = describeBlockedAssets(blocked);
+      assert.strictEqual(first.line, 3);
+      assert.match(first.message, /stylesheet \/assets\/site.css \(used by 2 page\(s\)\)/);
+      assert.match(first.message, /blocked for Googlebot, \* by Disallow "\/assets\/"/);
+    });
+
+    it('should check the Googlebot group separately when there is one', function () {
+      const content = build([group(['*'], ['/admin/']), group(['Googlebot'], ['/images/'])]);
+      const blocked = findBlockedAssets(content, assets);
+
+      assert.strictEqual(blocked.length, 4);
+      assert.ok(blocked.every((entry) => entry.agent === 'Googlebot'));
+    });
+
+    it('should report nothing when assets are crawlable', function () {
+      assert.deepStrictEqual(findBlockedAssets(build([group(['*'], ['/admin/'])]), assets), []);
+    });
+  });
+
+  describe('auto_allow_assets', function () {
+    const assets = collectPageAssets(publicDir, siteUrl);
+
+    it('should use one wildcard per extension and exact paths for single assets', function () {
+      const blocked = findBlockedAssets(build([group(['*'], ['/assets/'])]), assets);
+
+      assert.deepStrictEqual(computeAssetAllows(blocked), [
+        '/assets/*.css',
+        '/assets/*.js',
+        '/assets/hero.png',
+      ]);
+    });
+
+    it('should add the Allow lines to the blocking group and unblock every asset', function () {
+      const groups = [group(['*'], ['/assets/', '/images/']), group(['GPTBot'], ['/'])];
+      const blocked = findBlockedAssets(build(groups), assets);
+      const { groups: updated, added } = addAssetAllows(groups, blocked);
+
+      assert.deepStrictEqual(groups[0].allow, []);
+      assert.deepStrictEqual(updated[1].allow, []);
+      assert.ok(added.every((entry) => entry.agent === '*'));
+      assert.ok(updated[0].allow.includes('/images/*.png'));
+      assert.deepStrictEqual(findBlockedAssets(build(updated), assets), []);
+    });
+
+    it('should anchor paths that are not longer than a wildcard Disallow', function () {
+      const scripts = new Map([
+        ['/a.js', { path: '/a.js', type: 'script', pages: ['/index.html'] }],
+        ['/app/main.js', { path: '/app/main.js', type: 'script', pages: ['/index.html'] }],
+      ]);
+      const groups = [group(['*'], ['/*.js$'])];
+      const blocked = findBlockedAssets(build(groups), scripts);
+      const { groups: updated } = addAssetAllows(groups, blocked);
+
+      assert.strictEqual(blocked.length, 2);
+      assert.deepStrictEqual(updated[0].allow, ['/a.js$', '/app/main.js']);
+      assert.deepStrictEqual(findBlockedAssets(build(updated), scripts), []);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for the command-line interface
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, buildInputs, getCliDefaults, main } = require('../../src/cli');
+
+/**
+ * Writable stand-in that keeps everything written to it
+ */
+function createStream() {
+  return {
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+      return true;
+    },
+  };
+}
+
+describe('CLI', function () {
+  describe('parseArgs', function () {
+    it('should map flags to action inputs', function () {
+      const parsed = parseArgs([
+        'generate',
+        '--site-url',
+        'https://example.com',
+        '--public-dir=site',
+        '--robots-disallow',
+        '/a/',
+        '--robots-disallow',
+        '/b/',
+        '--no-robots-comments',
+        '--strict-validation',
+        '--json',
+      ]);
+
+      assert.strictEqual(parsed.command, 'generate');
+      assert.strictEqual(parsed.json, true);
+      assert.deepStrictEqual(parsed.inputs, {
+        site_url: 'https://example.com',
+        public_dir: 'site',
+        robots_disallow: '/a/\n/b/',
+        robots_comments: 'false',
+        strict_validation: 'true',
+      });
+    });
+
+    it('should reject unknown options and missing values', function () {
+      assert.throws(() => parseArgs(['generate', '--nope', 'x']), /Unknown option: --nope/);
+      assert.throws(() => parseArgs(['generate', '--site-url']), /Missing value for --site-url/);
+      assert.throws(() => parseArgs(['generate', '--no-site-url']), /only applies to boolean/);
+    });
+  });
+
+  describe('buildInputs', function () {
+    it('should turn positionals into lint_file and test_urls', function () {
+      assert.strictEqual(
+        buildInputs({ command: 'lint', inputs: {}, positionals: ['robots.txt'] }).lint_file,
+        'robots.txt'
+      );
+      const inputs = buildInputs({
+        command: 'test-url',
+        inputs: { test_urls: 'allow * /' },
+        positionals: ['deny * /admin/x'],
+      });
+      assert.strictEqual(inputs.mode, 'lint');
+      assert.strictEqual(inputs.test_urls, 'allow * /\ndeny * /admin/x');
+      assert.throws(
+        () => buildInputs({ command: 'generate', inputs: {}, positionals: ['x'] }),
+        /Unexpected argument: x/
+      );
+    });
+  });
+
+  describe('getCliDefaults', function () {
+    it('should turn off job summaries and artifacts outside GitHub Actions', function () {
+      assert.deepStrictEqual(getCliDefaults({}), { job_summary: false, upload_artifacts: false });
+      assert.deepStrictEqual(getCliDefaults({ GITHUB_ACTIONS: 'true' }), {});
+    });
+  });
+
+  describe('main', function () {
+    let tempDir;
+
+    beforeEach(function () {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'robots-cli-'));
+    });
+
+    afterEach(function () {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const generateArgs = () => [
+      'generate',
+      '--site-url',
+      'https://example.com',
+      '--public-dir',
+      tempDir,
+      '--robots-disallow',
+      '/admin/',
+      '--no-robots-comments',
+    ];
+
+    it('should print robots.txt to stdout without an output directory', async function () {
+      const stdout = createStream();
+      const stderr = createStream();
+      const code = await main(generateArgs(), { stdout, stderr });
+
+      assert.strictEqual(code, 0);
+      assert.ok(stdout.text.includes('User-agent: *\nDisallow: /admin/\n'));
+      assert.ok(stderr.text.includes('robots.txt written: stdout'));
+      assert.ok(stderr.text.includes('in <stdout>'));
+      assert.ok(!stderr.text.includes(path.join(tempDir, 'robots.txt')), stderr.text);
+      assert.ok(!fs.existsSync(path.join(tempDir, 'robots.txt')));
+    });
+
+    it('should write the same file as the action with an output directory', async function () {
+      const stdout = createStream();
+      const args = [...generateArgs(), '--robots-output-dir', tempDir];
+      const code = await main(args, { stdout, stderr: createStream() });
+
+      assert.strictEqual(code, 0);
+      assert.strictEqual(stdout.text, '');
+      assert.ok(fs.readFileSync(path.join(tempDir, 'robots.txt'), 'utf8').includes('/admin/'));
+    });
+
+    it('should report outputs and findings as JSON', async function () {
+      const stdout = createStream();
+      const code = await main([...generateArgs(), '--json'], { stdout, stderr: createStream() });
+      const report = JSON.parse(stdout.text);
+
+      assert.strictEqual(code, 0);
+      assert.strictEqual(report.success, true);
+      assert.ok(report.outputs.robots_content.includes('Disallow: /admin/'));
+      assert.strictEqual(report.findings[0].id, 'R006-sitemap-file-missing');
+    });
+
+    it('should exit with 1 when URL expectations fail', async function () {
+      const robotsPath = path.join(tempDir, 'robots.txt');
+      fs.writeFileSync(robotsPath, 'User-agent: *\nDisallow: /admin/\n');
+      const stderr = createStream();
+      const code = await main(
+        ['test-url', '--lint-file', robotsPath, 'deny * /admin/x', 'deny * /blog/'],
+        { stdout: createStream(), stderr }
+      );
+
+      assert.strictEqual(code, 1);
+      assert.ok(stderr.text.includes('1 URL expectation(s) failed'));
+    });
+
+    it('should report the build environment in lint mode', async function () {
+      const robotsPath = path.join(tempDir, 'robots.txt');
+      fs.writeFileSync(robotsPath, 'User-agent: *\nDisallow: /admin/\n');
+      const stdout = createStream();
+      const code = await main(['lint', robotsPath, '--environment', 'preview', '--json'], {
+        stdout,
+        stderr: createStream(),
+      });
+      const report = JSON.parse(stdout.text);
+
+      assert.strictEqual(code, 0);
+      assert.strictEqual(report.outputs.environment, 'preview');
+      assert.strictEqual(report.outputs.is_production, 'false');
+    });
+
+    it('should write JSON lines with --reporter jsonl and fail without a second log line', async function () {
+      const robotsPath = path.join(tempDir, 'robots.txt');
+      fs.writeFileSync(robotsPath, 'User-agent: *\nDisallow: /admin/\n');
+      const stderr = createStream();
+      const code = await main(
+        ['test-url', '--lint-file', robotsPath, '--reporter', 'jsonl', 'allow * /admin/x'],
+        { stdout: createStream(), stderr }
+      );
+      const events = stderr.text
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+
+      assert.strictEqual(code, 1);
+      assert.ok(events.every((event) => typeof event.level === 'string'));
+      const failures = events.filter((event) => event.message.includes('expectation(s) failed'));
+      assert.strictEqual(failures.length, 1);
+      assert.strictEqual(failures[0].level, 'error');
+    });
+
+    it('should only log warnings and errors with --verbosity quiet', async function () {
+      const stderr = createStream();
+      const code = await main([...generateArgs(), '--verbosity', 'quiet', '--reporter', 'plain'], {
+        stdout: createStream(),
+        stderr,
+      });
+
+      assert.strictEqual(code, 0);
+      assert.ok(stderr.text.startsWith('warning: Sitemap file not found'), stderr.text);
+      assert.ok(!stderr.text.includes('robots.txt written'));
+    });
+
+    it('should generate the sitemap and reference it with --generate-sitemap', async function () {
+      fs.writeFileSync(path.join(tempDir, 'index.html'), '<h1>Home</h1>');
+      fs.mkdirSync(path.join(tempDir, 'admin'));
+      fs.writeFileSync(path.join(tempDir, 'admin', 'index.html'), '<h1>Admin</h1>');
+      const stdout = createStream();
+      const args = [...generateArgs(), '--no-include-sitemap', '--generate-sitemap', '--json'];
+      const code = await main(args, { stdout, stderr: createStream() });
+      const report = JSON.parse(stdout.text);
+
+      assert.strictEqual(code, 0);
+      assert.strictEqual(report.outputs.sitemap_path, path.join(tempDir, 'sitemap.xml'));
+      assert.strictEqual(report.outputs.url_count, '1');
+      assert.ok(report.outputs.robots_content.includes('Sitemap: https://example.com/sitemap.xml'));
+      assert.deepStrictEqual(report.findings, []);
+      const xml = fs.readFileSync(report.outputs.sitemap_path, 'utf8');
+      assert.ok(xml.includes('<loc>https://example.com/</loc>'));
+      assert.ok(!xml.includes('/admin/'));
+    });
+
+    it('should exit with 2 on usage errors', async function () {
+      const stderr = createStream();
+      assert.strictEqual(await main(['deploy'], { stdout: createStream(), stderr }), 2);
+      assert.ok(stderr.text.includes('Unknown command: deploy'));
+      assert.ok(stderr.text.includes('Usage: bos-robots'));
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for config file loading and settings resolution
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SETTINGS,
+  findConfigFile,
+  loadConfigFile,
+  resolveSettings,
+} = require('../../src/lib/config');
+
+describe('Config', () => {
+  const fixturesDir = path.join(__dirname, '../fixtures/config');
+  const schemaPath = path.join(__dirname, '../../schema/robots.config.schema.json');
+
+  describe('loadConfigFile', () => {
+    it('should load typed values from YAML', () => {
+      const { values, unknownKeys } = loadConfigFile(path.join(fixturesDir, 'robots.config.yml'));
+
+      assert.strictEqual(values.site_url, 'https://config.example.com');
+      assert.strictEqual(values.strict_validation, false);
+      assert.strictEqual(values.artifact_retention_days, 7);
+      assert.deepStrictEqual(values.sitemap_urls, [
+        '/sitemap-news.xml',
+        'https://cdn.example.com/sitemap.xml',
+      ]);
+      assert.strictEqual(values.robots_rules.length, 2);
+      assert.deepStrictEqual(values.robots_rules[1].disallow, ['/search/', '/private/']);
+      assert.deepStrictEqual(unknownKeys, []);
+    });
+
+    it('should load JSON and report unknown keys', () => {
+      const { values, unknownKeys } = loadConfigFile(path.join(fixturesDir, 'robots.config.json'));
+
+      assert.strictEqual(values.include_sitemap, false);
+      assert.deepStrictEqual(values.robots_disallow, ['/admin/']);
+      assert.deepStrictEqual(unknownKeys, ['unknown_setting']);
+    });
+
+    it('should reject values of the wrong type', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'robots-config-'));
+      const configPath = path.join(tempDir, 'robots.config.yml');
+      fs.writeFileSync(configPath, 'strict_validation: maybe\n');
+      try {
+        assert.throws(() => loadConfigFile(configPath), /"strict_validation" must be a boolean/);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('findConfigFile', () => {
+    it('should auto-detect robots.config.* in the given directory', () => {
+      assert.strictEqual(
+        findConfigFile('', fixturesDir),
+        path.join(fixturesDir, 'robots.config.yml')
+      );
+    });
+
+    it('should return null when no config file exists', () => {
+      assert.strictEqual(findConfigFile('', os.tmpdir()), null);
+    });
+
+    it('should fail when an explicit path does not exist', () => {
+      assert.throws(() => findConfigFile('missing/robots.config.yml'), /config_file not found/);
+    });
+  });
+
+  describe('resolveSettings', () => {
+    it('should prefer inputs over the config file over defaults', () => {
+      const { values: fileValues } = loadConfigFile(path.join(fixturesDir, 'robots.config.yml'));
+      const inputs = { public_dir: 'site' };
+      const { values, sources } = resolveSettings({
+        getInput: (name) => inputs[name] || '',
+        fileValues,
+      });
+
+      assert.strictEqual(values.public_dir, 'site');
+      assert.strictEqual(sources.public_dir, 'input');
+      assert.strictEqual(values.site_url, 'https://config.example.com');
+      assert.strictEqual(sources.site_url, 'config file');
+      assert.strictEqual(values.robots_filename, 'robots.txt');
+      assert.strictEqual(sources.robots_filename, 'default');
+    });
+
+    it('should let callers replace defaults without outranking the config file', () => {
+      const { values, sources } = resolveSettings({
+        getInput: () => '',
+        fileValues: { upload_artifacts: true },
+        defaults: { job_summary: false, upload_artifacts: false },
+      });
+
+      assert.strictEqual(values.job_summary, false);
+      assert.strictEqual(sources.job_summary, 'default');
+      assert.strictEqual(values.upload_artifacts, true);
+      assert.strictEqual(sources.upload_artifacts, 'config file');
+    });
+
+    it('should coerce input strings to setting types', () => {
+      const inputs = {
+        strict_validation: 'false',
+        robots_disallow: '/a/\n/b/',
+        robots_rules: '- user_agent: Googlebot',
+      };
+      const { values } = resolveSettings({ getInput: (name) => inputs[name] || '' });
+
+      assert.strictEqual(values.strict_validation, false);
+      assert.deepStrictEqual(values.robots_disallow, ['/a/', '/b/']);
+      assert.deepStrictEqual(values.robots_rules[0].userAgents, ['Googlebot']);
+    });
+
+    it('should parse validation_rules lines into full rule IDs', () => {
+      const inputs = { validation_rules: 'R013: off\nshadowed-rule=error' };
+      const { values } = resolveSettings({ getInput: (name) => inputs[name] || '' });
+
+      assert.deepStrictEqual(values.validation_rules, {
+        'R013-duplicate-user-agent': 'off',
+        'R019-shadowed-rule': 'error',
+      });
+      assert.throws(
+        () => resolveSettings({ getInput: (name) => (name === 'validation_rules' ? 'R013' : '') }),
+        /expected "<rule>: <severity>"/
+      );
+    });
+  });
+
+  describe('JSON Schema', () => {
+    it('should describe every known setting', () => {
+      const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+      const schemaKeys = Object.keys(schema.properties).filter((k) => k !== '$schema');
+
+      assert.deepStrictEqual(schemaKeys.sort(), Object.keys(SETTINGS).sort());
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for drift comparison and unified diffs
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const {
+  diffLines,
+  normalizeRobotsTxt,
+  unifiedDiff,
+  compareRobotsTxt,
+} = require('../../src/lib/diff');
+
+describe('Diff', () => {
+  describe('normalizeRobotsTxt', () => {
+    it('should drop comments, blank lines and directive name case', () => {
+      const content =
+        '\uFEFF# Generated 2026-01-01\r\nuser-agent:*\r\n\r\nDisallow: /a/  # old\r\n';
+      assert.deepStrictEqual(normalizeRobotsTxt(content), ['user-agent: *', 'disallow: /a/']);
+    });
+  });
+
+  describe('compareRobotsTxt', () => {
+    it('should ignore header and comment differences', () => {
+      const committed = '# Generated: 2026-01-01\nUser-agent: *\nDisallow: /admin/\n';
+      const generated = '# Generated: 2026-02-02\n\nUser-agent: *\nDisallow: /admin/\n';
+      assert.deepStrictEqual(compareRobotsTxt(committed, generated), { equal: true, diff: '' });
+    });
+
+    it('should report changed directives as a unified diff', () => {
+      const committed = 'User-agent: *\nDisallow: /admin/\n\nSitemap: https://example.com/a.xml\n';
+      const generated =
+        'User-agent: *\nDisallow: /private/\n\nSitemap: https://example.com/a.xml\n';
+      const { equal, diff } = compareRobotsTxt(committed, generated, {
+        fromLabel: 'robots.txt (committed)',
+        toLabel: 'robots.txt (generated)',
+      });
+
+      assert.strictEqual(equal, false);
+      assert.strictEqual(
+        diff,
+        [
+          '--- robots.txt (committed)',
+          '+++ robots.txt (generated)',
+          '@@ -1,3 +1,3 @@',
+          ' user-agent: *',
+          '-disallow: /admin/',
+          '+disallow: /private/',
+          ' sitemap: https://example.com/a.xml',
+          '',
+        ].join('\n')
+      );
+    });
+  });
+
+  describe('diffLines', () => {
+    it('should only compare the changed middle of long files', () => {
+      const a = Array.from({ length: 50000 }, (_, i) => `disallow: /page-${i}/`);
+      const b = [...a.slice(0, 25000), 'allow: /new/', ...a.slice(25001)];
+      const changes = diffLines(a, b).filter((edit) => edit.op !== ' ');
+
+      assert.deepStrictEqual(changes, [
+        { op: '-', text: 'disallow: /page-25000/' },
+        { op: '+', text: 'allow: /new/' },
+      ]);
+    });
+  });
+
+  describe('unifiedDiff', () => {
+    it('should split distant changes into separate hunks', () => {
+      const a = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+      const b = ['0', ...a.slice(1, 9), '11'];
+      const hunks = unifiedDiff(a, b, { context: 1 })
+        .split('\n')
+        .filter((line) => line.startsWith('@@'));
+
+      assert.deepStrictEqual(hunks, ['@@ -1,2 +1,2 @@', '@@ -9,2 +9,2 @@']);
+    });
+
+    it('should handle additions to an empty file', () => {
+      assert.ok(unifiedDiff([], ['user-agent: *']).includes('@@ -0,0 +1,1 @@\n+user-agent: *'));
+    });
+  });
+});
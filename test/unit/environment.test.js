@@ -0,0 +1,89 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for build environment detection
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const { matchesBranch, detectEnvironment } = require('../../src/lib/environment');
+
+describe('Environment', () => {
+  describe('matchesBranch', () => {
+    it('should match exact names and globs', () => {
+      assert.ok(matchesBranch('main', 'main'));
+      assert.ok(matchesBranch('release/1.2', 'release/*'));
+      assert.ok(!matchesBranch('main-old', 'main'));
+      assert.ok(!matchesBranch('hotfix/1.2', 'release/*'));
+    });
+  });
+
+  describe('detectEnvironment', () => {
+    it('should treat every build as production when not configured', () => {
+      const result = detectEnvironment({ env: { GITHUB_REF: 'refs/heads/feature' } });
+      assert.strictEqual(result.enabled, false);
+      assert.strictEqual(result.isProduction, true);
+    });
+
+    it('should honor an explicit environment over branch detection', () => {
+      const result = detectEnvironment({
+        environment: 'staging',
+        productionBranches: ['main'],
+        env: { GITHUB_REF: 'refs/heads/main' },
+      });
+      assert.strictEqual(result.isProduction, false);
+      assert.strictEqual(result.name, 'staging');
+      assert.strictEqual(detectEnvironment({ environment: 'Production' }).isProduction, true);
+    });
+
+    it('should detect production branches from GITHUB_REF', () => {
+      const result = detectEnvironment({
+        productionBranches: ['main'],
+        env: { GITHUB_REF: 'refs/heads/main' },
+      });
+      assert.strictEqual(result.isProduction, true);
+      assert.strictEqual(result.ref, 'main');
+      assert.strictEqual(result.source, 'GITHUB_REF');
+    });
+
+    it('should treat other branches as staging', () => {
+      const result = detectEnvironment({
+        productionBranches: ['main'],
+        env: { GITHUB_REF: 'refs/heads/develop' },
+      });
+      assert.strictEqual(result.isProduction, false);
+      assert.strictEqual(result.name, 'staging');
+    });
+
+    it('should treat pull requests as preview using GITHUB_HEAD_REF', () => {
+      const result = detectEnvironment({
+        productionBranches: ['main', 'feature/*'],
+        env: { GITHUB_REF: 'refs/pull/12/merge', GITHUB_HEAD_REF: 'feature/x' },
+      });
+      assert.strictEqual(result.isProduction, false);
+      assert.strictEqual(result.name, 'preview');
+      assert.strictEqual(result.source, 'GITHUB_HEAD_REF');
+    });
+
+    it('should lock down local runs without a Git ref', () => {
+      const result = detectEnvironment({ productionBranches: ['main'], env: {} });
+      assert.strictEqual(result.isProduction, false);
+      assert.strictEqual(result.name, 'staging');
+      assert.strictEqual(result.source, 'no Git ref (local run)');
+    });
+
+    it('should let an explicit environment mark local runs as production', () => {
+      const result = detectEnvironment({
+        environment: 'production',
+        productionBranches: ['main'],
+        env: {},
+      });
+      assert.strictEqual(result.isProduction, true);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for the validation finding model
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const {
+  RULES,
+  createFinding,
+  resolveRuleId,
+  parseRuleOverrides,
+  applyRuleOverrides,
+  formatFinding,
+} = require('../../src/lib/findings');
+
+describe('Findings', () => {
+  describe('RULES', () => {
+    it('should use unique codes and known severities', () => {
+      const codes = Object.keys(RULES).map((id) => id.split('-')[0]);
+      assert.strictEqual(new Set(codes).size, codes.length);
+      for (const [id, rule] of Object.entries(RULES)) {
+        assert.match(id, /^[RHSM]\d{3}-[a-z0-9-]+$/);
+        assert.ok(['error', 'warning', 'info'].includes(rule.severity), id);
+        assert.ok(rule.hint, id);
+      }
+    });
+  });
+
+  describe('createFinding', () => {
+    it('should take the default severity and hint from the rule', () => {
+      assert.deepStrictEqual(createFinding('R013-duplicate-user-agent', 'Twice', { line: 4 }), {
+        id: 'R013-duplicate-user-agent',
+        severity: 'warning',
+        message: 'Twice',
+        line: 4,
+        hint: 'Combine the groups into one',
+      });
+    });
+
+    it('should record passed checks as info without a hint', () => {
+      const finding = createFinding('R002-file-too-large', 'Size OK', { passed: true });
+      assert.deepStrictEqual(finding, {
+        id: 'R002-file-too-large',
+        severity: 'info',
+        message: 'Size OK',
+        passed: true,
+      });
+    });
+
+    it('should reject unknown rule IDs', () => {
+      assert.throws(() => createFinding('R999-nope', 'x'), /Unknown validation rule/);
+    });
+  });
+
+  describe('resolveRuleId', () => {
+    it('should accept the full ID, the code or the name in any case', () => {
+      assert.strictEqual(resolveRuleId('R019-shadowed-rule'), 'R019-shadowed-rule');
+      assert.strictEqual(resolveRuleId('r019'), 'R019-shadowed-rule');
+      assert.strictEqual(resolveRuleId('Shadowed-Rule'), 'R019-shadowed-rule');
+      assert.strictEqual(resolveRuleId('R999'), null);
+    });
+  });
+
+  describe('parseRuleOverrides', () => {
+    it('should key overrides by full rule ID', () => {
+      assert.deepStrictEqual(parseRuleOverrides({ R006: 'OFF', 'tied-rules': 'error' }), {
+        'R006-sitemap-file-missing': 'off',
+        'R020-tied-rules': 'error',
+      });
+    });
+
+    it('should reject unknown rules and severities', () => {
+      assert.throws(() => parseRuleOverrides({ R999: 'off' }), /unknown rule "R999"/);
+      assert.throws(
+        () => parseRuleOverrides({ R006: 'fatal' }),
+        /"R006" must be one of error, warning, info, off/
+      );
+      assert.throws(() => parseRuleOverrides(['R006']), /must map rule IDs to a severity/);
+    });
+  });
+
+  describe('applyRuleOverrides', () => {
+    const findings = [
+      createFinding('R003-missing-sitemap', 'Contains Sitemap reference', { passed: true }),
+      createFinding('R009-unknown-directive', 'Unknown directive "Noindex"', { line: 3 }),
+      createFinding('R008-nonstandard-directive', 'Non-standard directive "Host"', { line: 4 }),
+    ];
+
+    it('should change severities of findings but not of passed checks', () => {
+      const results = applyRuleOverrides(findings, {
+        'R003-missing-sitemap': 'warning',
+        'R009-unknown-directive': 'error',
+      });
+      assert.deepStrictEqual(
+        results.map((r) => r.severity),
+        ['info', 'error', 'info']
+      );
+      assert.strictEqual(findings[1].severity, 'warning');
+    });
+
+    it('should drop suppressed rules', () => {
+      const results = applyRuleOverrides(findings, { 'R008-nonstandard-directive': 'off' });
+      assert.deepStrictEqual(
+        results.map((r) => r.id),
+        ['R003-missing-sitemap', 'R009-unknown-directive']
+      );
+    });
+  });
+
+  describe('formatFinding', () => {
+    it('should prefix the message with its status symbol', () => {
+      assert.strictEqual(formatFinding({ severity: 'error', message: 'Bad' }), '✗ Bad');
+      assert.strictEqual(formatFinding({ severity: 'warning', message: 'Hm' }), '⚠️  Hm');
+      assert.strictEqual(formatFinding({ severity: 'info', message: 'Ok', passed: true }), '✓ Ok');
+      assert.strictEqual(formatFinding({ severity: 'info', message: 'Fyi' }), 'ℹ️  Fyi');
+    });
+  });
+});
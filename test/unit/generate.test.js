@@ -0,0 +1,213 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for the Node API (generateRobotsTxt, writeRobotsTxt)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const api = require('../../src/api');
+const { toOptionName } = require('../../src/lib/generate');
+
+describe('Node API', () => {
+  const siteUrl = 'https://example.com';
+
+  it('should export the API from the package entry point', () => {
+    const pkg = require('../../package.json');
+    assert.strictEqual(require(path.join(__dirname, '../..', pkg.main)), api);
+    assert.ok(fs.existsSync(path.join(__dirname, '../..', pkg.types)));
+    assert.strictEqual(typeof api.generateRobotsTxt, 'function');
+    assert.strictEqual(typeof api.writeRobotsTxt, 'function');
+    assert.strictEqual(typeof api.validateRobotsTxt, 'function');
+  });
+
+  it('should map setting names to option names', () => {
+    assert.strictEqual(toOptionName('robots_disallow'), 'robotsDisallow');
+    assert.strictEqual(toOptionName('non_production_sitemap_urls'), 'nonProductionSitemapUrls');
+    assert.strictEqual(toOptionName('environment'), 'environment');
+  });
+
+  describe('generateRobotsTxt', () => {
+    it('should generate content, findings, sitemaps and stats', () => {
+      const result = api.generateRobotsTxt({
+        siteUrl,
+        robotsDisallow: ['/admin/', 'private'],
+        robotsComments: false,
+      });
+
+      assert.ok(result.content.includes('User-agent: *\nDisallow: /admin/\nDisallow: /private\n'));
+      assert.ok(result.content.includes('Sitemap: https://example.com/sitemap.xml'));
+      assert.ok(Array.isArray(result.findings));
+      assert.deepStrictEqual(result.sitemaps, [
+        { url: 'https://example.com/sitemap.xml', state: 'unchecked' },
+      ]);
+      assert.deepStrictEqual(result.stats, {
+        groups: 1,
+        rules: 2,
+        sitemaps: 1,
+        bytes: Buffer.byteLength(result.content, 'utf8'),
+        errors: 0,
+        warnings: 0,
+      });
+      assert.strictEqual(result.merge, null);
+      assert.strictEqual(result.assets, null);
+      assert.strictEqual(result.coverage, null);
+    });
+
+    it('should accept options the way the config file does', () => {
+      const result = api.generateRobotsTxt({
+        siteUrl,
+        robotsDisallow: '/a/\n/b/',
+        robotsComments: 'false',
+        includeSitemap: false,
+        robotsRules: [{ user_agent: 'Googlebot', disallow: '/x/', crawl_delay: 2 }],
+      });
+
+      assert.strictEqual(
+        result.content,
+        '\nUser-agent: Googlebot\nDisallow: /x/\nCrawl-delay: 2\n'
+      );
+      assert.deepStrictEqual(result.sitemaps, []);
+    });
+
+    it('should split list strings on newlines only', () => {
+      const options = { siteUrl, robotsComments: false, includeSitemap: false };
+      const fromString = api.generateRobotsTxt({ ...options, robotsDisallow: '/a/\n/b,c/\n' });
+      const fromArray = api.generateRobotsTxt({ ...options, robotsDisallow: ['/a/', '/b,c/'] });
+
+      assert.ok(fromString.content.includes('Disallow: /a/\nDisallow: /b,c/\n'));
+      assert.strictEqual(fromString.content, fromArray.content);
+    });
+
+    it('should reject invalid options', () => {
+      assert.throws(() => api.generateRobotsTxt({}), /site_url is required/);
+      assert.throws(
+        () => api.generateRobotsTxt({ siteUrl: 'example.com' }),
+        /must start with http/
+      );
+      assert.throws(
+        () => api.generateRobotsTxt({ siteUrl, mergeMode: 'append' }),
+        /merge_mode must be one of/
+      );
+      assert.throws(
+        () => api.generateRobotsTxt({ siteUrl, strictValidation: 'sometimes' }),
+        /Option "strictValidation" must be a boolean/
+      );
+      assert.throws(
+        () => api.generateRobotsTxt({ siteUrl, validationRules: { R999: 'off' } }),
+        /unknown rule "R999"/
+      );
+    });
+
+    it('should apply validation rule overrides', () => {
+      const options = { siteUrl, robotsDisallow: ['/a/', '/a/'], robotsComments: false };
+      assert.ok(
+        api.generateRobotsTxt(options).findings.some((f) => f.id === 'R018-duplicate-rule')
+      );
+      const result = api.generateRobotsTxt({ ...options, validationRules: { R018: 'off' } });
+      assert.ok(!result.findings.some((f) => f.id === 'R018-duplicate-rule'));
+    });
+
+    it('should lock down non-production builds from the env option only', () => {
+      const options = { siteUrl, productionBranches: ['main'], robotsComments: false };
+      const preview = api.generateRobotsTxt({
+        ...options,
+        env: { GITHUB_REF: 'refs/heads/feature-x' },
+      });
+      assert.strictEqual(preview.environment.isProduction, false);
+      assert.ok(preview.content.includes('Disallow: /'));
+
+      // Without env, the process environment is not consulted
+      assert.strictEqual(
+        api.generateRobotsTxt(options).environment.source,
+        'no Git ref (local run)'
+      );
+    });
+
+    it('should render a template string', () => {
+      const result = api.generateRobotsTxt({
+        siteUrl,
+        robotsComments: false,
+        template: 'Host-note: {{site_url}} {{commit_sha}}\n{{rules}}\n{{sitemaps}}\n',
+        env: { GITHUB_SHA: 'abc123' },
+      });
+
+      assert.strictEqual(result.template, true);
+      assert.ok(result.content.startsWith('Host-note: https://example.com abc123\n'));
+      assert.ok(result.content.includes('Sitemap: https://example.com/sitemap.xml'));
+    });
+
+    it('should merge into existing content', () => {
+      const result = api.generateRobotsTxt({
+        siteUrl,
+        mergeMode: 'merge',
+        robotsComments: false,
+        existingContent: '# Hand-written\nUser-agent: BadBot\nDisallow: /\n',
+      });
+
+      assert.ok(result.content.startsWith('# Hand-written\nUser-agent: BadBot\nDisallow: /\n'));
+      assert.ok(result.content.includes('# BEGIN bos-robotstxt-generator managed block'));
+      assert.strictEqual(result.merge.preservedLines, 3);
+    });
+
+    it('should run the file-based checks only with publicDir', () => {
+      const publicDir = path.join(__dirname, '../fixtures/site');
+      const options = {
+        siteUrl,
+        robotsComments: false,
+        robotsDisallow: ['/assets/', '/nothing-here/'],
+        assetCheck: true,
+        deadRuleCheck: true,
+      };
+
+      const withoutDir = api.generateRobotsTxt(options);
+      assert.strictEqual(withoutDir.assets, null);
+      assert.strictEqual(withoutDir.coverage, null);
+
+      const withDir = api.generateRobotsTxt({ ...options, publicDir });
+      assert.ok(withDir.assets.references > 0);
+      assert.ok(withDir.coverage.dead >= 1);
+      assert.ok(withDir.findings.some((f) => f.id === 'R023-dead-rule'));
+      assert.ok(withDir.findings.some((f) => f.id === 'R025-blocked-asset'));
+      assert.strictEqual(withDir.sitemaps[0].state, 'missing');
+    });
+  });
+
+  describe('writeRobotsTxt', () => {
+    const outputDir = path.join(os.tmpdir(), `robots-api-${process.pid}`);
+
+    afterEach(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+    it('should create the directory and report whether the file changed', () => {
+      const result = api.generateRobotsTxt({ siteUrl, robotsComments: false });
+
+      const first = api.writeRobotsTxt(result, { outputDir });
+      assert.strictEqual(first.path, path.join(outputDir, 'robots.txt'));
+      assert.strictEqual(first.createdDir, true);
+      assert.strictEqual(first.changed, true);
+      assert.strictEqual(first.bytes, result.stats.bytes);
+      assert.strictEqual(fs.readFileSync(first.path, 'utf8'), result.content);
+
+      const second = api.writeRobotsTxt(result, { outputDir });
+      assert.strictEqual(second.createdDir, false);
+      assert.strictEqual(second.changed, false);
+    });
+
+    it('should accept plain content and a file name', () => {
+      const written = api.writeRobotsTxt('User-agent: *\nDisallow:\n', {
+        outputDir,
+        filename: 'robots-staging.txt',
+      });
+      assert.strictEqual(path.basename(written.path), 'robots-staging.txt');
+      assert.throws(() => api.writeRobotsTxt('x', {}), /outputDir is required/);
+    });
+  });
+});
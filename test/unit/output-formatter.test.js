@@ -0,0 +1,136 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for the job summary printer
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { printJobSummary, printValidationResults } = require('../../src/lib/output-formatter');
+
+describe('Output Formatter', () => {
+  describe('printValidationResults', () => {
+    const createCore = () => {
+      const calls = [];
+      const record = (level) => (message, properties) => calls.push({ level, message, properties });
+      return {
+        calls,
+        info: record('info'),
+        error: record('error'),
+        warning: record('warning'),
+        notice: record('notice'),
+      };
+    };
+    const results = [
+      { id: 'R002-file-too-large', severity: 'info', message: 'Size OK', passed: true },
+      {
+        id: 'R009-unknown-directive',
+        severity: 'warning',
+        message: 'Unknown directive "Noindex"',
+        line: 3,
+        hint: 'Check the spelling',
+      },
+      { id: 'R001-missing-user-agent', severity: 'error', message: 'Missing', hint: 'Add one' },
+      { id: 'R008-nonstandard-directive', severity: 'info', message: 'Host', line: 4, hint: 'x' },
+    ];
+
+    it('should annotate errors and warnings with rule ID and location', () => {
+      const fake = createCore();
+      const counts = printValidationResults(fake, results, 'robots.txt', {
+        locate: (result) => (result.line ? { file: 'robots.txt', startLine: result.line } : {}),
+      });
+
+      assert.deepStrictEqual(counts, { errors: 1, warnings: 1, notes: 1 });
+      const warning = fake.calls.find((call) => call.level === 'warning');
+      assert.deepStrictEqual(warning.properties, {
+        title: 'R009-unknown-directive',
+        file: 'robots.txt',
+        startLine: 3,
+      });
+      const error = fake.calls.find((call) => call.level === 'error');
+      assert.deepStrictEqual(error.properties, { title: 'R001-missing-user-agent' });
+    });
+
+    it('should add a summary annotation with counts by severity', () => {
+      const fake = createCore();
+      printValidationResults(fake, results, 'robots.txt');
+      const notice = fake.calls.find((call) => call.level === 'notice');
+
+      assert.strictEqual(notice.message, '1 error(s), 1 warning(s), 1 note(s) in robots.txt');
+      assert.strictEqual(notice.properties.title, 'robots.txt validation');
+
+      const clean = createCore();
+      printValidationResults(clean, [results[0]]);
+      assert.ok(!clean.calls.some((call) => call.level === 'notice'));
+    });
+  });
+
+  describe('printJobSummary', () => {
+    const summaryFile = path.join(os.tmpdir(), `robots-summary-${process.pid}.md`);
+    const originalSummary = process.env.GITHUB_STEP_SUMMARY;
+    const report = {
+      status: '✅ Written to dist/robots.txt',
+      configuration: {
+        items: { 'Site URL': 'https://example.com', 'Merge Mode': 'overwrite' },
+        sources: { 'Site URL': 'input', 'Merge Mode': 'default' },
+      },
+      file: { path: 'dist/robots.txt', content: 'User-agent: <bot>\nDisallow:\n', maxSizeKB: 500 },
+      results: [
+        { id: 'R002-file-too-large', severity: 'info', message: 'Size OK (0.03 KB)', passed: true },
+        {
+          id: 'R007-rule-before-user-agent',
+          severity: 'warning',
+          message: 'Directive found before User-agent',
+          line: 3,
+          hint: 'Move the rule below a "User-agent:" line',
+        },
+      ],
+      sitemaps: [
+        { url: 'https://example.com/sitemap.xml', state: 'found' },
+        { url: 'https://example.com/news.xml', state: 'missing' },
+      ],
+    };
+
+    beforeEach(() => {
+      fs.writeFileSync(summaryFile, '');
+      process.env.GITHUB_STEP_SUMMARY = summaryFile;
+      core.summary.emptyBuffer();
+    });
+
+    afterEach(() => {
+      if (originalSummary === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+      else process.env.GITHUB_STEP_SUMMARY = originalSummary;
+      fs.rmSync(summaryFile, { force: true });
+    });
+
+    it('should write configuration, file, findings and sitemaps', async () => {
+      assert.strictEqual(await printJobSummary(core, report), true);
+      const html = fs.readFileSync(summaryFile, 'utf8');
+
+      assert.ok(html.includes('<td>Site URL</td><td>https://example.com</td><td>input</td>'));
+      assert.ok(html.includes('dist/robots.txt</code>: 28 B of 500 KB limit'));
+      assert.ok(html.includes('User-agent: &lt;bot&gt;'));
+      assert.ok(html.includes('<strong>⚠️ Warnings (1)</strong>'));
+      assert.ok(html.includes('<code>R007-rule-before-user-agent</code>'));
+      assert.ok(html.includes('Directive found before User-agent (line 3)'));
+      assert.ok(html.includes('<strong>✅ Passed checks (1)</strong>'));
+      assert.ok(!html.includes('Errors'));
+      assert.ok(html.includes('<td>https://example.com/news.xml</td><td>⚠️ missing</td>'));
+    });
+
+    it('should do nothing outside GitHub Actions', async () => {
+      delete process.env.GITHUB_STEP_SUMMARY;
+      assert.strictEqual(await printJobSummary(core, report), false);
+      assert.strictEqual(fs.readFileSync(summaryFile, 'utf8'), '');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for the reporters
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const { stripEmoji, createReporter } = require('../../src/lib/reporters');
+const { printValidationResults } = require('../../src/lib/output-formatter');
+
+describe('Reporters', function () {
+  const createCore = () => {
+    const calls = [];
+    const record = (level) => (message, properties) => calls.push({ level, message, properties });
+    const fake = {
+      calls,
+      failed: '',
+      info: record('info'),
+      debug: record('debug'),
+      notice: record('notice'),
+      warning: record('warning'),
+      error: record('error'),
+      setFailed: (message) => calls.push({ level: 'setFailed', message }),
+      markFailed: (message) => {
+        fake.failed = message;
+      },
+    };
+    return fake;
+  };
+  const logAll = (reporter) => {
+    reporter.debug('🐛 detail');
+    reporter.info('✅ robots.txt written');
+    reporter.notice('1 error(s)', { title: 'robots.txt validation' });
+    reporter.warning('   ⚠️  Unknown directive', { title: 'R009-unknown-directive', startLine: 3 });
+    reporter.error('   ❌ Missing User-agent', { title: 'R001-missing-user-agent' });
+  };
+
+  describe('stripEmoji', function () {
+    it('should remove emoji and keep text symbols', function () {
+      assert.strictEqual(stripEmoji('⚠️  Unknown'), 'Unknown');
+      assert.strictEqual(stripEmoji('\n🗺️  Sitemaps:'), '\nSitemaps:');
+      assert.strictEqual(stripEmoji('   ✓ Size OK, ✗ failed'), '   ✓ Size OK, ✗ failed');
+      assert.strictEqual(stripEmoji('© 2025-2026 Blackout Secure'), '© 2025-2026 Blackout Secure');
+    });
+  });
+
+  describe('createReporter', function () {
+    it('should reject unknown reporters and verbosity levels', function () {
+      assert.throws(() => createReporter(createCore(), { reporter: 'xml' }), /reporter must be/);
+      assert.throws(
+        () => createReporter(createCore(), { verbosity: 'loud' }),
+        /verbosity must be one of quiet, normal, debug/
+      );
+    });
+
+    it('github: should pass messages and annotations to core', function () {
+      const core = createCore();
+      logAll(createReporter(core));
+
+      assert.deepStrictEqual(
+        core.calls.map((call) => call.level),
+        ['debug', 'info', 'notice', 'warning', 'error']
+      );
+      assert.strictEqual(core.calls[3].properties.startLine, 3);
+      assert.strictEqual(core.calls[1].message, '✅ robots.txt written');
+    });
+
+    it('github: should show debug messages in the log at debug verbosity', function () {
+      const core = createCore();
+      createReporter(core, { verbosity: 'debug' }).debug('🐛 detail');
+      assert.deepStrictEqual(core.calls, [
+        { level: 'info', message: '🐛 detail', properties: undefined },
+      ]);
+    });
+
+    it('plain: should drop emoji and workflow commands', function () {
+      const core = createCore();
+      logAll(createReporter(core, { reporter: 'plain' }));
+
+      assert.ok(core.calls.every((call) => call.level === 'info'));
+      assert.deepStrictEqual(
+        core.calls.map((call) => call.message),
+        [
+          'robots.txt written',
+          'notice: 1 error(s)',
+          'warning: Unknown directive',
+          'error: Missing User-agent',
+        ]
+      );
+    });
+
+    it('jsonl: should write one JSON object per message', function () {
+      const core = createCore();
+      const reporter = createReporter(core, { reporter: 'jsonl' });
+      logAll(reporter);
+      reporter.info('━━━━━━━━━━');
+
+      const events = core.calls.map((call) => JSON.parse(call.message));
+      assert.strictEqual(events.length, 4);
+      assert.deepStrictEqual(events[2], {
+        level: 'warning',
+        message: 'Unknown directive',
+        title: 'R009-unknown-directive',
+        startLine: 3,
+      });
+    });
+
+    it('should filter by verbosity', function () {
+      const quiet = createCore();
+      logAll(createReporter(quiet, { reporter: 'plain', verbosity: 'quiet' }));
+      assert.deepStrictEqual(
+        quiet.calls.map((call) => call.message),
+        ['warning: Unknown directive', 'error: Missing User-agent']
+      );
+
+      const debug = createCore();
+      logAll(createReporter(debug, { reporter: 'plain', verbosity: 'debug' }));
+      assert.strictEqual(debug.calls[0].message, 'debug: detail');
+    });
+
+    it('silent: should write nothing', function () {
+      const core = createCore();
+      logAll(createReporter(core, { reporter: 'silent', verbosity: 'debug' }));
+      assert.deepStrictEqual(core.calls, []);
+    });
+
+    it('should fail through setFailed for github and without a second log line otherwise', function () {
+      const github = createCore();
+      createReporter(github).fail('❌ site_url is required');
+      assert.deepStrictEqual(github.calls, [
+        { level: 'setFailed', message: '❌ site_url is required' },
+      ]);
+
+      const plain = createCore();
+      createReporter(plain, { reporter: 'plain' }).fail('❌ site_url is required');
+      assert.deepStrictEqual(
+        plain.calls.map((call) => call.message),
+        ['error: site_url is required']
+      );
+      assert.strictEqual(plain.failed, '❌ site_url is required');
+
+      const silent = createCore();
+      createReporter(silent, { reporter: 'silent' }).fail('❌ nope');
+      assert.deepStrictEqual(silent.calls, []);
+      assert.strictEqual(silent.failed, '❌ nope');
+    });
+
+    it('should work with the output formatter', function () {
+      const core = createCore();
+      printValidationResults(
+        createReporter(core, { reporter: 'jsonl' }),
+        [{ id: 'R010-invalid-line', severity: 'warning', message: 'Bad', line: 2, hint: 'Fix it' }],
+        'robots.txt'
+      );
+
+      const [warning, notice] = core.calls.map((call) => JSON.parse(call.message));
+      assert.strictEqual(warning.title, 'R010-invalid-line');
+      assert.strictEqual(warning.message, 'Bad (robots.txt:2) [R010-invalid-line]\nFix it');
+      assert.strictEqual(notice.level, 'notice');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for robots-builder helpers
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseRulesInput, buildRobotsTxt } = require('../../src/lib/robots-builder');
+
+describe('Robots Builder', () => {
+  const rulesFixture = path.join(__dirname, '../fixtures/rules/multi-group.yml');
+
+  describe('parseRulesInput', () => {
+    it('should parse YAML groups with multiple user-agents', () => {
+      const groups = parseRulesInput(fs.readFileSync(rulesFixture, 'utf8'));
+
+      assert.strictEqual(groups.length, 3);
+      assert.deepStrictEqual(groups[0].userAgents, ['Googlebot']);
+      assert.deepStrictEqual(groups[0].comments, ['Google may crawl search results']);
+      assert.deepStrictEqual(groups[1].userAgents, ['Bingbot', 'DuckDuckBot']);
+      assert.strictEqual(groups[1].crawlDelay, '5');
+    });
+
+    it('should normalize paths and remove duplicate rules', () => {
+      const groups = parseRulesInput(fs.readFileSync(rulesFixture, 'utf8'));
+      assert.deepStrictEqual(groups[1].disallow, ['/search/', '/private/']);
+    });
+
+    it('should parse JSON input', () => {
+      const groups = parseRulesInput('[{"user_agent": "*", "disallow": ["/admin/"]}]');
+      assert.strictEqual(groups.length, 1);
+      assert.deepStrictEqual(groups[0].disallow, ['/admin/']);
+    });
+
+    it('should return an empty list for blank input', () => {
+      assert.deepStrictEqual(parseRulesInput(''), []);
+      assert.deepStrictEqual(parseRulesInput('   \n'), []);
+    });
+
+    it('should reject groups without user_agent', () => {
+      assert.throws(() => parseRulesInput('- disallow: /admin/'), /group 1 is missing user_agent/);
+    });
+
+    it('should reject input that is not a list', () => {
+      assert.throws(() => parseRulesInput('user_agent: "*"'), /must be a list of groups/);
+    });
+  });
+
+  describe('buildRobotsTxt', () => {
+    it('should render groups in declaration order with sitemaps last', () => {
+      const groups = parseRulesInput(fs.readFileSync(rulesFixture, 'utf8'));
+      const content = buildRobotsTxt({
+        groups,
+        sitemaps: ['https://example.com/sitemap.xml'],
+      });
+
+      const agents = content.match(/^User-agent: .+$/gm);
+      assert.deepStrictEqual(agents, [
+        'User-agent: Googlebot',
+        'User-agent: Bingbot',
+        'User-agent: DuckDuckBot',
+        'User-agent: *',
+      ]);
+      assert.ok(content.includes('# Google may crawl search results\nUser-agent: Googlebot\n'));
+      assert.ok(content.includes('Allow: /search/\nDisallow: /private/\n'));
+      assert.ok(content.includes('Crawl-delay: 5\n'));
+      assert.ok(content.endsWith('\nSitemap: https://example.com/sitemap.xml\n'));
+    });
+
+    it('should emit an empty Disallow for groups without rules', () => {
+      const content = buildRobotsTxt({
+        groups: [{ userAgents: ['*'], allow: [], disallow: [], crawlDelay: '', comments: [] }],
+      });
+      assert.strictEqual(content, '\nUser-agent: *\nDisallow:\n');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for managed-block merging
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  MANAGED_BEGIN,
+  MANAGED_END,
+  findManagedBlock,
+  mergeRobotsTxt,
+  findMergeConflicts,
+} = require('../../src/lib/robots-merge');
+const { validateRobotsTxt } = require('../../src/lib/validation');
+
+describe('Robots Merge', () => {
+  const existing = fs.readFileSync(
+    path.join(__dirname, '../fixtures/robots/with-managed-block.txt'),
+    'utf8'
+  );
+  const generated = '\nUser-agent: *\nDisallow: /private/\n';
+
+  describe('mergeRobotsTxt', () => {
+    it('should replace only the managed block', () => {
+      const { content, preservedLines } = mergeRobotsTxt(existing, generated);
+
+      assert.ok(content.includes('User-agent: AdsBot-Google\nDisallow: /checkout/'));
+      assert.ok(
+        content.includes(`${MANAGED_BEGIN}\nUser-agent: *\nDisallow: /private/\n${MANAGED_END}`)
+      );
+      assert.ok(!content.includes('/old/'));
+      assert.ok(content.endsWith('Sitemap: https://example.com/manual-sitemap.xml\n'));
+      assert.strictEqual(preservedLines, 6);
+    });
+
+    it('should be stable across repeated runs', () => {
+      const first = mergeRobotsTxt(existing, generated).content;
+      const second = mergeRobotsTxt(first, generated).content;
+      assert.strictEqual(second, first);
+    });
+
+    it('should append the block when the file has no markers', () => {
+      const { content } = mergeRobotsTxt('User-agent: Foo\nDisallow: /\n', generated);
+      assert.ok(content.startsWith('User-agent: Foo\nDisallow: /\n\n' + MANAGED_BEGIN));
+    });
+
+    it('should write only the block when there is no existing file', () => {
+      const { content } = mergeRobotsTxt('', generated);
+      assert.ok(content.startsWith(MANAGED_BEGIN));
+      assert.ok(content.endsWith(`${MANAGED_END}\n`));
+    });
+
+    it('should fail on a block without END marker', () => {
+      assert.throws(() => findManagedBlock(`${MANAGED_BEGIN}\nUser-agent: *\n`), /no END marker/);
+    });
+  });
+
+  describe('findMergeConflicts', () => {
+    it('should report manual groups for generated user-agents', () => {
+      const { content } = mergeRobotsTxt(
+        existing,
+        '\nUser-agent: *\nDisallow:\n\nUser-agent: Googlebot\nAllow: /\n'
+      );
+      const conflicts = findMergeConflicts(content);
+
+      assert.strictEqual(conflicts.length, 1);
+      assert.strictEqual(conflicts[0].agent, 'Googlebot');
+      assert.ok(conflicts[0].manualLine > conflicts[0].managedLine);
+    });
+
+    it('should surface conflicts through validateRobotsTxt', () => {
+      const { content } = mergeRobotsTxt(existing, '\nUser-agent: Googlebot\nAllow: /\n');
+      const messages = validateRobotsTxt(content, { strict: true }).map((r) => r.message);
+
+      assert.ok(messages.some((m) => m.includes('Manual group for "Googlebot"')));
+      assert.ok(!messages.some((m) => m.includes('already has a group')));
+    });
+  });
+});
@@ -12,7 +12,19 @@
 
 const assert = require('assert');
 const path = require('path');
-const { readRobotsDisallows, isPathDisallowed } = require('../../src/lib/robots-parser');
+const fs = require('fs');
+const {
+  parseRobotsTxt,
+  mergeGroupsByAgent,
+  readRobotsDisallows,
+  parseRobotsGroups,
+  countRobotsDirectives,
+  selectGroup,
+  evaluateUrl,
+  isPathDisallowed,
+  normalizePercentEncoding,
+  matchesPattern,
+} = require('../../src/lib/robots-parser');
 
 describe('Robots Parser', () => {
   const fixturesDir = path.join(__dirname, '../fixtures/robots');
@@ -44,6 +56,11 @@ describe('Robots Parser', () => {
       assert.strictEqual(disallows.length, 0);
     });
 
+    it('should only collect rules of groups that apply to all crawlers', () => {
+      const robotsPath = path.join(fixturesDir, 'rfc9309.txt');
+      assert.deepStrictEqual(readRobotsDisallows(robotsPath), ['/tmp/']);
+    });
+
     it('should ignore comments and empty lines', () => {
       const robotsPath = path.join(fixturesDir, 'with-disallows.txt');
       const disallows = readRobotsDisallows(robotsPath);
@@ -53,6 +70,156 @@ describe('Robots Parser', () => {
     });
   });
 
+  describe('parseRobotsTxt', () => {
+    const content = fs.readFileSync(path.join(fixturesDir, 'rfc9309.txt'), 'utf8');
+    const ast = parseRobotsTxt(content);
+
+    it('should handle a BOM, CRLF line endings and case-insensitive keys', () => {
+      assert.strictEqual(ast.bom, true);
+      assert.strictEqual(ast.groups.length, 3);
+      assert.deepStrictEqual(ast.groups[0].userAgents, [
+        { value: 'ExampleBot', line: 2, column: 1 },
+      ]);
+      assert.deepStrictEqual(ast.groups[0].rules, [
+        { type: 'disallow', value: '/private/', line: 3, column: 3 },
+        { type: 'allow', value: '/private/public', line: 4, column: 1 },
+      ]);
+    });
+
+    it('should collect comments, unknown directives and invalid lines', () => {
+      assert.deepStrictEqual(ast.comments[1], { text: 'inline comment', line: 3, column: 23 });
+      assert.deepStrictEqual(
+        ast.unknown.map((record) => [record.key, record.line]),
+        [
+          ['Noindex', 8],
+          ['Host', 9],
+        ]
+      );
+      assert.deepStrictEqual(ast.invalid, [{ text: 'this line is broken', line: 10, column: 1 }]);
+      assert.deepStrictEqual(ast.sitemaps, [
+        { value: 'https://example.com/sitemap.xml', line: 14, column: 1 },
+      ]);
+    });
+
+    it('should accept lone CR line endings', () => {
+      const { groups } = parseRobotsTxt('User-agent: a\rDisallow: /x\r');
+      assert.strictEqual(groups[0].rules[0].line, 2);
+    });
+
+    it('should not end a User-agent run on Sitemap or unknown lines', () => {
+      const { groups } = parseRobotsTxt(
+        'User-agent: a\nSitemap: https://e.com/s.xml\nUser-agent: b\nDisallow: /\n'
+      );
+      assert.strictEqual(groups.length, 1);
+      assert.deepStrictEqual(
+        groups[0].userAgents.map((agent) => agent.value),
+        ['a', 'b']
+      );
+    });
+  });
+
+  describe('mergeGroupsByAgent', () => {
+    it('should combine groups for the same product token (RFC 9309 2.2.1)', () => {
+      const content = fs.readFileSync(path.join(fixturesDir, 'rfc9309.txt'), 'utf8');
+      const merged = mergeGroupsByAgent(parseRobotsTxt(content));
+      const exampleBot = merged.get('examplebot');
+
+      assert.strictEqual(exampleBot.agent, 'ExampleBot');
+      assert.deepStrictEqual(exampleBot.lines, [2, 12]);
+      assert.deepStrictEqual(
+        exampleBot.rules.map((rule) => rule.value),
+        ['/private/', '/private/public', '/cgi-bin/']
+      );
+      assert.strictEqual(merged.get('*').rules.length, 1);
+    });
+  });
+
+  describe('selectGroup', () => {
+    const ast = parseRobotsTxt(
+      'User-agent: *\nDisallow: /a\n\nUser-agent: Googlebot\nDisallow: /b\n\nUser-agent: Googlebot-News\nDisallow: /c\n'
+    );
+
+    it('should prefer the group naming the product token', () => {
+      assert.strictEqual(selectGroup(ast, 'Googlebot-News').agent, 'Googlebot-News');
+      assert.strictEqual(selectGroup(ast, 'googlebot').agent, 'Googlebot');
+      assert.strictEqual(
+        selectGroup(ast, 'Googlebot/2.1 (+http://www.google.com/bot.html)').agent,
+        'Googlebot'
+      );
+      assert.strictEqual(selectGroup(ast, 'Bingbot').agent, '*');
+    });
+
+    it('should not match group tokens by prefix', () => {
+      assert.strictEqual(selectGroup(ast, 'Googlebot-Image').agent, '*');
+    });
+
+    it('should return null when no group applies', () => {
+      assert.strictEqual(selectGroup(parseRobotsTxt('User-agent: a\nDisallow: /\n'), 'b'), null);
+    });
+  });
+
+  describe('evaluateUrl', () => {
+    const ast = parseRobotsTxt(
+      'User-agent: *\nDisallow: /docs/\nAllow: /docs/public/\nAllow: /page\nDisallow: /page\nDisallow: /\n'
+    );
+
+    it('should apply the longest matching rule', () => {
+      assert.strictEqual(evaluateUrl(ast, '*', '/docs/internal').allowed, false);
+      assert.strictEqual(evaluateUrl(ast, '*', '/docs/public/intro').allowed, true);
+      assert.strictEqual(evaluateUrl(ast, '*', '/docs/public/intro').rule.line, 3);
+    });
+
+    it('should let Allow win a tie', () => {
+      const result = evaluateUrl(ast, 'AnyBot', 'https://example.com/page?x=1');
+      assert.strictEqual(result.path, '/page?x=1');
+      assert.strictEqual(result.allowed, true);
+      assert.strictEqual(result.rule.type, 'allow');
+    });
+
+    it('should always allow /robots.txt', () => {
+      assert.strictEqual(evaluateUrl(ast, '*', '/robots.txt').allowed, true);
+      assert.strictEqual(evaluateUrl(ast, '*', '/other').allowed, false);
+    });
+  });
+
+  describe('parseRobotsGroups', () => {
+    it('should split content into groups with line numbers', () => {
+      const content = fs.readFileSync(path.join(fixturesDir, 'multi-group.txt'), 'utf8');
+      const { groups, sitemaps } = parseRobotsGroups(content);
+
+      assert.strictEqual(groups.length, 3);
+      assert.deepStrictEqual(groups[1].userAgents, ['Bingbot', 'DuckDuckBot']);
+      assert.strictEqual(groups[1].line, 6);
+      assert.deepStrictEqual(groups[0].rules, [
+        { type: 'allow', value: '/private/press/', line: 3 },
+        { type: 'disallow', value: '/private/', line: 4 },
+      ]);
+      assert.deepStrictEqual(groups[1].crawlDelays, [{ value: '5', line: 9 }]);
+      assert.deepStrictEqual(sitemaps, [{ value: 'https://example.com/sitemap.xml', line: 14 }]);
+    });
+
+    it('should report rules that appear before any User-agent', () => {
+      const { groups, orphanRules } = parseRobotsGroups('Disallow: /tmp/\nUser-agent: *\n');
+      assert.strictEqual(groups.length, 1);
+      assert.deepStrictEqual(orphanRules, [{ type: 'disallow', value: '/tmp/', line: 1 }]);
+    });
+  });
+
+  describe('countRobotsDirectives', () => {
+    it('should count groups, rules and sitemaps', () => {
+      const content = fs.readFileSync(path.join(fixturesDir, 'multi-group.txt'), 'utf8');
+      assert.deepStrictEqual(countRobotsDirectives(content), { groups: 3, rules: 4, sitemaps: 1 });
+    });
+
+    it('should not count an empty Disallow as a rule', () => {
+      assert.deepStrictEqual(countRobotsDirectives('User-agent: *\nDisallow:\n'), {
+        groups: 1,
+        rules: 0,
+        sitemaps: 0,
+      });
+    });
+  });
+
   describe('isPathDisallowed', () => {
     it('should detect disallowed paths', () => {
       const disallows = ['/admin/', '/private/', '/temp/'];
@@ -84,6 +251,16 @@ describe('Robots Parser', () => {
       assert.ok(!isPathDisallowed('/any/path', disallows));
     });
 
+    it('should let more specific Allow rules win', () => {
+      const rules = [
+        { type: 'disallow', value: '/admin/' },
+        { type: 'allow', value: '/admin/public/' },
+      ];
+
+      assert.ok(isPathDisallowed('/admin/panel', rules));
+      assert.ok(!isPathDisallowed('/admin/public/page', rules));
+    });
+
     it('should handle exact prefix matching', () => {
       const disallows = ['/admin/'];
 
@@ -92,4 +269,52 @@ describe('Robots Parser', () => {
       assert.ok(!isPathDisallowed('/administrator', disallows));
     });
   });
+
+  describe('matchesPattern', () => {
+    it('should treat regex characters literally', () => {
+      assert.ok(matchesPattern('/file.html', '/file.html'));
+      assert.ok(!matchesPattern('/fileXhtml', '/file.html'));
+      assert.ok(matchesPattern('/search?q=robots', '/search?q='));
+      assert.ok(!matchesPattern('/search', '/search?q='));
+      assert.ok(matchesPattern('/a(b)[c]+', '/a(b)[c]+'));
+      assert.ok(!matchesPattern('/ab', '/a(b)'));
+    });
+
+    it('should support * anywhere and $ at the end only', () => {
+      assert.ok(matchesPattern('/shop/item.php', '/*.php$'));
+      assert.ok(!matchesPattern('/shop/item.php?id=1', '/*.php$'));
+      assert.ok(matchesPattern('/fish/salmon', '/fish*'));
+      assert.ok(matchesPattern('/price$list', '/price$list'));
+      assert.ok(!matchesPattern('/price', '/price$list'));
+      assert.ok(matchesPattern('/anything', '/'));
+      assert.ok(!matchesPattern('/anything', ''));
+    });
+
+    it('should compare percent-encoded and literal characters equally', () => {
+      assert.ok(matchesPattern('/%7Euser/home', '/~user/'));
+      assert.ok(matchesPattern('/~user/home', '/%7euser/'));
+      assert.ok(matchesPattern('/caf%C3%A9/menu', '/café/'));
+      assert.ok(matchesPattern('/café/menu', '/caf%c3%a9/'));
+      assert.ok(!matchesPattern('/a/b', '/a%2Fb'));
+    });
+  });
+
+  describe('normalizePercentEncoding', () => {
+    it('should decode unreserved characters and upper-case other escapes', () => {
+      assert.strictEqual(normalizePercentEncoding('/%7e%41%2f%c3%a9'), '/~A%2F%C3%A9');
+      assert.strictEqual(normalizePercentEncoding('/plain/path'), '/plain/path');
+    });
+
+    it('should match many URLs against many rules quickly', () => {
+      const rules = Array.from({ length: 300 }, (_, i) => ({
+        type: i % 2 ? 'allow' : 'disallow',
+        value: `/section-${i}/*.html$`,
+      }));
+      const start = Date.now();
+      for (let i = 0; i < 20000; i++) {
+        isPathDisallowed(`/section-${i % 400}/page-${i}.html`, rules);
+      }
+      assert.ok(Date.now() - start < 5000);
+    });
+  });
 });
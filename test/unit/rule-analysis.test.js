@@ -0,0 +1,111 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for rule conflict and redundancy analysis
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseRobotsTxt } = require('../../src/lib/robots-parser');
+const {
+  canonicalPattern,
+  covers,
+  analyzeGroupRules,
+  analyzeRobotsRules,
+} = require('../../src/lib/rule-analysis');
+
+describe('Rule Analysis', function () {
+  const fixture = path.join(__dirname, '../fixtures/robots/conflicting-rules.txt');
+  const rules = (text) => parseRobotsTxt(`User-agent: *\n${text}`).groups[0].rules;
+  const kinds = (text) => analyzeGroupRules(rules(text)).map((f) => [f.kind, f.rule.line]);
+
+  describe('canonicalPattern and covers', function () {
+    it('should treat trailing wildcards and percent-encoding as equivalent', function () {
+      assert.strictEqual(canonicalPattern('/a**'), '/a');
+      assert.strictEqual(canonicalPattern('/a*$'), '/a');
+      assert.strictEqual(canonicalPattern('/%7euser'), '/~user');
+      assert.strictEqual(canonicalPattern('/*.php$'), '/*.php$');
+    });
+
+    it('should only claim coverage it can prove', function () {
+      assert.ok(covers('/admin/', '/admin/users'));
+      assert.ok(covers('/admin/', '/admin/*.php$'));
+      assert.ok(!covers('/admin/users', '/admin/'));
+      assert.ok(!covers('/*.php', '/admin/index.php'));
+      assert.ok(!covers('/page$', '/page/1'));
+    });
+  });
+
+  describe('analyzeGroupRules', function () {
+    it('should find duplicates, including different spellings of one rule', function () {
+      assert.deepStrictEqual(kinds('Disallow: /a\nDisallow: /a*\nDisallow: /%61'), [
+        ['duplicate', 3],
+        ['duplicate', 4],
+      ]);
+    });
+
+    it('should find rules an opposite, longer rule always overrides', function () {
+      assert.deepStrictEqual(kinds('Disallow: /a\nAllow: /a*'), [['shadowed', 2]]);
+    });
+
+    it('should find Allow rules no Disallow could override', function () {
+      assert.deepStrictEqual(kinds('Disallow: /admin/\nAllow: /blog/'), [['shadowed', 3]]);
+      assert.deepStrictEqual(kinds('Allow: /'), [['shadowed', 2]]);
+      assert.deepStrictEqual(kinds('Disallow: /*.php\nAllow: /blog/'), []);
+    });
+
+    it('should find Allow/Disallow pairs decided by tie-breaking', function () {
+      assert.deepStrictEqual(kinds('Allow: /page\nDisallow: /page'), [['tie', 3]]);
+      assert.deepStrictEqual(kinds('Allow: /page\nDisallow: /pag*'), [['tie', 3]]);
+    });
+
+    it('should find rules covered by a broader rule of the same type', function () {
+      assert.deepStrictEqual(kinds('Disallow: /a/\nDisallow: /a/b'), [['redundant', 3]]);
+      assert.deepStrictEqual(kinds('Disallow: /a\nDisallow: /a/b\nAllow: /c'), [
+        ['redundant', 3],
+        ['shadowed', 4],
+      ]);
+    });
+
+    it('should keep narrower rules that undo an exception', function () {
+      assert.deepStrictEqual(kinds('Disallow: /a/\nAllow: /a/public/\nDisallow: /a/public/x'), []);
+      assert.deepStrictEqual(kinds('Disallow: /a\nDisallow: /b\nAllow: /'), []);
+    });
+  });
+
+  describe('analyzeRobotsRules', function () {
+    it('should report each finding once with the offending line', function () {
+      const results = analyzeRobotsRules(parseRobotsTxt(fs.readFileSync(fixture, 'utf8')));
+
+      assert.deepStrictEqual(
+        results.map((r) => r.line),
+        [3, 6, 7, 9, 14, 21]
+      );
+      assert.ok(results.every((r) => r.severity === 'warning'));
+      assert.match(results[0].message, /Disallow "\/admin\/users" \(line 3\) is redundant/);
+      assert.match(results[1].message, /equal length/);
+      assert.match(results[2].message, /never takes effect: Allow "\/drafts\*" \(line 8\)/);
+      assert.match(results[3].message, /duplicates line 2/);
+      assert.match(
+        results[4].message,
+        /"Googlebot\/2.1" is unreachable: .*"Googlebot" \(line 11\)/
+      );
+      assert.match(results[5].message, /Disallow "\/cart" \(line 21\) duplicates line 18/);
+    });
+
+    it('should report nothing for a generated file', function () {
+      const content = fs.readFileSync(
+        path.join(__dirname, '../fixtures/robots/multi-group.txt'),
+        'utf8'
+      );
+      assert.deepStrictEqual(analyzeRobotsRules(parseRobotsTxt(content)), []);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for the dead-rule report
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const path = require('path');
+const { listSitePaths, analyzeRuleCoverage } = require('../../src/lib/rule-coverage');
+
+describe('Rule Coverage', function () {
+  const publicDir = path.join(__dirname, '../fixtures/site');
+  const robots = [
+    'User-agent: *',
+    'Disallow: /old-blog/',
+    'Disallow: /blog/',
+    'Disallow: /*.html$',
+    'Disallow: /search?q=',
+    'Allow: /about$',
+    'Allow: /docs$',
+    'Disallow:',
+    '',
+    'User-agent: GPTBot',
+    'Disallow: /',
+    '',
+  ].join('\n');
+
+  describe('listSitePaths', function () {
+    it('should list pages under their clean and directory URLs', function () {
+      const { files, directories } = listSitePaths(publicDir);
+      const byFile = Object.fromEntries(files.map((entry) => [entry.file, entry]));
+
+      assert.strictEqual(files.length, 8);
+      assert.deepStrictEqual(byFile['/about.html'].urls, ['/about.html', '/about']);
+      assert.deepStrictEqual(byFile['/docs/index.html'].urls, ['/docs/index.html', '/docs/']);
+      assert.strictEqual(byFile['/assets/app.js'].isPage, false);
+      assert.ok(directories.includes('/blog') && directories.includes('/blog/'));
+    });
+  });
+
+  describe('analyzeRuleCoverage', function () {
+    it('should report dead and overly broad rules with their lines', function () {
+      const { results } = analyzeRuleCoverage(robots, { publicDir });
+
+      assert.deepStrictEqual(
+        results.map((r) => [r.line, r.severity]),
+        [
+          [2, 'warning'],
+          [4, 'warning'],
+        ]
+      );
+      assert.match(results[0].message, /Disallow "\/old-blog\/" matches no file or directory/);
+      assert.match(
+        results[1].message,
+        /Disallow "\/\*\.html\$" matches 100% of HTML pages \(7 of 7\)/
+      );
+    });
+
+    it('should describe every rule in the report', function () {
+      const { report } = analyzeRuleCoverage(robots, { publicDir, thresholdPercent: 40 });
+      const byLine = Object.fromEntries(report.rules.map((rule) => [rule.line, rule]));
+
+      assert.strictEqual(report.files, 8);
+      assert.strictEqual(report.htmlPages, 7);
+      assert.strictEqual(report.dead, 1);
+      assert.strictEqual(report.broad, 2);
+      assert.strictEqual(byLine[3].status, 'broad');
+      assert.strictEqual(byLine[3].matchedPages, 3);
+      assert.deepStrictEqual(byLine[3].examples, [
+        '/blog/post-1.html',
+        '/blog/post-2.html',
+        '/blog/post-3.html',
+      ]);
+      assert.strictEqual(byLine[5].status, 'skipped');
+      assert.strictEqual(byLine[6].status, 'ok');
+      assert.strictEqual(byLine[7].status, 'ok');
+      assert.strictEqual(byLine[11].status, 'ok');
+      assert.deepStrictEqual(byLine[11].userAgents, ['GPTBot']);
+      assert.strictEqual(byLine[8], undefined);
+    });
+
+    it('should skip the share check when the threshold is 0', function () {
+      const { report } = analyzeRuleCoverage(robots, { publicDir, thresholdPercent: 0 });
+      assert.strictEqual(report.broad, 0);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for the SARIF export
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildSarifLog, writeSarifFile } = require('../../src/lib/sarif');
+const { validateRobotsTxt } = require('../../src/lib/validation');
+
+describe('SARIF', () => {
+  const baseDir = path.join(os.tmpdir(), 'robots-sarif-repo');
+  const findings = validateRobotsTxt('Disallow: /\nUser-agent: *\nNoindex: /a/\nHost: a.com\n', {
+    strict: true,
+  });
+
+  describe('buildSarifLog', () => {
+    const log = buildSarifLog(findings, {
+      file: path.join(baseDir, 'static/robots.txt'),
+      baseDir,
+    });
+    const [run] = log.runs;
+
+    it('should describe the tool and every rule', () => {
+      assert.strictEqual(log.version, '2.1.0');
+      const rule = run.tool.driver.rules.find((r) => r.id === 'R009-unknown-directive');
+      assert.strictEqual(rule.name, 'UnknownDirective');
+      assert.strictEqual(rule.shortDescription.text, 'Unknown directive');
+      assert.ok(rule.help.text.includes('RFC 9309'));
+      assert.ok(rule.helpUri.endsWith('#validation-rules'));
+      assert.strictEqual(rule.defaultConfiguration.level, 'warning');
+    });
+
+    it('should export findings with level, rule index and line', () => {
+      const result = run.results.find((r) => r.ruleId === 'R009-unknown-directive');
+      assert.strictEqual(result.level, 'warning');
+      assert.strictEqual(run.tool.driver.rules[result.ruleIndex].id, result.ruleId);
+      assert.deepStrictEqual(result.locations[0].physicalLocation, {
+        artifactLocation: { uri: 'static/robots.txt', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 3 },
+      });
+      assert.strictEqual(
+        run.results.find((r) => r.ruleId === 'R008-nonstandard-directive').level,
+        'note'
+      );
+    });
+
+    it('should leave out passed checks', () => {
+      assert.ok(findings.some((f) => f.passed));
+      assert.strictEqual(run.results.length, findings.filter((f) => !f.passed).length);
+    });
+
+    it('should attach the config file as a related location', () => {
+      const withConfig = buildSarifLog(findings, {
+        file: path.join(baseDir, 'dist/robots.txt'),
+        configFile: path.join(baseDir, 'robots.config.yml'),
+        baseDir,
+      });
+      const [result] = withConfig.runs[0].results;
+      assert.deepStrictEqual(result.relatedLocations[0].physicalLocation.artifactLocation, {
+        uri: 'robots.config.yml',
+        uriBaseId: '%SRCROOT%',
+      });
+    });
+  });
+
+  describe('buildSarifLog for a generated robots.txt', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'robots-sarif-config-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should point at the config file line that produced the directive', () => {
+      const configFile = path.join(tempDir, 'robots.config.yml');
+      fs.writeFileSync(
+        configFile,
+        'site_url: https://example.com\nrobots_disallow:\n  - /admin/\n  - private/\n'
+      );
+      const content = 'User-agent: *\nDisallow: /admin/\nDisallow: private/\n';
+      const generated = buildSarifLog(
+        [
+          { id: 'R015-path-without-slash', severity: 'warning', message: 'No slash', line: 3 },
+          { id: 'R006-sitemap-file-missing', severity: 'warning', message: 'Missing' },
+        ],
+        { file: path.join(tempDir, 'dist/robots.txt'), configFile, content, baseDir: tempDir }
+      );
+      const [fromConfig, fromRobots] = generated.runs[0].results;
+
+      assert.deepStrictEqual(fromConfig.locations[0].physicalLocation, {
+        artifactLocation: { uri: 'robots.config.yml', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 4 },
+      });
+      assert.deepStrictEqual(fromConfig.relatedLocations[0].physicalLocation, {
+        artifactLocation: { uri: 'dist/robots.txt', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 3 },
+      });
+      assert.strictEqual(
+        fromRobots.locations[0].physicalLocation.artifactLocation.uri,
+        'dist/robots.txt'
+      );
+      assert.strictEqual(
+        fromRobots.relatedLocations[0].physicalLocation.artifactLocation.uri,
+        'robots.config.yml'
+      );
+    });
+  });
+
+  describe('writeSarifFile', () => {
+    it('should create the directory and return the result count', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'robots-sarif-'));
+      const outputPath = path.join(tempDir, 'reports/robots.sarif');
+      try {
+        const count = writeSarifFile(outputPath, findings, { file: 'robots.txt', baseDir });
+        const log = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+        assert.strictEqual(count, log.runs[0].results.length);
+        assert.ok(count > 0);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for the streaming sitemap writers
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  escapeXml,
+  formatUrlEntry,
+  openSitemapXml,
+  writeSitemapXml,
+  writeSitemapTxt,
+  writeSitemapIndex,
+} = require('../../src/lib/sitemap-writer');
+
+describe('Sitemap writer', () => {
+  const outputDir = path.join(os.tmpdir(), `sitemap-writer-${process.pid}`);
+  const xmlPath = path.join(outputDir, 'sitemap.xml');
+
+  afterEach(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  describe('escapeXml', () => {
+    it('should escape markup and drop characters XML does not allow', () => {
+      assert.strictEqual(
+        escapeXml(`https://example.com/?a=1&b=<2>"'`),
+        'https://example.com/?a=1&amp;b=&lt;2&gt;&quot;&apos;'
+      );
+      assert.strictEqual(escapeXml('a\u0000b\u000bc\td'), 'abc\td');
+    });
+  });
+
+  describe('formatUrlEntry', () => {
+    it('should indent the entry and print priorities with a decimal', () => {
+      assert.strictEqual(
+        formatUrlEntry({
+          url: 'https://example.com/',
+          lastmod: '2026-01-02',
+          changefreq: 'weekly',
+          priority: 1,
+        }),
+        '  <url>\n' +
+          '    <loc>https://example.com/</loc>\n' +
+          '    <lastmod>2026-01-02</lastmod>\n' +
+          '    <changefreq>weekly</changefreq>\n' +
+          '    <priority>1.0</priority>\n' +
+          '  </url>\n'
+      );
+      assert.ok(formatUrlEntry({ url: 'https://example.com/', priority: '0.25' }).includes('0.25'));
+    });
+  });
+
+  describe('writeSitemapXml', () => {
+    it('should stream escaped entries and report the size', async () => {
+      const urls = [
+        { url: 'https://example.com/search?q=a&page=2' },
+        { url: 'https://example.com/' },
+      ];
+      const result = await writeSitemapXml(urls, xmlPath);
+      const xml = fs.readFileSync(xmlPath, 'utf8');
+
+      assert.deepStrictEqual(result, { bytes: Buffer.byteLength(xml), count: 2 });
+      assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<!-- Generated by '));
+      assert.ok(xml.includes('<loc>https://example.com/search?q=a&amp;page=2</loc>'));
+      assert.ok(xml.endsWith('  </url>\n</urlset>\n'));
+    });
+
+    it('should report the final size while entries are added', async () => {
+      const sitemap = await openSitemapXml(xmlPath);
+      await sitemap.add(formatUrlEntry({ url: 'https://example.com/é' }));
+      const expected = sitemap.bytes;
+      const result = await sitemap.close();
+
+      assert.strictEqual(sitemap.count, 1);
+      assert.strictEqual(result.bytes, expected);
+      assert.strictEqual(fs.statSync(xmlPath).size, expected);
+    });
+
+    it('should accept async iterables and gzip while writing', async () => {
+      async function* generate(count) {
+        for (let i = 0; i < count; i++) yield { url: `https://example.com/page-${i}.html` };
+      }
+      const result = await writeSitemapXml(generate(5000), xmlPath, { gzip: true });
+      const xml = fs.readFileSync(xmlPath);
+
+      assert.strictEqual(result.count, 5000);
+      assert.strictEqual(result.bytes, xml.length);
+      assert.ok(xml.length > 64 * 1024);
+      assert.ok(zlib.gunzipSync(fs.readFileSync(`${xmlPath}.gz`)).equals(xml));
+    });
+
+    it('should write an empty urlset', async () => {
+      await writeSitemapXml([], xmlPath);
+      assert.ok(
+        fs
+          .readFileSync(xmlPath, 'utf8')
+          .endsWith('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n</urlset>\n')
+      );
+    });
+  });
+
+  describe('writeSitemapTxt', () => {
+    it('should write one URL per line', async () => {
+      const txtPath = path.join(outputDir, 'sitemap.txt');
+      const result = await writeSitemapTxt(
+        [{ url: 'https://example.com/' }, { url: 'https://example.com/a&b' }],
+        txtPath
+      );
+      assert.strictEqual(
+        fs.readFileSync(txtPath, 'utf8'),
+        'https://example.com/\nhttps://example.com/a&b\n'
+      );
+      assert.strictEqual(result.count, 2);
+    });
+  });
+
+  describe('writeSitemapIndex', () => {
+    it('should list the sitemaps with their lastmod', async () => {
+      await writeSitemapIndex(
+        [
+          { url: 'https://example.com/sitemap-1.xml', lastmod: '2026-01-02' },
+          { url: 'https://example.com/sitemap-2.xml?v=1&x=2' },
+        ],
+        xmlPath,
+        { gzip: true }
+      );
+      const xml = fs.readFileSync(xmlPath, 'utf8');
+
+      assert.ok(
+        xml.includes(
+          '  <sitemap>\n    <loc>https://example.com/sitemap-1.xml</loc>\n    <lastmod>2026-01-02</lastmod>\n  </sitemap>\n'
+        )
+      );
+      assert.ok(
+        xml.includes('<loc>https://example.com/sitemap-2.xml?v=1&amp;x=2</loc>\n  </sitemap>')
+      );
+      assert.ok(xml.endsWith('</sitemapindex>\n'));
+      assert.strictEqual(zlib.gunzipSync(fs.readFileSync(`${xmlPath}.gz`)).toString('utf8'), xml);
+    });
+  });
+});
@@ -0,0 +1,280 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for sitemap generation (generate_sitemap)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { SETTINGS } = require('../../src/lib/config');
+const {
+  resolveSitemapOptions,
+  getPartitionName,
+  generateSitemap,
+} = require('../../src/lib/sitemap');
+const { createReporter } = require('../../src/lib/reporters');
+
+describe('Sitemap', () => {
+  const siteUrl = 'https://example.com';
+  const publicDir = path.join(__dirname, '../fixtures/site');
+  const defaults = () =>
+    Object.fromEntries(Object.entries(SETTINGS).map(([name, { default: value }]) => [name, value]));
+  const reporter = createReporter({ info: () => {}, debug: () => {} }, { reporter: 'silent' });
+  const locs = (file) =>
+    [...fs.readFileSync(file, 'utf8').matchAll(/<loc>([^<]+)<\/loc>/g)].map((match) => match[1]);
+
+  describe('resolveSitemapOptions', () => {
+    it('should map the settings to buildUrls options', () => {
+      const options = resolveSitemapOptions(
+        { ...defaults(), sitemap_changefreq: 'Weekly', sitemap_additional_urls: ['/extra/'] },
+        { siteUrl, publicDir }
+      );
+      assert.deepStrictEqual(options.includePatterns, ['**/*.html']);
+      assert.deepStrictEqual(options.additionalUrls, ['https://example.com/extra/']);
+      assert.strictEqual(options.changefreq, 'weekly');
+      assert.strictEqual(options.lastmodStrategy, 'filemtime');
+      assert.strictEqual(options.respectRobots, true);
+    });
+
+    it('should reject invalid values', () => {
+      const resolve = (overrides) =>
+        resolveSitemapOptions({ ...defaults(), ...overrides }, { siteUrl, publicDir });
+      assert.throws(() => resolve({ sitemap_lastmod: 'mtime' }), /sitemap_lastmod must be one of/);
+      assert.throws(
+        () => resolve({ sitemap_changefreq: 'often' }),
+        /sitemap_changefreq must be one of/
+      );
+      assert.throws(() => resolve({ sitemap_priority: '1.5' }), /from 0.0 to 1.0/);
+      assert.throws(() => resolve({ sitemap_priority: 'high' }), /from 0.0 to 1.0/);
+      assert.strictEqual(resolve({ sitemap_priority: '0.8' }).priority, '0.8');
+      assert.throws(
+        () => resolve({ sitemap_partition: 'size' }),
+        /sitemap_partition must be one of none, directory, type/
+      );
+      assert.throws(() => resolve({ sitemap_max_urls: 50001 }), /between 1 and 50000/);
+      assert.throws(() => resolve({ sitemap_max_urls: 0 }), /between 1 and 50000/);
+    });
+  });
+
+  describe('getPartitionName', () => {
+    it('should group by top-level directory', () => {
+      const name = (url) => getPartitionName(url, 'directory');
+      assert.strictEqual(name('https://example.com/blog/post-1.html'), 'blog');
+      assert.strictEqual(name('https://example.com/Docs/'), 'docs');
+      assert.strictEqual(name('https://example.com/api%20v2/index.html'), 'api-20v2');
+      assert.strictEqual(name('https://example.com/my_docs/'), 'my-docs');
+      assert.strictEqual(name('https://example.com/about.html'), 'root');
+      assert.strictEqual(name('https://example.com/'), 'root');
+    });
+
+    it('should group by content type', () => {
+      const name = (url) => getPartitionName(url, 'type');
+      assert.strictEqual(name('https://example.com/blog/'), 'pages');
+      assert.strictEqual(name('https://example.com/about.html'), 'pages');
+      assert.strictEqual(name('https://example.com/files/report.PDF'), 'documents');
+      assert.strictEqual(name('https://example.com/img/logo.svg'), 'images');
+      assert.strictEqual(name('https://example.com/feed.json'), 'other');
+      assert.strictEqual(getPartitionName('https://example.com/a/', 'none'), '');
+    });
+  });
+
+  describe('generateSitemap', () => {
+    const outputDir = path.join(os.tmpdir(), `sitemap-${process.pid}`);
+    const xmlPath = path.join(outputDir, 'sitemap.xml');
+    const url = 'https://example.com/sitemap.xml';
+
+    afterEach(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+    it('should list the pages of public_dir and skip disallowed ones', async () => {
+      const options = resolveSitemapOptions(
+        { ...defaults(), sitemap_lastmod: 'none', sitemap_priority: '0.5' },
+        { siteUrl, publicDir }
+      );
+      const sitemap = await generateSitemap(
+        { ...options, robotsRules: [{ type: 'disallow', value: '/blog/' }] },
+        { path: xmlPath, url },
+        reporter
+      );
+
+      // Written in file path order as the files are found
+      assert.strictEqual(sitemap.count, 4);
+      assert.deepStrictEqual(locs(xmlPath), [
+        'https://example.com/about.html',
+        'https://example.com/docs/guide.html',
+        'https://example.com/docs/',
+        'https://example.com/',
+      ]);
+      assert.strictEqual(sitemap.index, false);
+      assert.deepStrictEqual(sitemap.files, [xmlPath]);
+      assert.deepStrictEqual(
+        sitemap.findings.filter((f) => !f.passed),
+        []
+      );
+
+      const xml = fs.readFileSync(xmlPath, 'utf8');
+      assert.strictEqual(sitemap.parts[0].bytes, Buffer.byteLength(xml));
+      assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<!-- Generated by '));
+      assert.ok(xml.includes('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'));
+      assert.ok(
+        xml.includes('    <loc>https://example.com/docs/</loc>\n    <priority>0.5</priority>')
+      );
+      assert.ok(!xml.includes('<lastmod>'));
+    });
+
+    it('should write the plain-text list and the gzip copy', async () => {
+      const options = resolveSitemapOptions(defaults(), { siteUrl, publicDir });
+      const sitemap = await generateSitemap(
+        options,
+        { path: xmlPath, url, txt: true, gzip: true },
+        reporter
+      );
+
+      const txtPath = path.join(outputDir, 'sitemap.txt');
+      assert.deepStrictEqual(sitemap.files, [xmlPath, txtPath, `${xmlPath}.gz`]);
+      assert.strictEqual(fs.readFileSync(txtPath, 'utf8'), `${locs(xmlPath).join('\n')}\n`);
+      assert.strictEqual(
+        zlib.gunzipSync(fs.readFileSync(`${xmlPath}.gz`)).toString('utf8'),
+        fs.readFileSync(xmlPath, 'utf8')
+      );
+    });
+
+    it('should split at sitemap_max_urls and write a sitemap index', async () => {
+      const options = resolveSitemapOptions(
+        { ...defaults(), sitemap_max_urls: 3, sitemap_lastmod: 'current' },
+        { siteUrl, publicDir }
+      );
+      const sitemap = await generateSitemap(
+        options,
+        { path: xmlPath, url, txt: true, gzip: true },
+        reporter
+      );
+
+      const part1 = path.join(outputDir, 'sitemap-1.xml');
+      const part2 = path.join(outputDir, 'sitemap-2.xml');
+      const part3 = path.join(outputDir, 'sitemap-3.xml');
+      assert.strictEqual(sitemap.index, true);
+      assert.deepStrictEqual(
+        sitemap.parts.map((part) => [part.path, part.count]),
+        [
+          [part1, 3],
+          [part2, 3],
+          [part3, 1],
+        ]
+      );
+      assert.strictEqual(sitemap.count, 7);
+      assert.deepStrictEqual(sitemap.files.slice(0, 4), [xmlPath, part1, part2, part3]);
+      assert.ok(sitemap.files.includes(`${xmlPath}.gz`));
+      assert.ok(sitemap.files.includes(`${part3}.gz`));
+
+      const index = fs.readFileSync(xmlPath, 'utf8');
+      assert.ok(
+        index.includes('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">')
+      );
+      assert.ok(index.includes('    <loc>https://example.com/sitemap-2.xml</loc>\n    <lastmod>'));
+      assert.ok(fs.readFileSync(part3, 'utf8').includes('<urlset'));
+
+      // The first file is renamed with its copies once the second one starts
+      assert.ok(!fs.existsSync(path.join(outputDir, 'sitemap.txt')));
+      assert.deepStrictEqual(
+        fs.readFileSync(path.join(outputDir, 'sitemap-1.txt'), 'utf8').trim().split('\n'),
+        locs(part1)
+      );
+      assert.ok(zlib.gunzipSync(fs.readFileSync(`${part1}.gz`)).equals(fs.readFileSync(part1)));
+    });
+
+    it('should write one sitemap per top-level directory', async () => {
+      const options = resolveSitemapOptions(
+        { ...defaults(), sitemap_partition: 'directory', sitemap_lastmod: 'none' },
+        { siteUrl, publicDir }
+      );
+      const sitemap = await generateSitemap(
+        options,
+        { path: xmlPath, url: 'https://example.com/maps/sitemap.xml', txt: true },
+        reporter
+      );
+
+      assert.deepStrictEqual(
+        sitemap.parts.map((part) => [path.basename(part.path), part.count]),
+        [
+          ['sitemap-blog.xml', 3],
+          ['sitemap-docs.xml', 2],
+          ['sitemap-root.xml', 2],
+        ]
+      );
+      assert.ok(sitemap.files.includes(path.join(outputDir, 'sitemap-blog.txt')));
+      const index = fs.readFileSync(xmlPath, 'utf8');
+      assert.ok(
+        index.includes('<loc>https://example.com/maps/sitemap-docs.xml</loc>\n  </sitemap>')
+      );
+    });
+
+    it('should keep numbered sections apart from similarly named directories', async () => {
+      const siteDir = path.join(outputDir, 'site');
+      for (const page of ['blog/a.html', 'blog/b.html', 'blog/c.html', 'blog-1/d.html']) {
+        fs.mkdirSync(path.dirname(path.join(siteDir, page)), { recursive: true });
+        fs.writeFileSync(path.join(siteDir, page), '<h1>Page</h1>');
+      }
+      const options = resolveSitemapOptions(
+        {
+          ...defaults(),
+          sitemap_partition: 'directory',
+          sitemap_max_urls: 2,
+          sitemap_lastmod: 'none',
+        },
+        { siteUrl, publicDir: siteDir }
+      );
+      const sitemap = await generateSitemap(options, { path: xmlPath, url }, reporter);
+
+      assert.deepStrictEqual(
+        sitemap.parts.map((part) => [path.basename(part.path), part.count]),
+        [
+          ['sitemap-blog_1.xml', 2],
+          ['sitemap-blog_2.xml', 1],
+          ['sitemap-blog-1.xml', 1],
+        ]
+      );
+      assert.deepStrictEqual(locs(path.join(outputDir, 'sitemap-blog-1.xml')), [
+        'https://example.com/blog-1/d.html',
+      ]);
+    });
+
+    it('should close the file of the partition unused the longest', async () => {
+      const siteDir = path.join(outputDir, 'empty');
+      fs.mkdirSync(siteDir, { recursive: true });
+      const sections = Array.from({ length: 9 }, (_, i) => `s${i}`);
+      const options = resolveSitemapOptions(
+        {
+          ...defaults(),
+          sitemap_partition: 'directory',
+          sitemap_lastmod: 'none',
+          sitemap_additional_urls: [...sections.map((name) => `/${name}/a.html`), '/s0/b.html'],
+        },
+        { siteUrl, publicDir: siteDir }
+      );
+      const sitemap = await generateSitemap(options, { path: xmlPath, url }, reporter);
+
+      // Nine sections with eight open files: s0 continues in a second file
+      assert.deepStrictEqual(
+        sitemap.parts.map((part) => [path.basename(part.path), part.count]),
+        [
+          ['sitemap-s0_1.xml', 1],
+          ['sitemap-s0_2.xml', 1],
+          ...sections.slice(1).map((name) => [`sitemap-${name}.xml`, 1]),
+        ]
+      );
+      assert.strictEqual(sitemap.count, 10);
+      assert.deepStrictEqual(locs(path.join(outputDir, 'sitemap-s0_2.xml')), [
+        'https://example.com/s0/b.html',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for template rendering
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate, buildTemplateContext } = require('../../src/lib/template');
+const { validateRobotsTxt } = require('../../src/lib/validation');
+
+describe('Template', () => {
+  const groups = [
+    { userAgents: ['*'], allow: [], disallow: ['/admin/'], crawlDelay: '', comments: [] },
+    { userAgents: ['Googlebot'], allow: ['/'], disallow: [], crawlDelay: '', comments: [] },
+  ];
+  const context = buildTemplateContext({
+    siteUrl: 'https://example.com',
+    groups,
+    sitemaps: ['https://example.com/sitemap.xml'],
+    env: { GITHUB_SHA: 'abc123' },
+    now: new Date('2026-03-01T12:00:00Z'),
+  });
+
+  describe('renderTemplate', () => {
+    it('should render the fixture template', () => {
+      const template = fs.readFileSync(
+        path.join(__dirname, '../fixtures/templates/robots.txt.tpl'),
+        'utf8'
+      );
+      const output = renderTemplate(template, context);
+
+      assert.ok(
+        output.startsWith(
+          '# Legal notice: automated access is subject to https://example.com/terms\n'
+        )
+      );
+      assert.ok(output.includes('# Build abc123 (2026-03-01)'));
+      assert.ok(output.includes('User-agent: *\nDisallow: /admin/\n\n# ---- Search engines ----'));
+      assert.ok(output.includes('User-agent: Googlebot\nAllow: /'));
+      assert.ok(output.endsWith('\nSitemap: https://example.com/sitemap.xml\n'));
+      assert.ok(!output.includes('No sitemaps'));
+      assert.ok(!output.includes('{{'));
+    });
+
+    it('should render else branches and loops over groups', () => {
+      const output = renderTemplate(
+        '{{#each groups}}# {{@index}}: {{user_agent}}\n{{/each}}{{#if missing}}yes{{else}}no{{/if}}',
+        context
+      );
+      assert.strictEqual(output, '# 0: *\n# 1: Googlebot\nno\n');
+    });
+
+    it('should reject unknown placeholders with a line number', () => {
+      assert.throws(
+        () => renderTemplate('User-agent: *\n{{rules.Bingbot}}\n', context),
+        /line 2: unknown placeholder "\{\{rules.Bingbot\}\}"/
+      );
+    });
+
+    it('should reject unbalanced blocks', () => {
+      assert.throws(() => renderTemplate('{{#if rules}}\nx\n', context), /never closed/);
+      assert.throws(() => renderTemplate('x\n{{/each}}\n', context), /unexpected/);
+      assert.throws(() => renderTemplate('{{else}}\n', context), /outside of/);
+    });
+
+    it('should report template lines after standalone block tags', () => {
+      const blocks = '{{#if a}}\nfoo\n{{/if}}\n  {{#if b}}\nbar\n{{else}}\nbaz\n{{/if}}\n';
+      assert.throws(
+        () => renderTemplate(`${blocks}{{typo}}\n`, context),
+        /^Error: Template line 9: unknown placeholder "\{\{typo\}\}"/
+      );
+      assert.throws(
+        () => renderTemplate(`${blocks}x\n{{#if rules}}\ny\n`, context),
+        /^Error: Template line 10: "\{\{#if rules\}\}" is never closed/
+      );
+    });
+
+    it('should produce output that passes validation', () => {
+      const output = renderTemplate('{{header}}\n{{rules}}\n\n{{sitemaps}}\n', context);
+      const results = validateRobotsTxt(output, { strict: true });
+      assert.ok(!results.some((r) => r.type === 'error'));
+    });
+  });
+});
@@ -0,0 +1,66 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for URL access expectations
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseExpectations, runUrlTests } = require('../../src/lib/url-tester');
+
+describe('URL Tester', () => {
+  const expectationsFile = path.join(__dirname, '../fixtures/url-tests/expectations.txt');
+  const lines = fs.readFileSync(expectationsFile, 'utf8').split('\n');
+
+  describe('parseExpectations', () => {
+    it('should parse expectations and skip comments', () => {
+      const expectations = parseExpectations(lines, 'expectations.txt');
+
+      assert.strictEqual(expectations.length, 5);
+      assert.deepStrictEqual(expectations[1], {
+        expect: 'allow',
+        userAgent: 'Googlebot',
+        url: '/pricing',
+        source: 'expectations.txt:3',
+      });
+    });
+
+    it('should reject malformed entries with their location', () => {
+      assert.throws(
+        () => parseExpectations(['allow * /', 'block * /admin']),
+        /test_urls:2: expected "allow\|deny <user-agent> <url>"/
+      );
+    });
+  });
+
+  describe('runUrlTests', () => {
+    const expectations = parseExpectations(lines);
+
+    it('should pass when the rules match the expectations', () => {
+      const content =
+        'User-agent: *\nDisallow: /admin/\n\nUser-agent: Googlebot\nUser-agent: Googlebot-Image\nDisallow: /private/\n';
+      const results = runUrlTests(content, expectations);
+      assert.ok(results.every((result) => result.passed));
+    });
+
+    it('should explain which rule decided a failed expectation', () => {
+      const content = 'User-agent: *\nDisallow: /admin/\nDisallow: /pricing\n';
+      const failed = runUrlTests(content, expectations).filter((result) => !result.passed);
+
+      assert.deepStrictEqual(
+        failed.map((result) => [result.expectation.url, result.explanation]),
+        [
+          ['/pricing', 'matched "Disallow: /pricing" (line 3) in group "*" (line 1)'],
+          ['/private/photo.jpg', 'no rule in group "*" (line 1) matches'],
+        ]
+      );
+    });
+  });
+});
@@ -14,9 +14,39 @@ const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { formatFileSize, findPublicDir, inferSiteUrl } = require('../../src/lib/utils');
+const {
+  formatFileSize,
+  findPublicDir,
+  inferSiteUrl,
+  normalizePathToUrl,
+  getGitLastCommitISO,
+} = require('../../src/lib/utils');
 
 describe('Utils', function () {
+  describe('normalizePathToUrl', function () {
+    it('should map files under public_dir to URLs', function () {
+      const publicDir = path.join(os.tmpdir(), 'site');
+      const toUrl = (file) =>
+        normalizePathToUrl('https://example.com', publicDir, path.join(publicDir, file));
+      assert.strictEqual(toUrl('about.html'), 'https://example.com/about.html');
+      assert.strictEqual(toUrl('index.html'), 'https://example.com/');
+      assert.strictEqual(toUrl('docs/index.html'), 'https://example.com/docs/');
+      assert.strictEqual(toUrl('my page.html'), 'https://example.com/my%20page.html');
+    });
+  });
+
+  describe('getGitLastCommitISO', function () {
+    it('should return null outside a git checkout', function () {
+      const file = path.join(os.tmpdir(), `untracked-${process.pid}.html`);
+      fs.writeFileSync(file, '');
+      try {
+        assert.strictEqual(getGitLastCommitISO(file), null);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+
   describe('formatFileSize', function () {
     it('should format bytes correctly', function () {
       assert.strictEqual(formatFileSize(0), '0 B');
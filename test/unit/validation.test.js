@@ -0,0 +1,340 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Blackout Secure Robots TXT Generator GitHub Action
+// Copyright © 2025-2026 Blackout Secure
+// Licensed under Apache License 2.0
+// Website: https://blackoutsecure.app
+// Repository: https://github.com/blackoutsecure/bos-robotstxt-generator
+// Issues: https://github.com/blackoutsecure/bos-robotstxt-generator/issues
+// Docs: https://github.com/blackoutsecure/bos-robotstxt-generator#readme
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Unit tests for validation helpers
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  validateRobotsTxt,
+  getSitemapStatus,
+  serializeFindings,
+  validateHumansTxt,
+  validateSecurityTxt,
+  validateSitemap,
+} = require('../../src/lib/validation');
+
+describe('Validation', () => {
+  const fixturesDir = path.join(__dirname, '../fixtures/robots');
+
+  describe('validateRobotsTxt', () => {
+    it('should accept a well-formed multi-group file', () => {
+      const content = fs.readFileSync(path.join(fixturesDir, 'multi-group.txt'), 'utf8');
+      const results = validateRobotsTxt(content, { strict: true });
+
+      assert.deepStrictEqual(
+        results.filter((r) => r.severity !== 'info'),
+        []
+      );
+      assert.ok(results.some((r) => r.message.includes('3 User-agent group(s) checked')));
+    });
+
+    it('should flag a user-agent that appears in two groups', () => {
+      const content =
+        'User-agent: Googlebot\nDisallow: /a/\n\nUser-agent: googlebot\nDisallow: /b/\n';
+      const results = validateRobotsTxt(content, { strict: true });
+      const warning = results.find((r) => r.message.includes('already has a group'));
+
+      assert.ok(warning);
+      assert.strictEqual(warning.severity, 'warning');
+      assert.ok(warning.message.includes('Group 2 (googlebot)'));
+    });
+
+    it('should check crawl-delay per group', () => {
+      const content =
+        'User-agent: a\nDisallow:\nCrawl-delay: 1\nCrawl-delay: 2\n\nUser-agent: b\nDisallow:\nCrawl-delay: soon\n';
+      const messages = validateRobotsTxt(content, { strict: true }).map((r) => r.message);
+
+      assert.ok(messages.some((m) => m.includes('Group 1 (a): multiple Crawl-delay values')));
+      assert.ok(messages.some((m) => m.includes('Group 2 (b): invalid Crawl-delay value: soon')));
+    });
+
+    it('should flag groups without rules and paths without a leading slash', () => {
+      const content = 'User-agent: a\nCrawl-delay: 1\n\nUser-agent: b\nDisallow: admin/\n';
+      const messages = validateRobotsTxt(content, { strict: true }).map((r) => r.message);
+
+      assert.ok(messages.some((m) => m.includes('Group 1 (a): no Allow or Disallow rules')));
+      assert.ok(messages.some((m) => m.includes('"admin/" should start with /')));
+    });
+
+    it('should report a missing User-agent as an error in strict mode', () => {
+      const strict = validateRobotsTxt('Disallow: /\n', { strict: true });
+      const lenient = validateRobotsTxt('Disallow: /\n', { strict: false });
+
+      assert.ok(strict.some((r) => r.severity === 'error' && r.message.includes('User-agent')));
+      assert.ok(!lenient.some((r) => r.severity === 'error'));
+    });
+
+    it('should report unknown directives and invalid lines', () => {
+      const content = fs.readFileSync(path.join(fixturesDir, 'rfc9309.txt'), 'utf8');
+      const results = validateRobotsTxt(content, { strict: true });
+      const find = (text) => results.find((r) => r.message.includes(text));
+
+      assert.strictEqual(find('Unknown directive "Noindex"').severity, 'warning');
+      assert.strictEqual(find('Unknown directive "Noindex"').line, 8);
+      assert.strictEqual(find('Non-standard directive "Host"').severity, 'info');
+      assert.strictEqual(find('not a "key: value" directive').line, 10);
+      assert.strictEqual(find('already has a group').line, 12);
+    });
+
+    it('should report the line of each finding in a hand-written file', () => {
+      const content = fs.readFileSync(path.join(fixturesDir, 'hand-written.txt'), 'utf8');
+      const results = validateRobotsTxt(content, { strict: true });
+      const lineOf = (text) => results.find((r) => r.message.includes(text)).line;
+
+      assert.strictEqual(lineOf('Directive found before User-agent'), 2);
+      assert.strictEqual(lineOf('"private/" should start with /'), 5);
+      assert.strictEqual(lineOf('invalid Crawl-delay value'), 6);
+      assert.strictEqual(lineOf('duplicate sitemap'), 9);
+      assert.strictEqual(lineOf('Size OK'), undefined);
+    });
+  });
+
+  describe('validation_rules', () => {
+    it('should change severities and suppress rules', () => {
+      const content = 'Disallow: /\nUser-agent: *\nDisallow: /a/\nNoindex: /b/\n';
+      const results = validateRobotsTxt(content, {
+        strict: true,
+        rules: { 'R007-rule-before-user-agent': 'off', 'R009-unknown-directive': 'error' },
+      });
+
+      assert.ok(!results.some((r) => r.id === 'R007-rule-before-user-agent'));
+      assert.strictEqual(results.find((r) => r.id === 'R009-unknown-directive').severity, 'error');
+    });
+  });
+
+  describe('validateHumansTxt', () => {
+    const failed = (results) => results.filter((r) => !r.passed).map((r) => [r.id, r.severity]);
+
+    it('should pass a file with standard sections and fields', () => {
+      const content = '/* TEAM */\nName: Ada\n\n/* SITE */\nLast update: 2026-01-01\n';
+      const results = validateHumansTxt(content, { strict: true, maxSizeKB: 32 });
+
+      assert.deepStrictEqual(failed(results), []);
+      assert.ok(
+        results.some((r) => r.id === 'H002-missing-sections' && r.message.includes('TEAM, SITE'))
+      );
+      assert.ok(results.some((r) => r.id === 'H000-format' && r.passed));
+    });
+
+    it('should report missing sections and size by strict mode', () => {
+      const content = `Thanks to everyone ${'x'.repeat(2048)} ✨\n`;
+      const expected = (severity) => [
+        ['H001-file-too-large', severity],
+        ['H002-missing-sections', severity],
+        ['H003-no-standard-fields', 'warning'],
+        ['H004-non-ascii', 'info'],
+      ];
+
+      assert.deepStrictEqual(
+        failed(validateHumansTxt(content, { strict: true, maxSizeKB: 1 })),
+        expected('error')
+      );
+      assert.deepStrictEqual(
+        failed(validateHumansTxt(content, { strict: false, maxSizeKB: 1 })),
+        expected('warning')
+      );
+    });
+
+    it('should honour validation_rules overrides', () => {
+      const results = validateHumansTxt('hello\n', {
+        strict: true,
+        maxSizeKB: 32,
+        rules: { 'H002-missing-sections': 'off', 'H003-no-standard-fields': 'error' },
+      });
+
+      assert.ok(!results.some((r) => r.id === 'H002-missing-sections'));
+      assert.strictEqual(results.find((r) => r.id === 'H003-no-standard-fields').severity, 'error');
+    });
+  });
+
+  describe('validateSecurityTxt', () => {
+    const failed = (results) => results.filter((r) => !r.passed).map((r) => [r.id, r.severity]);
+    const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    it('should pass a complete file apart from the signature', () => {
+      const content = [
+        'Contact: mailto:security@example.com',
+        `Expires: ${inDays(30)}`,
+        'Policy: https://example.com/security-policy',
+        '',
+      ].join('\n');
+      const results = validateSecurityTxt(content, { strict: true, maxSizeKB: 32 });
+
+      assert.deepStrictEqual(failed(results), [['S011-unsigned', 'info']]);
+      assert.ok(results.some((r) => r.id === 'S000-format' && r.message.includes('Policy')));
+    });
+
+    it('should report required fields by strict mode', () => {
+      const expected = (severity) => [
+        ['S002-missing-contact', severity],
+        ['S004-missing-expires', severity],
+        ['S011-unsigned', 'info'],
+      ];
+
+      assert.deepStrictEqual(
+        failed(
+          validateSecurityTxt('Policy: https://example.com/\n', { strict: true, maxSizeKB: 32 })
+        ),
+        expected('error')
+      );
+      assert.deepStrictEqual(
+        failed(
+          validateSecurityTxt('Policy: https://example.com/\n', { strict: false, maxSizeKB: 32 })
+        ),
+        expected('warning')
+      );
+    });
+
+    it('should check contact URIs, Expires and web URIs', () => {
+      const check = (lines) =>
+        failed(validateSecurityTxt(`${lines.join('\n')}\n`, { strict: true, maxSizeKB: 32 }))
+          .map(([id]) => id)
+          .filter((id) => id !== 'S011-unsigned');
+
+      assert.deepStrictEqual(
+        check([
+          'Contact: security@example.com',
+          `Expires: ${inDays(30)}`,
+          'Preferred-Languages: en',
+          'Preferred-Languages: de',
+          'Policy: http://example.com/policy',
+        ]),
+        ['S003-invalid-contact-uri', 'S009-multiple-preferred-languages', 'S010-insecure-uri']
+      );
+      assert.deepStrictEqual(
+        check([
+          'Contact: mailto:a@example.com',
+          `Expires: ${inDays(30)}`,
+          `Expires: ${inDays(60)}`,
+        ]),
+        ['S005-multiple-expires']
+      );
+      assert.deepStrictEqual(check(['Contact: mailto:a@example.com', 'Expires: soon']), [
+        'S006-invalid-expires-date',
+      ]);
+      assert.deepStrictEqual(check(['Contact: mailto:a@example.com', `Expires: ${inDays(-1)}`]), [
+        'S007-expired',
+      ]);
+      assert.deepStrictEqual(check(['Contact: mailto:a@example.com', `Expires: ${inDays(400)}`]), [
+        'S008-expires-too-far',
+      ]);
+    });
+
+    it('should honour validation_rules overrides', () => {
+      const results = validateSecurityTxt(`Expires: ${inDays(30)}\n`, {
+        strict: false,
+        maxSizeKB: 32,
+        rules: { 'S011-unsigned': 'off', 'S002-missing-contact': 'error' },
+      });
+
+      assert.ok(!results.some((r) => r.id === 'S011-unsigned'));
+      assert.strictEqual(results.find((r) => r.id === 'S002-missing-contact').severity, 'error');
+    });
+  });
+
+  describe('serializeFindings', () => {
+    it('should keep errors and warnings with rule IDs and hints', () => {
+      const results = validateRobotsTxt('Disallow: /\n', { strict: true });
+      assert.deepStrictEqual(serializeFindings(results), [
+        {
+          id: 'R001-missing-user-agent',
+          severity: 'error',
+          message: 'Missing required User-agent directive',
+          hint: 'Start every group with a "User-agent:" line, e.g. "User-agent: *"',
+        },
+        {
+          id: 'R007-rule-before-user-agent',
+          severity: 'warning',
+          message: 'Directive found before User-agent (may not be applied correctly)',
+          line: 1,
+          hint: 'Move the rule below a "User-agent:" line',
+        },
+      ]);
+    });
+  });
+
+  describe('getSitemapStatus', () => {
+    const options = {
+      publicDir: path.join(__dirname, '../fixtures/sitemaps'),
+      siteUrl: 'https://example.com',
+    };
+
+    it('should find local sitemap files', () => {
+      const status = getSitemapStatus('https://example.com/valid-sitemap.xml', options);
+      assert.strictEqual(status.state, 'found');
+      assert.strictEqual(status.path, path.join(options.publicDir, 'valid-sitemap.xml'));
+    });
+
+    it('should report missing local files and ignore other hosts', () => {
+      assert.strictEqual(
+        getSitemapStatus('https://example.com/none.xml', options).state,
+        'missing'
+      );
+      assert.strictEqual(
+        getSitemapStatus('https://cdn.example.net/a.xml', options).state,
+        'external'
+      );
+    });
+  });
+
+  describe('validateSitemap', () => {
+    const siteUrl = 'https://example.com';
+    const ids = (results) => results.filter((r) => !r.passed).map((r) => r.id);
+    const file = (name, count, bytes = 400) => ({ path: `/site/${name}`, count, bytes });
+
+    it('should pass URLs on the site within the limits', () => {
+      const urls = [{ url: 'https://example.com/' }, { url: 'https://example.com/about.html' }];
+      const results = validateSitemap([file('sitemap.xml', 2)], { siteUrl, urls });
+      assert.deepStrictEqual(ids(results), []);
+      assert.strictEqual(results[0].message, 'URL count OK (2)');
+
+      const split = validateSitemap([file('sitemap-1.xml', 2), file('sitemap-2.xml', 2, 2048)], {
+        siteUrl,
+        urls: [...urls, ...urls],
+      });
+      assert.strictEqual(split[0].message, 'URL count OK (4 in 2 sitemaps)');
+      assert.strictEqual(split[1].message, 'Size OK (largest 2.00 KB)');
+    });
+
+    it('should report invalid, overlong and foreign URLs once per rule', () => {
+      const urls = [
+        { url: '/relative' },
+        { url: 'ftp://example.com/file' },
+        { url: `https://example.com/${'a'.repeat(2048)}` },
+        { url: 'https://cdn.example.net/page.html' },
+      ];
+      const results = validateSitemap([file('sitemap.xml', 4)], { siteUrl, urls });
+      assert.deepStrictEqual(ids(results), [
+        'M003-invalid-url',
+        'M004-url-too-long',
+        'M005-foreign-url',
+      ]);
+      assert.strictEqual(results[2].message, 'Not an absolute http(s) URL: /relative and 1 more');
+    });
+
+    it('should enforce the sitemaps.org limits per file and honour overrides', () => {
+      const results = validateSitemap(
+        [file('sitemap-1.xml', 50001, 51 * 1024 * 1024), file('sitemap-2.xml', 1)],
+        { siteUrl, urls: [{ url: 'https://example.com/' }] }
+      );
+      assert.deepStrictEqual(ids(results), ['M001-too-many-urls', 'M002-file-too-large']);
+      assert.strictEqual(results[0].severity, 'error');
+      assert.strictEqual(results[0].message, 'sitemap-1.xml: 50001 URLs (limit 50000 per sitemap)');
+
+      const empty = validateSitemap([file('sitemap.xml', 0)], {
+        siteUrl,
+        rules: { 'M006-empty-sitemap': 'off' },
+      });
+      assert.deepStrictEqual(ids(empty), []);
+    });
+  });
+});